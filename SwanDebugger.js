@@ -0,0 +1,264 @@
+/**
+ * SwanDebugger.js
+ * Step-through debugging for workflow runs: breakpoints pause a run before a node
+ * executes, the paused inputs can be inspected and edited, then stepped, continued
+ * or aborted. Works headlessly on a SwanGraph or drives the node chrome of a SwanEditor.
+ *
+ * @author Divyajeet Pala
+ * @version 1.0.0
+ * @license MIT
+*/
+
+import SwanExecutor from './SwanExecutor.js';
+
+export default class SwanDebugger {
+    /**
+     * @param {SwanGraph|SwanEditor} target - Graph to debug, or an editor to debug and render into
+     * @param {Object} options - Debugger options
+     * @param {Object} options.callbacks - {onPause(state), onResume(nodeId), onBreakpointChange(nodeId, enabled),
+     *   onFinish(results), onError(error)}
+     */
+    constructor(target, options = {}) {
+        this.editor = target.graph ? target : null;
+        this.graph = target.graph || target;
+        this.options = {
+            callbacks: {},
+            ...options
+        };
+        
+        // Node IDs to pause before (not saved with the workflow)
+        this.breakpoints = new Set();
+        
+        // Run state
+        this.running = false;
+        this.paused = null;         // {nodeId, inputs, outputs, resume, cancel}
+        this.stepping = false;      // Pause before the next node whatever its breakpoint
+        this.controller = null;
+        this.pauseWaiters = [];
+    }
+    
+    /**
+     * Set or clear a breakpoint
+     * @param {string} nodeId - Node ID
+     * @param {boolean} enabled - Whether the run pauses before the node
+     */
+    setBreakpoint(nodeId, enabled = true) {
+        if (!this.graph.nodes.has(nodeId) || this.breakpoints.has(nodeId) === enabled) return;
+        
+        if (enabled) {
+            this.breakpoints.add(nodeId);
+        } else {
+            this.breakpoints.delete(nodeId);
+        }
+        
+        this.renderNode(nodeId);
+        this.triggerCallback('onBreakpointChange', nodeId, enabled);
+    }
+    
+    /**
+     * Toggle a breakpoint
+     * @returns {boolean} Whether the node now has a breakpoint
+     */
+    toggleBreakpoint(nodeId) {
+        this.setBreakpoint(nodeId, !this.breakpoints.has(nodeId));
+        return this.breakpoints.has(nodeId);
+    }
+    
+    /**
+     * Check whether a node has a breakpoint
+     */
+    hasBreakpoint(nodeId) {
+        return this.breakpoints.has(nodeId);
+    }
+    
+    /**
+     * Remove every breakpoint
+     */
+    clearBreakpoints() {
+        Array.from(this.breakpoints).forEach(nodeId => this.setBreakpoint(nodeId, false));
+    }
+    
+    /**
+     * Start a debug run
+     * Nodes run one at a time so pauses are unambiguous.
+     * @param {Object} options - {step: pause before the first node, context: extra fields for execute()}
+     * @returns {Promise<Map>} Output of every node that ran; rejects with an AbortError on abort()
+     */
+    start(options = {}) {
+        if (this.running) {
+            return Promise.reject(new Error('SwanDebugger: A debug run is already in progress'));
+        }
+        
+        this.running = true;
+        this.stepping = !!options.step;
+        this.controller = new AbortController();
+        
+        const runOptions = {
+            concurrency: 1,
+            context: options.context,
+            signal: this.controller.signal,
+            beforeNode: (node, inputs, context) => this.beforeNode(node, inputs, context)
+        };
+        const run = this.editor
+            ? this.editor.execute(runOptions)
+            : new SwanExecutor(this.graph, runOptions).run({ signal: runOptions.signal });
+        
+        return run.then(results => {
+            this.finish();
+            this.triggerCallback('onFinish', results);
+            return results;
+        }, error => {
+            this.finish();
+            this.triggerCallback('onError', error);
+            throw error;
+        });
+    }
+    
+    /**
+     * Executor hook: hold the node while it is paused
+     */
+    beforeNode(node, inputs, { results }) {
+        if (!this.stepping && !this.breakpoints.has(node.id)) return undefined;
+        
+        // Outputs of the upstream nodes that fed this one
+        const outputs = {};
+        this.graph.edges.forEach(edge => {
+            if (edge.target === node.id && results.has(edge.source)) {
+                outputs[edge.source] = results.get(edge.source);
+            }
+        });
+        
+        return new Promise((resolve, reject) => {
+            this.paused = { nodeId: node.id, inputs: { ...inputs }, outputs, resume: resolve, cancel: reject };
+            this.renderNode(node.id);
+            this.triggerCallback('onPause', this.getState());
+            
+            this.pauseWaiters.splice(0).forEach(waiter => waiter(this.getState()));
+        });
+    }
+    
+    /**
+     * Get the debugger state
+     * @returns {Object} {running, paused, nodeId, inputs, outputs, breakpoints}
+     */
+    getState() {
+        const paused = this.paused;
+        return {
+            running: this.running,
+            paused: !!paused,
+            nodeId: paused ? paused.nodeId : null,
+            inputs: paused ? { ...paused.inputs } : null,
+            outputs: paused ? { ...paused.outputs } : null,
+            breakpoints: Array.from(this.breakpoints)
+        };
+    }
+    
+    /**
+     * Wait until the run pauses
+     * @returns {Promise<Object|null>} Debugger state, or null when the run ends first
+     */
+    waitForPause() {
+        if (this.paused) return Promise.resolve(this.getState());
+        if (!this.running) return Promise.resolve(null);
+        return new Promise(resolve => this.pauseWaiters.push(resolve));
+    }
+    
+    /**
+     * Replace the value arriving at an input port of the paused node
+     * @param {string} portId - Input port ID
+     * @param {*} value - New value
+     */
+    setInput(portId, value) {
+        if (!this.paused) {
+            console.warn('SwanDebugger: Inputs can only be edited while paused');
+            return;
+        }
+        this.paused.inputs[portId] = value;
+        this.renderNode(this.paused.nodeId);
+    }
+    
+    /**
+     * Replace all inputs of the paused node
+     * @param {Object} inputs - Inputs keyed by input port ID
+     */
+    setInputs(inputs) {
+        if (!this.paused) {
+            console.warn('SwanDebugger: Inputs can only be edited while paused');
+            return;
+        }
+        this.paused.inputs = { ...inputs };
+        this.renderNode(this.paused.nodeId);
+    }
+    
+    /**
+     * Run the paused node and pause again before the next one
+     */
+    step() {
+        this.resume(true);
+    }
+    
+    /**
+     * Run until the next breakpoint
+     */
+    continue() {
+        this.resume(false);
+    }
+    
+    /**
+     * Stop the run
+     */
+    abort() {
+        if (!this.running) return;
+        
+        this.controller.abort();
+        if (this.paused) {
+            const { nodeId, cancel } = this.paused;
+            this.paused = null;
+            this.renderNode(nodeId);
+            cancel(this.controller.signal.reason);
+        }
+    }
+    
+    /**
+     * Let the paused node run with its (possibly edited) inputs
+     */
+    resume(stepping) {
+        if (!this.paused) return;
+        
+        const { nodeId, inputs, resume } = this.paused;
+        this.paused = null;
+        this.stepping = stepping;
+        this.renderNode(nodeId);
+        this.triggerCallback('onResume', nodeId);
+        resume(inputs);
+    }
+    
+    /**
+     * Reset the run state once the run has settled
+     */
+    finish() {
+        this.running = false;
+        this.paused = null;
+        this.stepping = false;
+        this.controller = null;
+        this.pauseWaiters.splice(0).forEach(waiter => waiter(null));
+    }
+    
+    /**
+     * Re-render a node's debug chrome in the editor
+     */
+    renderNode(nodeId) {
+        if (!this.editor) return;
+        const node = this.editor.nodes.get(nodeId);
+        if (node) this.editor.renderNodeDebug(node);
+    }
+    
+    /**
+     * Trigger a callback
+     */
+    triggerCallback(name, ...args) {
+        if (this.options.callbacks[name]) {
+            this.options.callbacks[name](...args);
+        }
+    }
+}
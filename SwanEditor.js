@@ -7,6 +7,62 @@
  * @license MIT
 */
 
+import SwanGraph from './SwanGraph.js';
+import SwanExecutor from './SwanExecutor.js';
+import SwanDebugger from './SwanDebugger.js';
+import SwanMinimap from './SwanMinimap.js';
+import SwanFormats from './SwanFormats.js';
+import SwanRouter from './SwanRouter.js';
+
+// Marks clipboard JSON written by SwanEditor
+const CLIPBOARD_FORMAT = 'swan-editor/fragment';
+
+/**
+ * Event catalogue. Subscribe with editor.on(EVENTS.NODE_CREATE, handler) or pass
+ * the `on`-prefixed callback (onNodeCreate). Handler arguments are listed per event.
+ * `before*` events are cancelable: return false from a handler to veto the operation.
+ * @enum {string}
+ */
+export const EVENTS = {
+    NODE_CREATE: 'nodeCreate',                  // (node)
+    NODE_UPDATE: 'nodeUpdate',                  // (node, data)
+    NODE_MOVE: 'nodeMove',                      // (node)
+    NODE_DELETE: 'nodeDelete',                  // (node)
+    NODE_SELECT: 'nodeSelect',                  // (node)
+    NODE_PARENT_CHANGE: 'nodeParentChange',     // (node, previousParentId)
+    EDGE_CREATE: 'edgeCreate',                  // (edge)
+    EDGE_UPDATE: 'edgeUpdate',                  // (edge, data)
+    EDGE_DELETE: 'edgeDelete',                  // (edge)
+    EDGE_RECONNECT: 'edgeReconnect',            // (edge, previous: {source, sourcePort, target, targetPort})
+    EDGE_SELECT: 'edgeSelect',                  // (edge)
+    SELECTION_CHANGE: 'selectionChange',        // ({nodes, edges})
+    CONNECTION_REJECTED: 'connectionRejected',  // (reason, {sourceNodeId, sourcePortId, targetNodeId, targetPortId})
+    GROUP_COLLAPSE: 'groupCollapse',            // (group)
+    GROUP_EXPAND: 'groupExpand',                // (group)
+    LAYOUT: 'layout',                           // (positions: Map of id -> {x, y})
+    HISTORY_CHANGE: 'historyChange',            // ({canUndo, canRedo, undoLabels, redoLabels})
+    HISTORY_ERROR: 'historyError',              // (label, messages: parts of an undo/redo step that failed)
+    UNDO: 'undo',                               // (label)
+    REDO: 'redo',                               // (label)
+    VIEWPORT_CHANGE: 'viewportChange',          // ({x, y, zoom})
+    ZOOM: 'zoom',                               // (zoom)
+    THEME_CHANGE: 'themeChange',                // (theme)
+    RENDER_FRAME: 'renderFrame',                // (nodeIds whose edges were just redrawn)
+    NODE_EXECUTE_START: 'nodeExecuteStart',     // (node, inputs)
+    NODE_EXECUTE_FINISH: 'nodeExecuteFinish',   // (node, output)
+    NODE_EXECUTE_ERROR: 'nodeExecuteError',     // (node, error)
+    NODE_EXECUTE_SKIP: 'nodeExecuteSkip',       // (node)
+    NODE_STATUS_CHANGE: 'nodeStatusChange',     // (node, status, detail)
+    DEBUG_PAUSE: 'debugPause',                  // ({nodeId, inputs, outputs, ...})
+    DEBUG_RESUME: 'debugResume',                // (nodeId)
+    BREAKPOINT_CHANGE: 'breakpointChange',      // (nodeId, enabled)
+    VALIDATE: 'validate',                       // (diagnostics: [{rule, severity, message, nodeId, edgeId}])
+    BEFORE_NODE_DELETE: 'beforeNodeDelete',     // (node) - cancelable
+    BEFORE_EDGE_CREATE: 'beforeEdgeCreate',     // ({source, target, sourcePort, targetPort, style, data}) - cancelable
+    BEFORE_EDGE_RECONNECT: 'beforeEdgeReconnect', // (edge, {source, sourcePort, target, targetPort}) - cancelable
+    BEFORE_IMPORT: 'beforeImport'               // (data) - cancelable, may modify data in place
+};
+
 export default class SwanEditor {
     constructor(container, options = {}) {
         // Container element
@@ -26,7 +82,8 @@ export default class SwanEditor {
                 color: '#6b7280',
                 width: 2,
                 dashed: false,
-                animated: false
+                animated: false,
+                path: 'bezier'              // 'straight', 'step' (orthogonal) or 'smart' (avoids nodes)
             },
             nodeDefaults: {
                 width: 200,
@@ -41,41 +98,101 @@ export default class SwanEditor {
                     dark: '#0f172a'
                 },
                 zoomable: false,
-                pannable: true
+                pannable: true,
+                minZoom: 0.2,
+                maxZoom: 3,
+                zoomStep: 1.2               // Factor applied by zoomIn()/zoomOut()
             },
+            typeCompatibility: {},          // { outputType: [inputTypes it may feed] }
+            allowCycles: true,              // false rejects connections that close a cycle
+            marqueeSelectEdges: false,      // Rubber-band selection also picks edges
+            minimap: false,                 // true or SwanMinimap options to show an overview panel
             callbacks: {},
-            ...options
+            ...options,
+            // Merged key by key so {limit: 50} keeps the default merge window
+            history: {
+                limit: 100,                 // Max undo steps (0 = unlimited)
+                mergeWindow: 1000,          // ms within which repeated data edits merge
+                ...options.history
+            }
         };
         
+        // DOM-free graph model; the editor renders from its nodes and edges
+        this.graph = new SwanGraph({
+            edgeStyle: this.options.edgeStyle,
+            nodeDefaults: this.options.nodeDefaults,
+            typeCompatibility: this.options.typeCompatibility,
+            canConnect: this.options.callbacks.canConnect,
+            allowCycles: this.options.allowCycles,
+            context: { editor: this }
+        });
+        
         // State management
-        this.nodes = new Map();
-        this.edges = new Map();
+        this.nodes = this.graph.nodes;
+        this.edges = this.graph.edges;
         this.selectedNodes = new Set();
+        this.selectedEdges = new Set();
         this.dragState = null;
         this.connectionState = null;
+        this.pinchState = null;
+        this.panState = null;
+        this.marqueeState = null;
+        this.spacePressed = false;
+        this.active = true;             // Last interaction happened inside this editor
+        this.pointer = null;            // Last pointer position {clientX, clientY}
+        this.globalListeners = [];      // Document and window listeners, removed by destroy()
+        
+        // Viewport transform (translation in px, zoom as scale factor)
+        this.viewport = { x: 0, y: 0, zoom: 1 };
 
-        // Connection cache for O(1) lookups
-        this.connectionCache = new Map(); // nodeId -> {inputs: Set, outputs: Set}
-        
         // Dirty tracking for selective re-renders
         this.dirtyNodes = new Set();
-
-        // ID counters
-        this.nodeIdCounter = 1;
-        this.edgeIdCounter = 1;
         
-        // Node type registry
-        this.nodeTypes = new Map();
+        // Node type registry and port data type converters live in the graph
+        this.nodeTypes = this.graph.nodeTypes;
+        this.typeConverters = this.graph.typeConverters;
         
         // Performance optimization
         this.rafId = null;
         this.updateQueue = new Set();
+        this.routingObstacles = null;
+        this.routingBoxes = new Map();  // Node boxes smart routes were last computed with
+        this.groupRefreshId = null;
+        this.batchUpdateTimer = null;
+        this.layoutAnimationId = null;  // Frame of a running animateMoves()
+        
+        // Event listeners added with on()/once(): event name -> handlers
+        this.listeners = new Map();
+        
+        // Installed plugins: name -> {plugin, context, uninstall}
+        this.plugins = new Map();
+        
+        // Transient run state, never saved or recorded in history
+        this.nodeStatus = new Map();    // nodeId -> {status, detail}
+        this.edgeStatus = new Map();    // edgeId -> 'active' | 'success' | 'error'
+        this.debugger = null;           // Created by getDebugger()
+        this.diagnostics = [];          // Result of the last validate()
+        
+        // Undo/redo history
+        this.history = {
+            undoStack: [],
+            redoStack: [],
+            pending: null,      // Entry collecting commands of the open transaction
+            depth: 0,           // Nesting depth of open transactions
+            replaying: false,   // True while undo/redo runs, suppresses recording
+            failures: null      // Commands of the running undo/redo that could not be replayed
+        };
         
         // Initialize the editor
         this.init();
         
         // Register default node types
         this.registerDefaultNodeTypes();
+        
+        // Optional overview panel
+        if (this.options.minimap) {
+            this.use(new SwanMinimap(this.options.minimap === true ? {} : this.options.minimap));
+        }
     }
     
     /**
@@ -89,35 +206,44 @@ export default class SwanEditor {
             <div class="workflow-container ${this.options.theme === 'dark' ? 'dark' : ''}" 
                 style="width: ${this.options.canvas.width}; height: ${this.options.canvas.height};">
                 <div class="workflow-canvas" data-workflow-canvas>
-                    <svg class="workflow-svg" style="position: absolute; top: 0; left: 0; width: 100%; height: 100%; pointer-events: none; z-index: 1;">
-                        <defs>
-                            <marker id="wf-arrowhead-light" markerWidth="10" markerHeight="10" refX="9" refY="3" orient="auto">
-                                <polygon points="0 0, 10 3, 0 6" fill="#6b7280" />
-                            </marker>
-                            <marker id="wf-arrowhead-dark" markerWidth="10" markerHeight="10" refX="9" refY="3" orient="auto">
-                                <polygon points="0 0, 10 3, 0 6" fill="#94a3b8" />
-                            </marker>
-                            <marker id="wf-arrowhead-selected-light" markerWidth="10" markerHeight="10" refX="9" refY="3" orient="auto">
-                                <polygon points="0 0, 10 3, 0 6" fill="#3b82f6" />
-                            </marker>
-                            <marker id="wf-arrowhead-selected-dark" markerWidth="10" markerHeight="10" refX="9" refY="3" orient="auto">
-                                <polygon points="0 0, 10 3, 0 6" fill="#60a5fa" />
-                            </marker>
-                            <!-- Conditional edge markers -->
-                            <marker id="wf-arrowhead-green" markerWidth="10" markerHeight="10" refX="9" refY="3" orient="auto">
-                                <polygon points="0 0, 10 3, 0 6" fill="#22c55e" />
-                            </marker>
-                            <marker id="wf-arrowhead-red" markerWidth="10" markerHeight="10" refX="9" refY="3" orient="auto">
-                                <polygon points="0 0, 10 3, 0 6" fill="#ef4444" />
-                            </marker>
-                        </defs>
-                    </svg>
+                    <div class="workflow-stage" data-workflow-stage>
+                        <svg class="workflow-svg" style="position: absolute; top: 0; left: 0; width: 100%; height: 100%; overflow: visible; pointer-events: none; z-index: 1;">
+                            <defs>
+                                <marker id="wf-arrowhead-light" markerWidth="10" markerHeight="10" refX="9" refY="3" orient="auto">
+                                    <polygon points="0 0, 10 3, 0 6" fill="#6b7280" />
+                                </marker>
+                                <marker id="wf-arrowhead-dark" markerWidth="10" markerHeight="10" refX="9" refY="3" orient="auto">
+                                    <polygon points="0 0, 10 3, 0 6" fill="#94a3b8" />
+                                </marker>
+                                <marker id="wf-arrowhead-selected-light" markerWidth="10" markerHeight="10" refX="9" refY="3" orient="auto">
+                                    <polygon points="0 0, 10 3, 0 6" fill="#3b82f6" />
+                                </marker>
+                                <marker id="wf-arrowhead-selected-dark" markerWidth="10" markerHeight="10" refX="9" refY="3" orient="auto">
+                                    <polygon points="0 0, 10 3, 0 6" fill="#60a5fa" />
+                                </marker>
+                                <!-- Conditional edge markers -->
+                                <marker id="wf-arrowhead-green" markerWidth="10" markerHeight="10" refX="9" refY="3" orient="auto">
+                                    <polygon points="0 0, 10 3, 0 6" fill="#22c55e" />
+                                </marker>
+                                <marker id="wf-arrowhead-red" markerWidth="10" markerHeight="10" refX="9" refY="3" orient="auto">
+                                    <polygon points="0 0, 10 3, 0 6" fill="#ef4444" />
+                                </marker>
+                            </defs>
+                            <g class="workflow-underlay" data-workflow-underlay></g>
+                        </svg>
+                    </div>
                 </div>
+                <div class="workflow-overlay" data-workflow-overlay></div>
             </div>
         `;
         
         this.canvas = this.container.querySelector('[data-workflow-canvas]');
+        this.stage = this.container.querySelector('[data-workflow-stage]');
         this.svg = this.container.querySelector('svg');
+        this.underlay = this.container.querySelector('[data-workflow-underlay]');
+        this.overlay = this.container.querySelector('[data-workflow-overlay]');
+        
+        this.applyViewport();
         
         // Apply canvas background based on theme
         this.updateCanvasBackground();
@@ -144,7 +270,7 @@ export default class SwanEditor {
                 position: relative;
                 width: 100%;
                 height: 100%;
-                overflow: auto;
+                overflow: hidden;
                 background: #f9fafb;
                 transition: background-color 0.2s ease;
             }
@@ -153,6 +279,25 @@ export default class SwanEditor {
                 background: #0f172a;
             }
             
+            .workflow-stage {
+                position: absolute;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                transform-origin: 0 0;
+            }
+            
+            .workflow-container.pan-ready .workflow-canvas,
+            .workflow-container.pan-ready .workflow-node {
+                cursor: grab;
+            }
+            
+            .workflow-container.panning .workflow-canvas,
+            .workflow-container.panning .workflow-node {
+                cursor: grabbing;
+            }
+            
             .workflow-node {
                 position: absolute;
                 background: white;
@@ -191,6 +336,339 @@ export default class SwanEditor {
                 box-shadow: 0 8px 20px rgba(0,0,0,0.4);
             }
             
+            .workflow-node.status-running {
+                border-color: #3b82f6;
+            }
+            
+            .dark .workflow-node.status-running {
+                border-color: #60a5fa;
+            }
+            
+            .workflow-node.status-error {
+                border-color: #ef4444;
+            }
+            
+            .dark .workflow-node.status-error {
+                border-color: #f87171;
+            }
+            
+            .workflow-node-status {
+                position: absolute;
+                top: -9px;
+                right: -9px;
+                width: 18px;
+                height: 18px;
+                box-sizing: border-box;
+                border-radius: 50%;
+                font-size: 11px;
+                font-weight: 700;
+                line-height: 18px;
+                text-align: center;
+                color: white;
+                background: #9ca3af;
+                cursor: default;
+                z-index: 15;
+            }
+            
+            .dark .workflow-node-status {
+                background: #64748b;
+            }
+            
+            .workflow-node-status.running {
+                background: transparent;
+                border: 2px solid #bfdbfe;
+                border-top-color: #3b82f6;
+                animation: spin 0.8s linear infinite;
+            }
+            
+            .dark .workflow-node-status.running {
+                border-color: #1e3a8a;
+                border-top-color: #60a5fa;
+            }
+            
+            .workflow-node-status.success {
+                background: #22c55e;
+            }
+            
+            .dark .workflow-node-status.success {
+                background: #16a34a;
+            }
+            
+            .workflow-node-status.error {
+                background: #ef4444;
+            }
+            
+            .dark .workflow-node-status.error {
+                background: #dc2626;
+            }
+            
+            .workflow-node.has-warning {
+                border-color: #f59e0b;
+            }
+            
+            .dark .workflow-node.has-warning {
+                border-color: #fbbf24;
+            }
+            
+            .workflow-node.has-error {
+                border-color: #ef4444;
+            }
+            
+            .dark .workflow-node.has-error {
+                border-color: #f87171;
+            }
+            
+            .workflow-node-diagnostic {
+                position: absolute;
+                bottom: -9px;
+                right: -9px;
+                width: 18px;
+                height: 18px;
+                border-radius: 50%;
+                font-size: 11px;
+                font-weight: 700;
+                line-height: 18px;
+                text-align: center;
+                color: white;
+                background: #f59e0b;
+                cursor: default;
+                z-index: 15;
+            }
+            
+            .dark .workflow-node-diagnostic {
+                background: #d97706;
+            }
+            
+            .workflow-node-diagnostic.error {
+                background: #ef4444;
+            }
+            
+            .dark .workflow-node-diagnostic.error {
+                background: #dc2626;
+            }
+            
+            .edge-path.diagnostic-warning {
+                stroke: #f59e0b !important;
+                stroke-dasharray: 2, 4;
+            }
+            
+            .dark .edge-path.diagnostic-warning {
+                stroke: #fbbf24 !important;
+            }
+            
+            .edge-path.diagnostic-error {
+                stroke: #ef4444 !important;
+                stroke-dasharray: 2, 4;
+            }
+            
+            .dark .edge-path.diagnostic-error {
+                stroke: #f87171 !important;
+            }
+            
+            .workflow-node-diagnostic:hover::after,
+            .workflow-node-status[data-detail]:hover::after {
+                content: attr(data-detail);
+                position: absolute;
+                bottom: calc(100% + 6px);
+                right: 0;
+                max-width: 240px;
+                width: max-content;
+                padding: 6px 8px;
+                border-radius: 4px;
+                font-size: 11px;
+                font-weight: 400;
+                line-height: 1.4;
+                text-align: left;
+                white-space: pre-wrap;
+                background: #1f2937;
+                color: white;
+                animation: none;
+            }
+            
+            .workflow-node-diagnostic:hover::after {
+                top: calc(100% + 6px);
+                bottom: auto;
+            }
+            
+            .dark .workflow-node-diagnostic:hover::after,
+            .dark .workflow-node-status[data-detail]:hover::after {
+                background: #e2e8f0;
+                color: #0f172a;
+            }
+            
+            .workflow-node-breakpoint {
+                position: absolute;
+                top: -6px;
+                left: -6px;
+                width: 12px;
+                height: 12px;
+                padding: 0;
+                border: 2px solid white;
+                border-radius: 50%;
+                background: #ef4444;
+                cursor: pointer;
+                opacity: 0;
+                z-index: 15;
+            }
+            
+            .dark .workflow-node-breakpoint {
+                border-color: #1e293b;
+                background: #f87171;
+            }
+            
+            .workflow-node:hover .workflow-node-breakpoint {
+                opacity: 0.35;
+            }
+            
+            .workflow-node .workflow-node-breakpoint.enabled {
+                opacity: 1;
+            }
+            
+            .workflow-node.debug-paused {
+                border-color: #f59e0b;
+                box-shadow: 0 0 0 3px rgba(245, 158, 11, 0.25);
+            }
+            
+            .dark .workflow-node.debug-paused {
+                border-color: #fbbf24;
+                box-shadow: 0 0 0 3px rgba(251, 191, 36, 0.25);
+            }
+            
+            .workflow-debug-panel {
+                position: absolute;
+                top: calc(100% + 8px);
+                left: 0;
+                width: 260px;
+                padding: 8px;
+                border: 1px solid #f59e0b;
+                border-radius: 6px;
+                background: white;
+                box-shadow: 0 4px 12px rgba(0,0,0,0.1);
+                font-size: 11px;
+                color: #374151;
+                cursor: default;
+                z-index: 20;
+            }
+            
+            .dark .workflow-debug-panel {
+                border-color: #fbbf24;
+                background: #1e293b;
+                color: #e2e8f0;
+                box-shadow: 0 4px 12px rgba(0,0,0,0.4);
+            }
+            
+            .workflow-debug-panel textarea,
+            .workflow-debug-panel pre {
+                box-sizing: border-box;
+                width: 100%;
+                max-height: 120px;
+                margin: 4px 0 8px;
+                padding: 4px 6px;
+                border: 1px solid #e5e7eb;
+                border-radius: 4px;
+                font: 11px monospace;
+                overflow: auto;
+                background: #f9fafb;
+                color: inherit;
+            }
+            
+            .dark .workflow-debug-panel textarea,
+            .dark .workflow-debug-panel pre {
+                border-color: #334155;
+                background: #0f172a;
+            }
+            
+            .workflow-debug-panel button {
+                margin-right: 4px;
+                padding: 3px 8px;
+                border: 1px solid #d1d5db;
+                border-radius: 4px;
+                background: #f3f4f6;
+                color: #374151;
+                font-size: 11px;
+                cursor: pointer;
+            }
+            
+            .dark .workflow-debug-panel button {
+                border-color: #475569;
+                background: #334155;
+                color: #e2e8f0;
+            }
+            
+            @keyframes spin {
+                to { transform: rotate(360deg); }
+            }
+            
+            .workflow-node.workflow-group {
+                background: rgba(59, 130, 246, 0.04);
+                border: 1.5px dashed #cbd5e1;
+                box-shadow: none;
+                z-index: 0;
+            }
+            
+            .dark .workflow-node.workflow-group {
+                background: rgba(96, 165, 250, 0.05);
+                border-color: #475569;
+                box-shadow: none;
+            }
+            
+            .workflow-node.workflow-group.collapsed {
+                min-width: 180px;
+                background: white;
+                border-style: solid;
+            }
+            
+            .dark .workflow-node.workflow-group.collapsed {
+                background: #1e293b;
+            }
+            
+            .workflow-node.workflow-group.selected {
+                border-color: #3b82f6;
+            }
+            
+            .workflow-node.workflow-group.drop-target {
+                border-color: #3b82f6;
+                background: rgba(59, 130, 246, 0.1);
+            }
+            
+            .dark .workflow-node.workflow-group.drop-target {
+                border-color: #60a5fa;
+                background: rgba(96, 165, 250, 0.12);
+            }
+            
+            .workflow-group-header {
+                display: flex;
+                align-items: center;
+                gap: 6px;
+                padding: 8px 10px;
+                font-size: 12px;
+                font-weight: 600;
+                color: #4b5563;
+            }
+            
+            .dark .workflow-group-header {
+                color: #cbd5e1;
+            }
+            
+            .workflow-group-toggle {
+                padding: 0 2px;
+                font: inherit;
+                color: inherit;
+                background: transparent;
+                border: none;
+                cursor: pointer;
+            }
+            
+            .workflow-group-count {
+                margin-left: auto;
+                font-weight: 400;
+                color: #9ca3af;
+            }
+            
+            .group-hidden {
+                display: none !important;
+            }
+            
             .node-port {
                 position: absolute;
                 width: 10px;
@@ -234,6 +712,88 @@ export default class SwanEditor {
                 transform: scale(1.4) translateY(-50%);
             }
             
+            .node-port.side-top,
+            .node-port.side-bottom {
+                transform: translateX(-50%);
+            }
+            
+            .node-port.side-top:hover,
+            .node-port.side-bottom:hover {
+                transform: scale(1.4) translateX(-50%);
+            }
+            
+            .node-port.proxy {
+                border-style: dashed;
+                cursor: default;
+            }
+            
+            .node-port.incompatible {
+                opacity: 0.3;
+                filter: grayscale(1);
+                cursor: not-allowed;
+            }
+            
+            .node-port.compatible {
+                box-shadow: 0 0 0 3px rgba(59, 130, 246, 0.35);
+            }
+            
+            .dark .node-port.compatible {
+                box-shadow: 0 0 0 3px rgba(96, 165, 250, 0.4);
+            }
+            
+            .workflow-overlay,
+            .workflow-plugin-layer {
+                position: absolute;
+                inset: 0;
+                pointer-events: none;
+            }
+            
+            .workflow-overlay {
+                z-index: 1500;
+            }
+            
+            .workflow-notice {
+                position: absolute;
+                left: 50%;
+                bottom: 16px;
+                transform: translateX(-50%);
+                padding: 8px 14px;
+                border-radius: 6px;
+                font-size: 12px;
+                background: #1f2937;
+                color: white;
+                box-shadow: 0 4px 12px rgba(0,0,0,0.15);
+                pointer-events: none;
+                z-index: 2000;
+            }
+            
+            .workflow-notice.error {
+                background: #dc2626;
+            }
+            
+            .dark .workflow-notice {
+                background: #e2e8f0;
+                color: #0f172a;
+            }
+            
+            .dark .workflow-notice.error {
+                background: #f87171;
+            }
+            
+            .node-port-label {
+                position: absolute;
+                font-size: 10px;
+                line-height: 1;
+                color: #6b7280;
+                white-space: nowrap;
+                pointer-events: none;
+                z-index: 10;
+            }
+            
+            .dark .node-port-label {
+                color: #94a3b8;
+            }
+            
             .node-port.connected {
                 background: #10b981;
             }
@@ -278,6 +838,91 @@ export default class SwanEditor {
                 stroke: #60a5fa;
             }
             
+            .edge-label {
+                position: absolute;
+                transform: translate(-50%, -50%);
+                padding: 2px 8px;
+                font-size: 11px;
+                line-height: 16px;
+                color: #374151;
+                background: white;
+                border: 1px solid #e5e7eb;
+                border-radius: 10px;
+                white-space: nowrap;
+                cursor: pointer;
+                user-select: none;
+                z-index: 2;
+            }
+            
+            .dark .edge-label {
+                color: #cbd5e1;
+                background: #1e293b;
+                border-color: #334155;
+            }
+            
+            .edge-label-input {
+                width: 120px;
+                padding: 0;
+                font: inherit;
+                color: inherit;
+                background: transparent;
+                border: none;
+                outline: none;
+            }
+            
+            .edge-path.selected {
+                stroke: #3b82f6 !important;
+                stroke-width: 3 !important;
+            }
+            
+            .dark .edge-path.selected {
+                stroke: #60a5fa !important;
+            }
+            
+            .edge-label.selected {
+                border-color: #3b82f6;
+                box-shadow: 0 0 0 2px rgba(59, 130, 246, 0.2);
+            }
+            
+            .dark .edge-label.selected {
+                border-color: #60a5fa;
+            }
+            
+            .edge-handle {
+                position: absolute;
+                width: 10px;
+                height: 10px;
+                transform: translate(-50%, -50%);
+                background: white;
+                border: 2px solid #3b82f6;
+                border-radius: 50%;
+                box-sizing: border-box;
+                cursor: grab;
+                z-index: 11;
+            }
+            
+            .dark .edge-handle {
+                background: #1e293b;
+                border-color: #60a5fa;
+            }
+            
+            .edge-path.reconnecting {
+                opacity: 0.3;
+            }
+            
+            .selection-box {
+                position: absolute;
+                border: 1px solid #3b82f6;
+                background: rgba(59, 130, 246, 0.08);
+                pointer-events: none;
+                z-index: 5;
+            }
+            
+            .dark .selection-box {
+                border-color: #60a5fa;
+                background: rgba(96, 165, 250, 0.12);
+            }
+            
             .edge-path.preview {
                 stroke: #f59e0b;
                 stroke-dasharray: 5, 5;
@@ -293,6 +938,28 @@ export default class SwanEditor {
                 to { stroke-dashoffset: -10; }
             }
             
+            /* Edges that carried data in a run */
+            .edge-path.status-active {
+                stroke-dasharray: 5, 5;
+                animation: dash 0.5s linear infinite;
+            }
+            
+            .edge-path.status-success {
+                stroke: #22c55e !important;
+            }
+            
+            .dark .edge-path.status-success {
+                stroke: #4ade80 !important;
+            }
+            
+            .edge-path.status-error {
+                stroke: #ef4444 !important;
+            }
+            
+            .dark .edge-path.status-error {
+                stroke: #f87171 !important;
+            }
+            
             .node-handle {
                 position: absolute;
                 top: 0;
@@ -352,10 +1019,7 @@ export default class SwanEditor {
         this.updateCanvasBackground();
         
         // Update all edge markers
-        this.edges.forEach(edge => {
-            const markerSuffix = this.options.theme === 'dark' ? '-dark' : '-light';
-            edge.element.setAttribute('marker-end', `url(#wf-arrowhead${markerSuffix})`);
-        });
+        this.edges.forEach(edge => this.updateEdgeMarker(edge));
         
         // Re-render all nodes to update text colors
         this.nodes.forEach(node => {
@@ -405,10 +1069,25 @@ export default class SwanEditor {
             }
         });
         
-        // Input node type
-        // this.registerNodeType('input', {
-        //     template: (node) => `
-        //         <div class="node-handle" style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);"></div>
+        // Group container: children keep absolute positions and move with it
+        this.registerNodeType('group', {
+            template: (node) => `
+                <div class="workflow-group-header">
+                    <button class="workflow-group-toggle" data-group-toggle="${node.id}" title="${node.data.collapsed ? 'Expand' : 'Collapse'}">
+                        ${node.data.collapsed ? '&#9656;' : '&#9662;'}
+                    </button>
+                    <span>${this.escapeHTML(node.data.title || 'Group')}</span>
+                    ${node.data.collapsed ? `<span class="workflow-group-count">${this.getChildNodes(node.id).length}</span>` : ''}
+                </div>
+            `,
+            ports: [],
+            onUpdate: () => this.refreshGroups()
+        });
+        
+        // Input node type
+        // this.registerNodeType('input', {
+        //     template: (node) => `
+        //         <div class="node-handle" style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);"></div>
         //         <div class="node-content" style="padding: 16px;">
         //             <h3 style="margin: 0 0 8px 0; font-size: 14px; font-weight: 600; color: #374151;">
         //                 ${node.data.title || 'Input'}
@@ -432,50 +1111,173 @@ export default class SwanEditor {
      * Register a custom node type
      * @param {string} type - Node type identifier
      * @param {Object} config - Node configuration
+     * 
+     * `config.ports` accepts the shorthand strings 'input' / 'output' or port
+     * definitions: {id, direction: 'input'|'output', label, side: 'left'|'right'|'top'|'bottom',
+     * position: 0..1 along the side, maxEdges, dataType, required}
+     * 
+     * `config.execute` is an optional async (inputs, node, context) => output used by execute()
+     * `config.requiredData` lists data fields validate() reports when empty
+     * `config.version` (default 1) and `config.migrate(oldData, fromVersion)` upgrade
+     * stored node data when a workflow saved with an older version is loaded
      */
     registerNodeType(type, config) {
-        this.nodeTypes.set(type, {
+        // Connection rules (ports, limits, canConnect, getEdgeStyle) are normalized by the graph
+        this.graph.registerNodeType(type, {
+            ...config,
             template: config.template || ((node) => `<div style="padding: 16px;">${type}</div>`),
-            ports: config.ports || ['input', 'output'],
             style: config.style || {},
-            maxOutputEdges: config.maxOutputEdges || null, // null = unlimited, number = limit
-            maxInputEdges: config.maxInputEdges || null,   // null = unlimited, number = limit
             onCreate: config.onCreate || (() => {}),
             onUpdate: config.onUpdate || (() => {}),
-            getEdgeStyle: config.getEdgeStyle || (() => ({})),
+            getEdgeLabel: config.getEdgeLabel || null,     // (edge, sourceNode, targetNode) => HTML string
             onDelete: config.onDelete || (() => {}),
             onConnect: config.onConnect || (() => {}),
             onDisconnect: config.onDisconnect || (() => {})
         });
     }
     
+    /**
+     * Register a converter between two port data types
+     * Registering a converter also makes the types compatible.
+     * @param {string} fromType - Output port data type
+     * @param {string} toType - Input port data type
+     * @param {Function} convert - (value) => converted value
+     */
+    registerTypeConverter(fromType, toType, convert) {
+        this.graph.registerTypeConverter(fromType, toType, convert);
+    }
+    
+    /**
+     * Get the converter between two port data types
+     * @returns {Function|null}
+     */
+    getTypeConverter(fromType, toType) {
+        return this.graph.getTypeConverter(fromType, toType);
+    }
+    
+    /**
+     * Check whether an output data type may feed an input data type
+     * Untyped ports and 'any' are compatible with everything.
+     */
+    isTypeCompatible(outputType, inputType) {
+        return this.graph.isTypeCompatible(outputType, inputType);
+    }
+    
+    /**
+     * Normalize port definitions of a node type
+     * @param {Array} ports - Port shorthands ('input' / 'output') or definition objects
+     * @returns {Array} Port definitions
+     */
+    normalizePorts(ports) {
+        return this.graph.normalizePorts(ports);
+    }
+    
+    /**
+     * Get the port definitions of a node
+     * @param {string} nodeId - Node ID
+     * @returns {Array} Port definitions
+     */
+    getNodePorts(nodeId) {
+        const ports = this.graph.getNodePorts(nodeId);
+        
+        // Collapsed groups expose the boundary-crossing ports of their contents
+        const node = this.nodes.get(nodeId);
+        if (node && this.isGroup(nodeId) && node.data.collapsed) {
+            return ports.concat(this.getGroupProxyPorts(nodeId));
+        }
+        return ports;
+    }
+    
+    /**
+     * Get a single port definition
+     * @param {string} nodeId - Node ID
+     * @param {string} portId - Port ID
+     * @returns {Object|null} Port definition
+     */
+    getPortDefinition(nodeId, portId) {
+        return this.getNodePorts(nodeId).find(port => port.id === portId) || null;
+    }
+    
+    /**
+     * Get the default port of a node for a direction (first declared)
+     */
+    getDefaultPort(nodeId, direction) {
+        return this.graph.getDefaultPort(nodeId, direction);
+    }
+    
     /**
      * Set up global event listeners
      */
     setupEventListeners() {
         // Mouse events
         this.canvas.addEventListener('mousedown', this.handleMouseDown.bind(this));
-        document.addEventListener('mousemove', this.handleMouseMove.bind(this));
-        document.addEventListener('mouseup', this.handleMouseUp.bind(this));
+        this.listenGlobal(document, 'mousemove', this.handleMouseMove.bind(this));
+        this.listenGlobal(document, 'mouseup', this.handleMouseUp.bind(this));
         
         // Touch events
         this.canvas.addEventListener('touchstart', this.handleTouchStart.bind(this), { passive: false });
-        document.addEventListener('touchmove', this.handleTouchMove.bind(this), { passive: false });
-        document.addEventListener('touchend', this.handleTouchEnd.bind(this));
+        this.listenGlobal(document, 'touchmove', this.handleTouchMove.bind(this), { passive: false });
+        this.listenGlobal(document, 'touchend', this.handleTouchEnd.bind(this));
+        
+        // Wheel / trackpad pinch zoom
+        this.canvas.addEventListener('wheel', this.handleWheel.bind(this), { passive: false });
+        
+        // Track which editor on the page receives keyboard and clipboard input
+        this.listenGlobal(document, 'mousedown', (e) => {
+            this.active = this.container.contains(e.target);
+        }, true);
         
         // Keyboard events
-        document.addEventListener('keydown', this.handleKeyDown.bind(this));
+        this.listenGlobal(document, 'keydown', this.handleKeyDown.bind(this));
+        this.listenGlobal(document, 'keyup', this.handleKeyUp.bind(this));
+        this.listenGlobal(window, 'blur', () => this.setSpacePressed(false));
+        
+        // System clipboard (Ctrl/Cmd + C, X, V)
+        this.listenGlobal(document, 'copy', this.handleCopy.bind(this));
+        this.listenGlobal(document, 'cut', this.handleCut.bind(this));
+        this.listenGlobal(document, 'paste', this.handlePaste.bind(this));
         
         // Custom node update event
         this.canvas.addEventListener('nodeUpdate', (e) => {
             this.updateNodeData(e.detail.nodeId, e.detail.data);
         });
         
+        // Group collapse / expand buttons
+        this.canvas.addEventListener('click', (e) => {
+            const toggle = e.target.closest('[data-group-toggle]');
+            if (toggle) this.toggleGroup(toggle.dataset.groupToggle);
+        });
+        
+        // Debugger chrome: breakpoint toggles and the paused node's inspector
+        this.canvas.addEventListener('click', (e) => {
+            if (!this.debugger) return;
+            const breakpoint = e.target.closest('[data-breakpoint-toggle]');
+            if (breakpoint) this.debugger.toggleBreakpoint(breakpoint.dataset.breakpointToggle);
+            const action = e.target.closest('[data-debug-action]');
+            if (action) this.debugger[action.dataset.debugAction]();
+        });
+        this.canvas.addEventListener('change', (e) => {
+            if (!this.debugger || !e.target.matches('[data-debug-inputs]')) return;
+            try {
+                this.debugger.setInputs(JSON.parse(e.target.value));
+            } catch (error) {
+                this.showNotice('Inputs must be valid JSON');
+            }
+        });
+        
         // Prevent context menu
         this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
         
         // Window resize
-        window.addEventListener('resize', this.handleResize.bind(this));
+        this.listenGlobal(window, 'resize', this.handleResize.bind(this));
+    }
+    
+    /**
+     * Add a document or window listener that destroy() removes again
+     */
+    listenGlobal(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.globalListeners.push({ target, type, handler, options });
     }
     
     /**
@@ -487,39 +1289,13 @@ export default class SwanEditor {
      * @returns {string} Node ID
      */
     createNode(type = 'default', position = {}, data = {}, id = null) {
-        const nodeType = this.nodeTypes.get(type) || this.nodeTypes.get('default');
-        
-        // Use provided ID or generate new one
-        if (!id) {
-            id = `node-${this.nodeIdCounter++}`;
-        } else {
-            // Update counter if provided ID is higher
-            const idNumber = parseInt(id.replace('node-', ''));
-            if (!isNaN(idNumber) && idNumber >= this.nodeIdCounter) {
-                this.nodeIdCounter = idNumber + 1;
-            }
-        }
-        
-        const node = {
-            id,
-            type,
-            position: {
-                x: position.x || Math.random() * 400 + 100,
-                y: position.y || Math.random() * 300 + 100
-            },
-            data: {
-                ...this.options.nodeDefaults,
-                ...data
-            },
-            ports: {},
-            element: null
-        };
+        const nodeType = this.graph.getNodeType(type);
         
-        // Store node
-        this.nodes.set(id, node);
-        
-        // Initialize cache
-        this.initNodeCache(id);
+        // Add to the model (assigns the ID and default position), then attach view state
+        const node = this.graph.addNode(type, position, data, id);
+        node.ports = {};
+        node.element = null;
+        id = node.id;
 
         // Render node
         this.renderNode(node);
@@ -530,6 +1306,14 @@ export default class SwanEditor {
         // Trigger callback
         this.triggerCallback('onNodeCreate', node);
         
+        // Record for undo (snapshot taken after onCreate filled in defaults)
+        const snapshot = { position: { ...node.position }, data: { ...node.data } };
+        this.recordCommand({
+            label: 'createNode',
+            undo: () => this.deleteNode(id),
+            redo: () => this.createNode(type, { ...snapshot.position }, { ...snapshot.data }, id)
+        });
+        
         return id;
     }
     
@@ -546,6 +1330,12 @@ export default class SwanEditor {
         nodeEl.style.left = `${node.position.x}px`;
         nodeEl.style.top = `${node.position.y}px`;
         nodeEl.dataset.nodeId = node.id;
+        if (this.selectedNodes.has(node.id)) {
+            nodeEl.classList.add('selected');
+        }
+        if (this.isNodeHidden(node.id)) {
+            nodeEl.classList.add('group-hidden');
+        }
         
         // Apply custom styles
         if (nodeType.style) {
@@ -556,28 +1346,175 @@ export default class SwanEditor {
         nodeEl.innerHTML = nodeType.template(node);
         
         // Add ports
-        this.addNodePorts(nodeEl, node, nodeType.ports);
-        
-        // Add to canvas
-        this.canvas.appendChild(nodeEl);
+        const ports = this.getNodePorts(node.id);
+        node.ports = {};
+        this.addNodePorts(nodeEl, node, ports);
+        
+        // Groups are frames behind the nodes they contain
+        if (this.isGroup(node.id)) {
+            nodeEl.classList.add('workflow-group');
+            if (node.data.collapsed) {
+                // Tall enough to spread the proxy ports
+                const perSide = Math.max(0, ...['left', 'right'].map(side => ports.filter(port => port.side === side).length));
+                nodeEl.classList.add('collapsed');
+                nodeEl.style.height = `${Math.max(48, perSide * 16 + 24)}px`;
+            } else {
+                nodeEl.style.width = `${node.data.width || 300}px`;
+                nodeEl.style.height = `${node.data.height || 200}px`;
+            }
+            this.stage.insertBefore(nodeEl, this.stage.firstChild);
+        } else {
+            this.stage.appendChild(nodeEl);
+        }
         
         // Store element reference
         node.element = nodeEl;
+        
+        // Run status, debug chrome and diagnostics live outside node data, so re-renders keep them
+        this.renderNodeStatus(node);
+        this.renderNodeDebug(node);
+        this.renderNodeDiagnostics(node);
+    }
+    
+    /**
+     * Render the validation marker of a node, listing its diagnostics on hover
+     */
+    renderNodeDiagnostics(node) {
+        const nodeEl = node.element;
+        if (!nodeEl) return;
+        
+        const existing = nodeEl.querySelector(':scope > .workflow-node-diagnostic');
+        if (existing) existing.remove();
+        nodeEl.classList.remove('has-error', 'has-warning');
+        
+        const diagnostics = this.diagnostics.filter(diagnostic => diagnostic.nodeId === node.id);
+        if (diagnostics.length === 0) return;
+        
+        const severity = diagnostics.some(diagnostic => diagnostic.severity === 'error') ? 'error' : 'warning';
+        nodeEl.classList.add(`has-${severity}`);
+        
+        const marker = document.createElement('div');
+        marker.className = `workflow-node-diagnostic ${severity}`;
+        marker.textContent = severity === 'error' ? '!' : '?';
+        marker.dataset.detail = diagnostics.map(diagnostic => diagnostic.message).join('\n');
+        nodeEl.appendChild(marker);
+    }
+    
+    /**
+     * Render the run status badge of a node (spinner, check or error with tooltip)
+     */
+    renderNodeStatus(node) {
+        const nodeEl = node.element;
+        if (!nodeEl) return;
+        
+        const existing = nodeEl.querySelector(':scope > .workflow-node-status');
+        if (existing) existing.remove();
+        ['queued', 'running', 'success', 'error'].forEach(status => nodeEl.classList.remove(`status-${status}`));
+        
+        const entry = this.nodeStatus.get(node.id);
+        if (!entry) return;
+        
+        const { status, detail } = entry;
+        nodeEl.classList.add(`status-${status}`);
+        
+        const badge = document.createElement('div');
+        badge.className = `workflow-node-status ${status}`;
+        badge.textContent = { queued: '', running: '', success: '✓', error: '!' }[status];
+        if (detail) badge.dataset.detail = detail;
+        nodeEl.appendChild(badge);
     }
     
     /**
      * Add ports to a node element
      */
     addNodePorts(nodeEl, node, ports) {
-        ports.forEach(portType => {
+        ports.forEach(def => {
             const port = document.createElement('div');
-            port.className = `node-port ${portType}`;
-            port.dataset.portType = portType;
+            port.className = `node-port ${def.direction} side-${def.side}`;
+            port.dataset.portType = def.direction;
+            port.dataset.portId = def.id;
             port.dataset.nodeId = node.id;
+            if (def.proxy) {
+                port.classList.add('proxy');
+            }
+            if (def.label || def.dataType) {
+                port.title = def.dataType ? `${def.label || def.id} (${def.dataType})` : def.label;
+            }
+            
+            // Place the port on its side
+            const offset = `${def.position * 100}%`;
+            const vertical = def.side === 'left' || def.side === 'right';
+            Object.assign(port.style, {
+                left: def.side === 'left' ? '-5px' : vertical ? 'auto' : offset,
+                right: def.side === 'right' ? '-5px' : 'auto',
+                top: def.side === 'top' ? '-5px' : vertical ? offset : 'auto',
+                bottom: def.side === 'bottom' ? '-5px' : 'auto'
+            });
             nodeEl.appendChild(port);
             
+            // Label inside the node, next to the port (proxy ports only get a tooltip)
+            if (def.label && !def.proxy) {
+                const label = document.createElement('span');
+                label.className = 'node-port-label';
+                label.textContent = def.label;
+                Object.assign(label.style, {
+                    left: def.side === 'left' ? '10px' : vertical ? 'auto' : offset,
+                    right: def.side === 'right' ? '10px' : 'auto',
+                    top: def.side === 'top' ? '9px' : vertical ? offset : 'auto',
+                    bottom: def.side === 'bottom' ? '9px' : 'auto',
+                    transform: vertical ? 'translateY(-50%)' : 'translateX(-50%)'
+                });
+                nodeEl.appendChild(label);
+            }
+            
             // Store port reference
-            node.ports[portType] = port;
+            node.ports[def.id] = port;
+        });
+    }
+    
+    /**
+     * Move a node to a new position
+     * @param {string} nodeId - Node ID
+     * @param {Object} position - Position {x, y}
+     */
+    moveNode(nodeId, position) {
+        const node = this.nodes.get(nodeId);
+        if (!node) return;
+        
+        const from = { ...node.position };
+        const to = {
+            x: typeof position.x === 'number' ? position.x : from.x,
+            y: typeof position.y === 'number' ? position.y : from.y
+        };
+        if (from.x === to.x && from.y === to.y) return;
+        
+        // Groups bring their children along, so only the group is recorded
+        this.positionNode(node, to.x, to.y);
+        
+        this.recordCommand({
+            label: 'moveNode',
+            undo: () => this.moveNode(nodeId, from),
+            redo: () => this.moveNode(nodeId, to)
+        });
+        
+        this.triggerCallback('onNodeMove', node);
+    }
+    
+    /**
+     * Place a node and its group children without recording history
+     * @param {Object} node - Node
+     * @param {number} x - World X
+     * @param {number} y - World Y
+     */
+    positionNode(node, x, y) {
+        this.graph.moveNode(node.id, { x, y }).forEach(movedId => {
+            const moved = this.nodes.get(movedId);
+            moved.element.style.left = `${moved.position.x}px`;
+            moved.element.style.top = `${moved.position.y}px`;
+            this.scheduleEdgeUpdate(movedId);
+            
+            // Group contents moved along
+            if (movedId !== node.id) this.triggerCallback('onNodeMove', moved);
         });
     }
     
@@ -590,15 +1527,18 @@ export default class SwanEditor {
         const node = this.nodes.get(nodeId);
         if (!node) return;
         
-        // Update data
-        Object.assign(node.data, data);
+        // Update data, keeping previous values so the change can be undone
+        const previous = this.graph.updateNodeData(nodeId, data);
         
         // Re-render node
         const oldElement = node.element;
         this.renderNode(node);
         oldElement.remove();
         
-        // Update edges
+        // Update edges (label templates may depend on node data)
+        this.edges.forEach(edge => {
+            if (edge.source === nodeId || edge.target === nodeId) this.renderEdgeLabel(edge);
+        });
         this.scheduleEdgeUpdate(nodeId);
         
         // Get node type
@@ -607,20 +1547,46 @@ export default class SwanEditor {
         // Call onUpdate lifecycle
         nodeType.onUpdate(node, data);
         
+        // Record for undo; rapid edits of the same fields (typing) merge into one step
+        const next = { ...data };
+        this.recordCommand({
+            label: 'updateNodeData',
+            mergeKey: `update:${nodeId}:${Object.keys(data).sort().join(',')}`,
+            undo: () => this.updateNodeData(nodeId, previous),
+            redo: () => this.updateNodeData(nodeId, next)
+        });
+        
         // Trigger callback
         this.triggerCallback('onNodeUpdate', node, data);
     }
     
     /**
      * Delete a node
+     * @param {string} nodeId - Node ID
+     * @param {Object} options - {force: skip the beforeNodeDelete veto}
+     * @returns {boolean} Whether the node was deleted
      */
-    deleteNode(nodeId) {
+    deleteNode(nodeId, options = {}) {
         const node = this.nodes.get(nodeId);
-        if (!node) return;
+        if (!node) return false;
+        
+        // Any listener may veto deleting the node or something inside it
+        if (!options.force && !this.history.replaying) {
+            const allowed = [nodeId, ...this.getDescendantIds(nodeId)].every(id =>
+                this.triggerCallback('onBeforeNodeDelete', this.nodes.get(id)) !== false
+            );
+            if (!allowed) return false;
+        }
         
         // Get node type
         const nodeType = this.nodeTypes.get(node.type) || this.nodeTypes.get('default');
         
+        // Group the cascading edge deletions with the node into one undo step
+        this.beginTransaction('deleteNode');
+        
+        // Deleting a group deletes its contents (already asked above)
+        this.getChildNodes(nodeId).forEach(child => this.deleteNode(child.id, { force: true }));
+        
         // Remove connected edges
         const connectedEdges = Array.from(this.edges.values()).filter(
             edge => edge.source === nodeId || edge.target === nodeId
@@ -634,1156 +1600,3984 @@ export default class SwanEditor {
         
         // Remove from selection
         this.selectedNodes.delete(nodeId);
-        
-        // Cleanup cache
-        this.cleanupNodeCache(nodeId);
-
-        // Remove from map
-        this.nodes.delete(nodeId);
+        this.dirtyNodes.delete(nodeId);
+        this.nodeStatus.delete(nodeId);
+        this.diagnostics = this.diagnostics.filter(diagnostic => diagnostic.nodeId !== nodeId);
+        if (this.debugger) this.debugger.breakpoints.delete(nodeId);
+        
+        // Remove from the model (edges and contents are already gone)
+        this.graph.removeNode(nodeId);
+        if (node.parentId) {
+            this.scheduleGroupRefresh();
+        }
         
         // Call onDelete lifecycle
         nodeType.onDelete(node);
         
+        // Record for undo
+        const snapshot = { type: node.type, position: { ...node.position }, data: { ...node.data }, parentId: node.parentId };
+        this.recordCommand({
+            label: 'deleteNode',
+            undo: () => {
+                this.createNode(snapshot.type, { ...snapshot.position }, { ...snapshot.data }, nodeId);
+                if (snapshot.parentId) this.setNodeParent(nodeId, snapshot.parentId);
+            },
+            redo: () => this.deleteNode(nodeId)
+        });
+        this.endTransaction();
+        
         // Trigger callback
         this.triggerCallback('onNodeDelete', node);
+        
+        return true;
     }
     
     /**
-     * Create an edge between two nodes
+     * Check whether a node is a group container
      */
-    createEdge(sourceId, targetId, options = {}) {
-        // Validate nodes exist
-        if (!this.nodes.has(sourceId) || !this.nodes.has(targetId)) {
-            console.error('SwanEditor: Invalid source or target node');
-            return null;
-        }
-        
-        // Check for duplicate edges
-        const existingEdge = Array.from(this.edges.values()).find(
-            edge => edge.source === sourceId && edge.target === targetId
-        );
-        if (existingEdge) {
-            console.warn('SwanEditor: Edge already exists');
-            return existingEdge.id;
-        }
-        
-        // Get source and target nodes and their types
-        const sourceNode = this.nodes.get(sourceId);
-        const sourceType = this.nodeTypes.get(sourceNode.type);
-        const targetNode = this.nodes.get(targetId);
-        const targetType = this.nodeTypes.get(targetNode.type);
-        
-        // Count existing outgoing edges from source to determine edge index
-        const existingOutgoingEdges = Array.from(this.edges.values()).filter(
-            edge => edge.source === sourceId
-        );
-        const edgeIndex = existingOutgoingEdges.length;
-        
-        // Check max output edges for source node
-        if (sourceType && sourceType.maxOutputEdges !== null) {
-            if (edgeIndex >= sourceType.maxOutputEdges) {
-                console.warn(`SwanEditor: Maximum output edges (${sourceType.maxOutputEdges}) reached for node ${sourceId}`);
-                return null;
-            }
-        }
-        
-        // Check max input edges for target node
-        if (targetType && targetType.maxInputEdges !== null) {
-            const currentInputEdges = Array.from(this.edges.values()).filter(
-                edge => edge.target === targetId
-            ).length;
-            if (currentInputEdges >= targetType.maxInputEdges) {
-                console.warn(`SwanEditor: Maximum input edges (${targetType.maxInputEdges}) reached for node ${targetId}`);
-                return null;
-            }
-        }
-        
-        // Get custom edge style from node type if available
-        let customEdgeStyle = {};
-        if (sourceType && sourceType.getEdgeStyle) {
-            customEdgeStyle = sourceType.getEdgeStyle(sourceNode, edgeIndex, targetId) || {};
+    isGroup(nodeId) {
+        return this.graph.isGroup(nodeId);
+    }
+    
+    /**
+     * Get the direct children of a group
+     * @param {string} groupId - Group node ID
+     * @returns {Array} Child nodes
+     */
+    getChildNodes(groupId) {
+        return this.graph.getChildNodes(groupId);
+    }
+    
+    /**
+     * Get the IDs of all nodes nested (at any depth) inside a group
+     */
+    getDescendantIds(groupId) {
+        return this.graph.getDescendantIds(groupId);
+    }
+    
+    /**
+     * Count the groups a node is nested in
+     */
+    getNodeDepth(nodeId) {
+        return this.graph.getNodeDepth(nodeId);
+    }
+    
+    /**
+     * Get the outermost collapsed group around a node
+     * @returns {string|null} Group ID, or null if the node is visible
+     */
+    getCollapsedAncestor(nodeId) {
+        let collapsed = null;
+        let node = this.nodes.get(nodeId);
+        while (node && node.parentId) {
+            node = this.nodes.get(node.parentId);
+            if (node && node.data.collapsed) collapsed = node.id;
         }
-
-        const id = `edge-${this.edgeIdCounter++}`;
-        const edge = {
-            id,
-            source: sourceId,
-            target: targetId,
-            edgeIndex,  // Store the edge index for reference
-            style: {
-                ...this.options.edgeStyle,
-                ...customEdgeStyle,
-                ...options.style
-            },
-            data: options.data || {},
-            element: null
-        };
-        
-        this.edges.set(id, edge);
-        this.renderEdge(edge);
-        this.updatePortStates();
-        
-        // Update cache
-        this.updateCacheOnEdgeCreate(edge);
-        
-        if (sourceType && sourceType.onConnect) sourceType.onConnect(sourceNode, targetNode, edge);
-        if (targetType && targetType.onConnect) targetType.onConnect(targetNode, sourceNode, edge);
-
-        // Trigger callback
-        this.triggerCallback('onEdgeCreate', edge);
-        
-        return id;
+        return collapsed;
     }
     
     /**
-     * Render an edge
+     * Check whether a node is hidden inside a collapsed group
      */
-    renderEdge(edge) {
-        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-        path.id = edge.id;
-        path.setAttribute('class', 'edge-path');
+    isNodeHidden(nodeId) {
+        return this.getCollapsedAncestor(nodeId) !== null;
+    }
+    
+    /**
+     * Resolve where an edge endpoint is drawn
+     * Endpoints inside a collapsed group map to the group's proxy port "nodeId:portId".
+     * @returns {Object} {nodeId, portId}
+     */
+    getVisibleEndpoint(nodeId, portId) {
+        const groupId = this.getCollapsedAncestor(nodeId);
+        return groupId ? { nodeId: groupId, portId: `${nodeId}:${portId}` } : { nodeId, portId };
+    }
+    
+    /**
+     * Build the proxy ports of a collapsed group, one per boundary-crossing endpoint
+     * @param {string} groupId - Group node ID
+     * @returns {Array} Port definitions
+     */
+    getGroupProxyPorts(groupId) {
+        const proxies = new Map();
         
-        // Set marker based on edge color or theme
-        if (edge.style && edge.style.markerColor) {
-            path.setAttribute('marker-end', `url(#wf-arrowhead-${edge.style.markerColor})`);
-        }
+        this.edges.forEach(edge => {
+            const source = this.getVisibleEndpoint(edge.source, edge.sourcePort);
+            const target = this.getVisibleEndpoint(edge.target, edge.targetPort);
+            if (source.nodeId === target.nodeId) return;
+            
+            [
+                { end: source, nodeId: edge.source, portId: edge.sourcePort, direction: 'output' },
+                { end: target, nodeId: edge.target, portId: edge.targetPort, direction: 'input' }
+            ].forEach(({ end, nodeId, portId, direction }) => {
+                if (end.nodeId !== groupId || proxies.has(end.portId)) return;
+                
+                const inner = this.nodes.get(nodeId);
+                const port = this.getPortDefinition(nodeId, portId);
+                const name = inner.data.title || nodeId;
+                proxies.set(end.portId, {
+                    id: end.portId,
+                    direction,
+                    label: port && port.label ? `${name} · ${port.label}` : name,
+                    dataType: port ? port.dataType : null
+                });
+            });
+        });
         
-        // Apply custom styles
-        if (edge.style) {
-            if (edge.style.color) path.style.stroke = edge.style.color;
-            if (edge.style.width) path.style.strokeWidth = edge.style.width;
-            if (edge.style.dashed) path.style.strokeDasharray = '5, 5';
-            if (edge.style.animated) {
-                path.style.animation = 'dash 0.5s linear infinite';
+        return this.normalizePorts(Array.from(proxies.values())).map(def => ({ ...def, proxy: true }));
+    }
+    
+    /**
+     * Wrap nodes in a new group
+     * @param {Array} nodeIds - Nodes to group (defaults to the selection)
+     * @param {Object} data - Group data, e.g. {title}
+     * @returns {string|null} Group ID
+     */
+    createGroup(nodeIds = Array.from(this.selectedNodes), data = {}) {
+        const ids = nodeIds.filter(id => this.nodes.has(id));
+        const padding = 20;
+        const header = 36;
+        let groupId = null;
+        
+        this.transaction('createGroup', () => {
+            const bounds = this.getNodesBounds(ids);
+            groupId = this.createNode('group', bounds ? {
+                x: bounds.minX - padding,
+                y: bounds.minY - padding - header
+            } : {}, {
+                title: 'Group',
+                width: bounds ? bounds.width + padding * 2 : 300,
+                height: bounds ? bounds.height + padding * 2 + header : 200,
+                ...data
+            });
+            
+            // Nodes sharing a parent keep it: the new group nests inside
+            const parents = new Set(ids.map(id => this.nodes.get(id).parentId));
+            if (parents.size === 1 && ids.length > 0 && this.nodes.get(ids[0]).parentId) {
+                this.setNodeParent(groupId, this.nodes.get(ids[0]).parentId);
             }
-        }
-        
-        path.addEventListener('click', (e) => {
-            e.stopPropagation();
-            this.selectEdge(edge.id);
+            
+            // Keep nesting among the grouped nodes themselves
+            ids.filter(id => !ids.includes(this.nodes.get(id).parentId))
+                .forEach(id => this.setNodeParent(id, groupId));
         });
         
-        edge.element = path;
-        this.svg.appendChild(path);
-        this.updateEdgePath(edge);
+        return groupId;
     }
     
     /**
-     * Update edge path based on node positions
+     * Move a node into a group, or out of any group
+     * @param {string} nodeId - Node ID
+     * @param {string|null} parentId - Group ID, or null for the top level
+     * @returns {boolean} Whether the node now has that parent
      */
-    updateEdgePath(edge) {
-        const sourceNode = this.nodes.get(edge.source);
-        const targetNode = this.nodes.get(edge.target);
-        
-        if (!sourceNode || !targetNode || !edge.element) return;
+    setNodeParent(nodeId, parentId = null) {
+        const node = this.nodes.get(nodeId);
+        if (!node) return false;
         
-        // Get port positions
-        const sourcePort = sourceNode.ports.output || sourceNode.element.querySelector('.node-port.output');
-        const targetPort = targetNode.ports.input || targetNode.element.querySelector('.node-port.input');
+        parentId = parentId || null;
+        const previous = node.parentId;
+        if (previous === parentId) return true;
+        if (!this.graph.setNodeParent(nodeId, parentId)) return false;
         
-        if (!sourcePort || !targetPort) return;
+        this.scheduleGroupRefresh();
         
-        const sourceRect = sourcePort.getBoundingClientRect();
-        const targetRect = targetPort.getBoundingClientRect();
-        const canvasRect = this.canvas.getBoundingClientRect();
+        this.recordCommand({
+            label: 'setNodeParent',
+            undo: () => this.setNodeParent(nodeId, previous),
+            redo: () => this.setNodeParent(nodeId, parentId)
+        });
         
-        // Calculate positions relative to canvas
-        const x1 = sourceRect.left - canvasRect.left + sourceRect.width / 2 + this.canvas.scrollLeft;
-        const y1 = sourceRect.top - canvasRect.top + sourceRect.height / 2 + this.canvas.scrollTop;
-        const x2 = targetRect.left - canvasRect.left + targetRect.width / 2 + this.canvas.scrollLeft;
-        const y2 = targetRect.top - canvasRect.top + targetRect.height / 2 + this.canvas.scrollTop;
+        this.triggerCallback('onNodeParentChange', node, previous);
+        return true;
+    }
+    
+    /**
+     * Grow a group so it encloses all its children
+     * @param {string} groupId - Group node ID
+     */
+    fitGroup(groupId) {
+        const group = this.nodes.get(groupId);
+        if (!group || !this.isGroup(groupId) || group.data.collapsed) return;
+        
+        const bounds = this.getNodesBounds(this.getChildNodes(groupId).map(child => child.id));
+        if (!bounds) return;
+        
+        const padding = 20;
+        const header = 36;
+        const current = {
+            x: group.position.x,
+            y: group.position.y,
+            width: group.data.width || 300,
+            height: group.data.height || 200
+        };
+        const frame = {
+            x: Math.min(current.x, bounds.minX - padding),
+            y: Math.min(current.y, bounds.minY - padding - header)
+        };
+        frame.width = Math.max(current.x + current.width, bounds.maxX + padding) - frame.x;
+        frame.height = Math.max(current.y + current.height, bounds.maxY + padding) - frame.y;
         
-        // Create smooth bezier curve
-        const dx = x2 - x1;
-        const dy = y2 - y1;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-        const curvature = Math.min(distance * 0.5, 100);
+        if (frame.x === current.x && frame.y === current.y &&
+            frame.width === current.width && frame.height === current.height) return;
         
-        const ctrl1x = x1 + curvature;
-        const ctrl1y = y1;
-        const ctrl2x = x2 - curvature;
-        const ctrl2y = y2;
+        this.setGroupFrame(groupId, frame);
+        this.recordCommand({
+            label: 'fitGroup',
+            undo: () => this.setGroupFrame(groupId, current),
+            redo: () => this.setGroupFrame(groupId, frame)
+        });
         
-        const d = `M ${x1} ${y1} C ${ctrl1x} ${ctrl1y}, ${ctrl2x} ${ctrl2y}, ${x2} ${y2}`;
-        edge.element.setAttribute('d', d);
+        // Growing may push the group past its own parent
+        if (group.parentId) this.fitGroup(group.parentId);
     }
     
     /**
-     * Schedule edge updates with RAF for performance
+     * Set a group's position and size without moving its children
+     * @param {string} groupId - Group node ID
+     * @param {Object} frame - {x, y, width, height}
      */
-    scheduleEdgeUpdate(nodeId) {
-        // Add to update queue
-        this.updateQueue.add(nodeId);
-        
-        // Schedule update if not already scheduled
-        if (!this.rafId) {
-            this.rafId = requestAnimationFrame(() => {
-                this.processUpdateQueue();
-            });
+    setGroupFrame(groupId, frame) {
+        const group = this.nodes.get(groupId);
+        if (!group) return;
+        
+        group.position.x = frame.x;
+        group.position.y = frame.y;
+        group.data.width = frame.width;
+        group.data.height = frame.height;
+        
+        group.element.style.left = `${frame.x}px`;
+        group.element.style.top = `${frame.y}px`;
+        if (!group.data.collapsed) {
+            group.element.style.width = `${frame.width}px`;
+            group.element.style.height = `${frame.height}px`;
         }
     }
     
     /**
-     * Process queued edge updates
+     * Find the innermost expanded group under a node's center
+     * @param {string} nodeId - Node being dropped
+     * @returns {string|null} Group ID
      */
-    processUpdateQueue() {
-        this.updateQueue.forEach(nodeId => {
-            this.edges.forEach(edge => {
-                if (edge.source === nodeId || edge.target === nodeId) {
-                    this.updateEdgePath(edge);
+    findDropGroup(nodeId) {
+        const bounds = this.getNodesBounds([nodeId]);
+        if (!bounds) return null;
+        
+        const x = (bounds.minX + bounds.maxX) / 2;
+        const y = (bounds.minY + bounds.maxY) / 2;
+        const excluded = new Set([nodeId, ...this.getDescendantIds(nodeId)]);
+        
+        let found = null;
+        let foundDepth = -1;
+        this.nodes.forEach((group, id) => {
+            if (!this.isGroup(id) || excluded.has(id) || group.data.collapsed || this.isNodeHidden(id)) return;
+            
+            const frame = this.getNodesBounds([id]);
+            if (x >= frame.minX && x <= frame.maxX && y >= frame.minY && y <= frame.maxY) {
+                const depth = this.getNodeDepth(id);
+                if (depth > foundDepth) {
+                    found = id;
+                    foundDepth = depth;
                 }
-            });
+            }
         });
         
-        this.updateQueue.clear();
-        this.rafId = null;
+        return found;
     }
     
     /**
-     * Delete an edge
+     * Collapse a group into a single node
+     * Boundary-crossing edges attach to proxy ports on the collapsed group.
      */
-    deleteEdge(edgeId) {
-        const edge = this.edges.get(edgeId);
-        if (!edge) return;
-        
-        // Update cache before deletion
-        this.updateCacheOnEdgeDelete(edge);
-        
-        // Call onDisconnect lifecycle for both nodes
-        const sourceNode = this.nodes.get(edge.source);
-        const targetNode = this.nodes.get(edge.target);
-        if (sourceNode && targetNode) {
-            const sourceType = this.nodeTypes.get(sourceNode.type);
-            const targetType = this.nodeTypes.get(targetNode.type);
-            
-            if (sourceType.onDisconnect) sourceType.onDisconnect(sourceNode, targetNode, edge);
-            if (targetType.onDisconnect) targetType.onDisconnect(targetNode, sourceNode, edge);
-        }
-        
-        // Remove element
-        if (edge.element) {
-            edge.element.remove();
+    collapseGroup(groupId) {
+        this.setGroupCollapsed(groupId, true);
+    }
+    
+    /**
+     * Expand a collapsed group
+     */
+    expandGroup(groupId) {
+        this.setGroupCollapsed(groupId, false);
+    }
+    
+    /**
+     * Toggle a group between collapsed and expanded
+     */
+    toggleGroup(groupId) {
+        const group = this.nodes.get(groupId);
+        if (group) this.setGroupCollapsed(groupId, !group.data.collapsed);
+    }
+    
+    /**
+     * Apply the collapsed state of a group
+     * @param {string} groupId - Group node ID
+     * @param {boolean} collapsed - Collapsed state
+     */
+    setGroupCollapsed(groupId, collapsed) {
+        const group = this.nodes.get(groupId);
+        if (!group || !this.isGroup(groupId) || !!group.data.collapsed === collapsed) return;
+        
+        group.data.collapsed = collapsed;
+        
+        // Hidden nodes and edges leave the selection
+        if (collapsed) {
+            const hidden = new Set(this.getDescendantIds(groupId));
+            const nodes = Array.from(this.selectedNodes).filter(id => !hidden.has(id));
+            const edges = Array.from(this.selectedEdges).filter(id => {
+                const edge = this.edges.get(id);
+                return !(hidden.has(edge.source) && hidden.has(edge.target));
+            });
+            if (nodes.length !== this.selectedNodes.size || edges.length !== this.selectedEdges.size) {
+                this.setSelection({ nodes, edges });
+            }
         }
         
-        // Remove from map
-        this.edges.delete(edgeId);
+        this.refreshGroups();
         
-        // Update port states
-        this.updatePortStates();
+        this.recordCommand({
+            label: collapsed ? 'collapseGroup' : 'expandGroup',
+            undo: () => this.setGroupCollapsed(groupId, !collapsed),
+            redo: () => this.setGroupCollapsed(groupId, collapsed)
+        });
         
-        // Trigger callback
-        this.triggerCallback('onEdgeDelete', edge);
+        this.triggerCallback(collapsed ? 'onGroupCollapse' : 'onGroupExpand', group);
     }
     
     /**
-     * Update port connection states
+     * Remove a group, keeping its children in place
+     * @param {string} groupId - Group node ID
+     * @returns {Array} IDs of the released children
      */
-    updatePortStates() {
-        // Reset all ports
-        this.canvas.querySelectorAll('.node-port').forEach(port => {
-            port.classList.remove('connected');
+    ungroup(groupId) {
+        const group = this.nodes.get(groupId);
+        if (!group || !this.isGroup(groupId)) return [];
+        
+        // The children stay, so only the group itself is up for veto
+        if (!this.history.replaying && this.triggerCallback('onBeforeNodeDelete', group) === false) return [];
+        
+        const children = this.getChildNodes(groupId).map(child => child.id);
+        this.transaction('ungroup', () => {
+            this.expandGroup(groupId);
+            children.forEach(id => this.setNodeParent(id, group.parentId));
+            this.deleteNode(groupId, { force: true });
         });
         
-        // Mark connected ports
-        this.edges.forEach(edge => {
-            const sourceNode = this.nodes.get(edge.source);
-            const targetNode = this.nodes.get(edge.target);
-            
-            if (sourceNode && sourceNode.ports.output) {
-                sourceNode.ports.output.classList.add('connected');
-            }
-            
-            if (targetNode && targetNode.ports.input) {
-                targetNode.ports.input.classList.add('connected');
-            }
-        });
+        return children;
     }
-
+    
     /**
-        * Get all the nodes connected to a specific node
-        * @param {Object} node - The node object to find connections for
-        * @returns {Array} - Array of connected node objects
-    */
-    getConnectedNodes(nodeId, direction = '') {
-        const connectionData = this.getConnectionDataCached(nodeId);
-        
-        if (direction === 'input') {
-            return { inputs: connectionData.inputs, outputs: [] };
-        } else if (direction === 'output') {
-            return { inputs: [], outputs: connectionData.outputs };
-        }
+     * Schedule a group refresh with RAF (batches parent changes)
+     */
+    scheduleGroupRefresh() {
+        if (this.groupRefreshId) return;
         
-        return {
-            inputs: connectionData.inputs,
-            outputs: connectionData.outputs
-        };
+        this.groupRefreshId = requestAnimationFrame(() => {
+            this.groupRefreshId = null;
+            this.refreshGroups();
+        });
     }
-
+    
     /**
-     * Clean up cache when node is deleted
-     * Call this in deleteNode() before this.nodes.delete(nodeId)
+     * Sync group frames, hidden nodes and edge endpoints with the group structure
      */
-    cleanupNodeCache(nodeId) {
-        this.connectionCache.delete(nodeId);
-        this.dirtyNodes.delete(nodeId);
+    refreshGroups() {
+        if (this.groupRefreshId) {
+            cancelAnimationFrame(this.groupRefreshId);
+            this.groupRefreshId = null;
+        }
+        
+        // Re-render groups innermost first: each goes to the back, so outer groups end up behind
+        Array.from(this.nodes.values())
+            .filter(node => this.isGroup(node.id))
+            .sort((a, b) => this.getNodeDepth(b.id) - this.getNodeDepth(a.id))
+            .forEach(node => {
+                const oldElement = node.element;
+                this.renderNode(node);
+                if (oldElement) oldElement.remove();
+            });
+        
+        this.nodes.forEach(node => {
+            if (node.element) node.element.classList.toggle('group-hidden', this.isNodeHidden(node.id));
+        });
+        
+        this.edges.forEach(edge => this.updateEdgePath(edge));
+        this.updatePortStates();
     }
-
+    
     /**
-     * Validate and repair cache (call periodically or on load)
+     * Create an edge between two nodes
+     * @param {string} sourceId - Source node ID
+     * @param {string} targetId - Target node ID
+     * @param {Object} options - {style, data, id, sourcePort, targetPort}
+     *   (id is auto-generated, ports default to the first output / input port)
+     * @returns {string|null} Edge ID
      */
-    validateCache() {
-        let issues = 0;
+    createEdge(sourceId, targetId, options = {}) {
+        // Listeners may veto the connection before any rule runs
+        if (!this.history.replaying && this.nodes.has(sourceId) && this.nodes.has(targetId)) {
+            const draft = {
+                source: sourceId,
+                target: targetId,
+                sourcePort: options.sourcePort || this.getDefaultPort(sourceId, 'output'),
+                targetPort: options.targetPort || this.getDefaultPort(targetId, 'input'),
+                style: { ...(options.style || {}) },
+                data: { ...(options.data || {}) }
+            };
+            if (this.triggerCallback('onBeforeEdgeCreate', draft) === false) return null;
+        }
         
-        // Rebuild cache from edges
-        const newCache = new Map();
+        // The graph runs every connection rule (ports, limits, types, canConnect hooks);
+        // undo/redo restores edges that were allowed when recorded, whatever the rules say now
+        const edgeCount = this.edges.size;
+        const edge = this.graph.addEdge(sourceId, targetId, { ...options, force: this.history.replaying });
+        if (!edge) {
+            this.reportReplayFailure(`Edge ${sourceId} -> ${targetId} could not be restored`);
+            return null;
+        }
+        if (this.edges.size === edgeCount) return edge.id;  // Already connected
         
-        this.nodes.forEach((node, nodeId) => {
-            newCache.set(nodeId, {
-                inputs: new Set(),
-                outputs: new Set()
-            });
-        });
+        const { id, sourcePort: sourcePortId, targetPort: targetPortId } = edge;
+        const sourceNode = this.nodes.get(sourceId);
+        const sourceType = this.graph.getNodeType(sourceNode.type);
+        const targetNode = this.nodes.get(targetId);
+        const targetType = this.graph.getNodeType(targetNode.type);
+        edge.element = null;
         
-        this.edges.forEach(edge => {
-            if (newCache.has(edge.source) && newCache.has(edge.target)) {
-                newCache.get(edge.source).outputs.add(edge.id);
-                newCache.get(edge.target).inputs.add(edge.id);
-            }
+        this.renderEdge(edge);
+        this.updatePortStates();
+        
+        // Collapsed groups need a proxy port for the new endpoint
+        if (this.isNodeHidden(sourceId) || this.isNodeHidden(targetId)) {
+            this.scheduleGroupRefresh();
+        }
+        
+        // Connection-aware nodes re-render
+        this.markConnectionDirty(edge);
+        
+        if (sourceType && sourceType.onConnect) sourceType.onConnect(sourceNode, targetNode, edge);
+        if (targetType && targetType.onConnect) targetType.onConnect(targetNode, sourceNode, edge);
+
+        // Record for undo
+        const snapshot = { style: { ...edge.style }, data: { ...edge.data } };
+        this.recordCommand({
+            label: 'createEdge',
+            undo: () => this.deleteEdge(id),
+            redo: () => this.createEdge(sourceId, targetId, {
+                id,
+                sourcePort: sourcePortId,
+                targetPort: targetPortId,
+                style: { ...snapshot.style },
+                data: { ...snapshot.data }
+            })
         });
         
-        // Compare with current cache
-        newCache.forEach((data, nodeId) => {
-            const current = this.connectionCache.get(nodeId);
-            if (!current || 
-                data.inputs.size !== current.inputs.size || 
-                data.outputs.size !== current.outputs.size) {
-                issues++;
+        // Trigger callback
+        this.triggerCallback('onEdgeCreate', edge);
+        
+        return id;
+    }
+    
+    /**
+     * Render an edge
+     */
+    renderEdge(edge) {
+        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        path.id = edge.id;
+        path.setAttribute('class', 'edge-path');
+        
+        // Apply custom styles
+        if (edge.style) {
+            if (edge.style.color) path.style.stroke = edge.style.color;
+            if (edge.style.width) path.style.strokeWidth = edge.style.width;
+            if (edge.style.dashed) path.style.strokeDasharray = '5, 5';
+            if (edge.style.animated) {
+                path.style.animation = 'dash 0.5s linear infinite';
             }
+        }
+        
+        path.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.selectEdge(edge.id, e.ctrlKey || e.metaKey || e.shiftKey);
+        });
+        path.addEventListener('dblclick', (e) => {
+            e.stopPropagation();
+            this.editEdgeLabel(edge.id);
         });
         
-        if (issues > 0) {
-            console.warn(`SwanEditor: Cache validation found ${issues} issues, rebuilding...`);
-            this.connectionCache = newCache;
-        }
+        edge.element = path;
+        this.svg.appendChild(path);
         
-    return issues;
-}
-
-
+        // Set marker based on selection, run status, edge color or theme
+        this.renderEdgeStatus(edge);
+        this.renderEdgeDiagnostics(edge);
+        
+        // Label lives in the HTML layer so templates can hold rich content
+        const label = document.createElement('div');
+        label.className = 'edge-label';
+        label.dataset.edgeId = edge.id;
+        label.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.selectEdge(edge.id, e.ctrlKey || e.metaKey || e.shiftKey);
+        });
+        label.addEventListener('dblclick', (e) => {
+            e.stopPropagation();
+            this.editEdgeLabel(edge.id);
+        });
+        edge.labelElement = label;
+        this.stage.appendChild(label);
+        this.renderEdgeLabel(edge);
+        
+        this.updateEdgePath(edge);
+    }
+    
+    /**
+     * Render the debugger chrome of a node: breakpoint toggle and, while paused
+     * before it, an inspector to edit its inputs and step, continue or abort
+     */
+    renderNodeDebug(node) {
+        const nodeEl = node.element;
+        if (!nodeEl) return;
+        
+        nodeEl.querySelectorAll(':scope > .workflow-node-breakpoint, :scope > .workflow-debug-panel')
+            .forEach(el => el.remove());
+        nodeEl.classList.remove('debug-paused');
+        
+        const debug = this.debugger;
+        if (!debug || this.isGroup(node.id)) return;
+        
+        const breakpoint = document.createElement('button');
+        breakpoint.className = `workflow-node-breakpoint${debug.hasBreakpoint(node.id) ? ' enabled' : ''}`;
+        breakpoint.dataset.breakpointToggle = node.id;
+        breakpoint.title = debug.hasBreakpoint(node.id) ? 'Remove breakpoint' : 'Add breakpoint';
+        nodeEl.appendChild(breakpoint);
+        
+        const state = debug.getState();
+        if (state.nodeId !== node.id) return;
+        
+        nodeEl.classList.add('debug-paused');
+        const panel = document.createElement('div');
+        panel.className = 'workflow-debug-panel';
+        panel.innerHTML = `
+            <strong>Paused before ${this.escapeHTML(node.data.title || node.id)}</strong>
+            <div>Inputs</div>
+            <textarea rows="4" data-debug-inputs spellcheck="false">${this.escapeHTML(JSON.stringify(state.inputs, null, 2))}</textarea>
+            <div>Upstream outputs</div>
+            <pre>${this.escapeHTML(JSON.stringify(state.outputs, null, 2))}</pre>
+            <button data-debug-action="step" title="Step (F10)">Step</button>
+            <button data-debug-action="continue" title="Continue (F8)">Continue</button>
+            <button data-debug-action="abort">Abort</button>
+        `;
+        nodeEl.appendChild(panel);
+    }
+    
     /**
-     * Initialize connection cache for a node
+     * Get the debugger of this editor (created on first use)
+     * Breakpoints and pauses show in the node chrome and emit the debug events.
+     * @returns {SwanDebugger}
      */
-    initNodeCache(nodeId) {
-        if (!this.connectionCache.has(nodeId)) {
-            this.connectionCache.set(nodeId, {
-                inputs: new Set(),   // Set of edge IDs
-                outputs: new Set()   // Set of edge IDs
+    getDebugger() {
+        if (!this.debugger) {
+            this.debugger = new SwanDebugger(this, {
+                callbacks: {
+                    onPause: (state) => this.triggerCallback('onDebugPause', state),
+                    onResume: (nodeId) => this.triggerCallback('onDebugResume', nodeId),
+                    onBreakpointChange: (nodeId, enabled) => this.triggerCallback('onBreakpointChange', nodeId, enabled)
+                }
             });
+            this.nodes.forEach(node => this.renderNodeDebug(node));
         }
+        return this.debugger;
     }
-
+    
     /**
-     * Update connection cache when edge is created
-     * Call this in createEdge() after this.edges.set(id, edge)
+     * Set the run status of a node
+     * Incoming edges follow: they animate while data flows from a succeeded
+     * source into a running node, then turn green or red with the node's outcome.
+     * @param {string} nodeId - Node ID
+     * @param {string} status - 'idle' | 'queued' | 'running' | 'success' | 'error'
+     * @param {string} detail - Tooltip text (e.g. the error message)
      */
-    updateCacheOnEdgeCreate(edge) {
-        // Initialize cache if needed
-        this.initNodeCache(edge.source);
-        this.initNodeCache(edge.target);
-        
-        // Update cache
-        this.connectionCache.get(edge.source).outputs.add(edge.id);
-        this.connectionCache.get(edge.target).inputs.add(edge.id);
+    setNodeStatus(nodeId, status = 'idle', detail = '') {
+        const node = this.nodes.get(nodeId);
+        if (!node) return;
+        if (!['idle', 'queued', 'running', 'success', 'error'].includes(status)) {
+            console.warn(`SwanEditor: Unknown node status "${status}"`);
+            return;
+        }
         
-        // Mark nodes as dirty for batch re-render
-        this.dirtyNodes.add(edge.source);
-        this.dirtyNodes.add(edge.target);
+        if (status === 'idle') {
+            this.nodeStatus.delete(nodeId);
+        } else {
+            this.nodeStatus.set(nodeId, { status, detail: detail ? String(detail) : '' });
+        }
+        this.renderNodeStatus(node);
+        
+        Array.from(this.edges.values())
+            .filter(edge => edge.target === nodeId)
+            .forEach(edge => {
+                const source = this.nodeStatus.get(edge.source);
+                if (status === 'running') {
+                    this.setEdgeStatus(edge.id, source && source.status === 'success' ? 'active' : 'idle');
+                } else if (status === 'success' || status === 'error') {
+                    if (this.edgeStatus.get(edge.id) === 'active') this.setEdgeStatus(edge.id, status);
+                } else {
+                    this.setEdgeStatus(edge.id, 'idle');
+                }
+            });
         
-        // Schedule batch update
-        this.scheduleBatchUpdate();
+        this.triggerCallback('onNodeStatusChange', node, status, detail);
     }
-
+    
     /**
-     * Update connection cache when edge is deleted
-     * Call this in deleteEdge() before this.edges.delete(edgeId)
+     * Get the run status of a node
+     * @returns {Object} {status, detail}
      */
-    updateCacheOnEdgeDelete(edge) {
-        const sourceCache = this.connectionCache.get(edge.source);
-        const targetCache = this.connectionCache.get(edge.target);
-        
-        if (sourceCache) sourceCache.outputs.delete(edge.id);
-        if (targetCache) targetCache.inputs.delete(edge.id);
-        
-        // Mark nodes as dirty
-        this.dirtyNodes.add(edge.source);
-        this.dirtyNodes.add(edge.target);
-        
-        // Schedule batch update
-        this.scheduleBatchUpdate();
+    getNodeStatus(nodeId) {
+        return { ...(this.nodeStatus.get(nodeId) || { status: 'idle', detail: '' }) };
     }
-
+    
     /**
-     * Batch update dirty nodes (debounced for performance)
+     * Reset every node and edge to idle
      */
-    scheduleBatchUpdate() {
-        if (this.batchUpdateTimer) {
-            clearTimeout(this.batchUpdateTimer);
-        }
-        
-        this.batchUpdateTimer = setTimeout(() => {
-            this.processDirtyNodes();
-        }, 16); // ~60fps
+    clearNodeStatus() {
+        Array.from(this.nodeStatus.keys()).forEach(nodeId => this.setNodeStatus(nodeId, 'idle'));
+        Array.from(this.edgeStatus.keys()).forEach(edgeId => this.setEdgeStatus(edgeId, 'idle'));
     }
-
+    
     /**
-     * Process all dirty nodes in one batch
+     * Set the run status of an edge
+     * @param {string} edgeId - Edge ID
+     * @param {string} status - 'idle' | 'active' (animated) | 'success' | 'error'
      */
-    processDirtyNodes() {
-        if (this.dirtyNodes.size === 0) return;
+    setEdgeStatus(edgeId, status = 'idle') {
+        const edge = this.edges.get(edgeId);
+        if (!edge) return;
         
-        // Process all dirty nodes
-        this.dirtyNodes.forEach(nodeId => {
-            const node = this.nodes.get(nodeId);
-            if (node) {
-                // Update connection data
-                node._connectionData = this.getConnectionDataCached(nodeId);
-                
-                // Re-render only if node has connection-aware template
-                const nodeType = this.nodeTypes.get(node.type);
-                if (nodeType && nodeType.onConnectionChange) {
-                    nodeType.onConnectionChange(node, node._connectionData);
-                }
-                
-                // Re-render node
-                const oldElement = node.element;
-                this.renderNode(node);
-                oldElement.remove();
-                
-                // Update edges
-                this.scheduleEdgeUpdate(nodeId);
-            }
-        });
+        if (status === 'idle') {
+            this.edgeStatus.delete(edgeId);
+        } else {
+            this.edgeStatus.set(edgeId, status);
+        }
+        this.renderEdgeStatus(edge);
+    }
+    
+    /**
+     * Apply the run status class and marker of an edge
+     */
+    renderEdgeStatus(edge) {
+        if (!edge.element) return;
         
-        this.dirtyNodes.clear();
-        this.batchUpdateTimer = null;
+        ['active', 'success', 'error'].forEach(status => edge.element.classList.remove(`status-${status}`));
+        const status = this.edgeStatus.get(edge.id);
+        if (status) edge.element.classList.add(`status-${status}`);
+        this.updateEdgeMarker(edge);
     }
-
+    
     /**
-     * Get connection data using cache (O(1) lookup)
+     * Apply the validation class of an edge, with its messages as tooltip
      */
-    getConnectionDataCached(nodeId) {
-        const cache = this.connectionCache.get(nodeId);
-        if (!cache) {
-            return { inputs: [], outputs: [], inputCount: 0, outputCount: 0 };
-        }
+    renderEdgeDiagnostics(edge) {
+        if (!edge.element) return;
         
-        const inputs = [];
-        const outputs = [];
+        edge.element.classList.remove('diagnostic-error', 'diagnostic-warning');
+        const existing = edge.element.querySelector('title');
+        if (existing) existing.remove();
         
-        // Convert edge IDs to node data
-        cache.inputs.forEach(edgeId => {
-            const edge = this.edges.get(edgeId);
-            if (edge) {
-                const sourceNode = this.nodes.get(edge.source);
-                if (sourceNode) {
-                    inputs.push({
-                        id: sourceNode.id,
-                        type: sourceNode.type,
-                        data: sourceNode.data,
-                        edgeId: edge.id
-                    });
-                }
-            }
-        });
+        const diagnostics = this.diagnostics.filter(diagnostic => diagnostic.edgeId === edge.id);
+        if (diagnostics.length === 0) return;
         
-        cache.outputs.forEach(edgeId => {
-            const edge = this.edges.get(edgeId);
-            if (edge) {
-                const targetNode = this.nodes.get(edge.target);
-                if (targetNode) {
-                    outputs.push({
-                        id: targetNode.id,
-                        type: targetNode.type,
-                        data: targetNode.data,
-                        edgeId: edge.id
-                    });
-                }
-            }
-        });
+        const severity = diagnostics.some(diagnostic => diagnostic.severity === 'error') ? 'error' : 'warning';
+        edge.element.classList.add(`diagnostic-${severity}`);
         
-        return {
-            inputs,
-            outputs,
-            inputCount: inputs.length,
-            outputCount: outputs.length
-        };
+        const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+        title.textContent = diagnostics.map(diagnostic => diagnostic.message).join('\n');
+        edge.element.appendChild(title);
     }
-
+    
     /**
-     * Handle mouse down event
+     * Validate the workflow and mark the offending nodes and edges
+     * Rules: cycles (when allowCycles is false), unreachable, required-inputs
+     * (ports with required: true), required-data (node type requiredData) and any
+     * rule added with registerValidationRule().
+     * @param {Object} options - {rules: IDs of the rules to run (default all)}
+     * @returns {Array} Diagnostics {rule, severity: 'error'|'warning', message, nodeId, edgeId}
      */
-    handleMouseDown(e) {
-        const target = e.target;
+    validate(options = {}) {
+        this.diagnostics = this.graph.validate(options);
+        this.nodes.forEach(node => this.renderNodeDiagnostics(node));
+        this.edges.forEach(edge => this.renderEdgeDiagnostics(edge));
         
-        // Check if clicking on a port
-        if (target.classList.contains('node-port')) {
-            this.startConnection(e, target);
-            return;
+        this.triggerCallback('onValidate', this.diagnostics);
+        return this.diagnostics;
+    }
+    
+    /**
+     * Remove all validation markers
+     */
+    clearDiagnostics() {
+        this.diagnostics = [];
+        this.nodes.forEach(node => this.renderNodeDiagnostics(node));
+        this.edges.forEach(edge => this.renderEdgeDiagnostics(edge));
+    }
+    
+    /**
+     * Register a validation rule (see SwanGraph.registerValidationRule)
+     * @param {string} id - Rule ID
+     * @param {Function} check - (graph, context) => Array of {severity, message, nodeId?, edgeId?}
+     */
+    registerValidationRule(id, check) {
+        this.graph.registerValidationRule(id, check);
+    }
+    
+    /**
+     * Remove a validation rule
+     */
+    removeValidationRule(id) {
+        this.graph.removeValidationRule(id);
+    }
+    
+    /**
+     * Update the arrowhead marker of an edge
+     * Selected edges use the selection marker, then the run status, style.markerColor,
+     * then the theme marker.
+     */
+    updateEdgeMarker(edge) {
+        if (!edge.element) return;
+        
+        let marker;
+        if (this.selectedEdges.has(edge.id)) {
+            marker = `wf-arrowhead-selected-${this.options.theme === 'dark' ? 'dark' : 'light'}`;
+        } else if (this.edgeStatus.get(edge.id) === 'success' || this.edgeStatus.get(edge.id) === 'error') {
+            marker = `wf-arrowhead-${this.edgeStatus.get(edge.id) === 'success' ? 'green' : 'red'}`;
+        } else if (edge.style && edge.style.markerColor) {
+            marker = `wf-arrowhead-${edge.style.markerColor}`;
+        } else {
+            marker = `wf-arrowhead-${this.options.theme === 'dark' ? 'dark' : 'light'}`;
+        }
+        edge.element.setAttribute('marker-end', `url(#${marker})`);
+    }
+    
+    /**
+     * Render the content of an edge label
+     * Uses the source node type's getEdgeLabel template, or edge.data.label as plain text.
+     */
+    renderEdgeLabel(edge) {
+        const label = edge.labelElement;
+        if (!label) return;
+        
+        const sourceNode = this.nodes.get(edge.source);
+        const targetNode = this.nodes.get(edge.target);
+        const sourceType = sourceNode && this.nodeTypes.get(sourceNode.type);
+        
+        let html = null;
+        if (sourceType && sourceType.getEdgeLabel) {
+            html = sourceType.getEdgeLabel(edge, sourceNode, targetNode);
+        }
+        if (html === null || html === undefined) {
+            html = edge.data.label ? this.escapeHTML(edge.data.label) : '';
+        }
+        
+        label.innerHTML = html;
+        label.style.display = html ? '' : 'none';
+    }
+    
+    /**
+     * Edit an edge label inline
+     * Enter or blur commits, Escape cancels.
+     * @param {string} edgeId - Edge ID
+     */
+    editEdgeLabel(edgeId) {
+        const edge = this.edges.get(edgeId);
+        if (!edge || !edge.labelElement) return;
+        
+        const label = edge.labelElement;
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'edge-label-input';
+        input.value = edge.data.label || '';
+        
+        label.innerHTML = '';
+        label.style.display = '';
+        label.appendChild(input);
+        input.focus();
+        input.select();
+        
+        let done = false;
+        const finish = (commit) => {
+            if (done) return;
+            done = true;
+            
+            if (commit && input.value !== (edge.data.label || '')) {
+                this.updateEdgeData(edgeId, { label: input.value });
+            } else {
+                this.renderEdgeLabel(edge);
+            }
+        };
+        
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+    }
+    
+    /**
+     * Update edge data
+     * @param {string} edgeId - Edge ID
+     * @param {Object} data - Data to merge into edge.data
+     */
+    updateEdgeData(edgeId, data) {
+        const edge = this.edges.get(edgeId);
+        if (!edge) return;
+        
+        // Keep previous values so the change can be undone
+        const previous = this.graph.updateEdgeData(edgeId, data);
+        this.renderEdgeLabel(edge);
+        this.updateEdgePath(edge);
+        
+        const next = { ...data };
+        this.recordCommand({
+            label: 'updateEdgeData',
+            mergeKey: `updateEdge:${edgeId}:${Object.keys(data).sort().join(',')}`,
+            undo: () => this.updateEdgeData(edgeId, previous),
+            redo: () => this.updateEdgeData(edgeId, next)
+        });
+        
+        this.triggerCallback('onEdgeUpdate', edge, data);
+    }
+    
+    /**
+     * Escape text for use in HTML templates
+     */
+    escapeHTML(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+    
+    /**
+     * Update edge path based on node positions
+     */
+    updateEdgePath(edge) {
+        // Endpoints inside collapsed groups attach to the group's proxy ports
+        const source = this.getVisibleEndpoint(edge.source, edge.sourcePort);
+        const target = this.getVisibleEndpoint(edge.target, edge.targetPort);
+        const sourceNode = this.nodes.get(source.nodeId);
+        const targetNode = this.nodes.get(target.nodeId);
+        
+        if (!sourceNode || !targetNode || !edge.element) return;
+        
+        // Edges entirely inside a collapsed group are hidden
+        const internal = source.nodeId === target.nodeId && (source.nodeId !== edge.source || target.nodeId !== edge.target);
+        edge.element.classList.toggle('group-hidden', internal);
+        if (edge.labelElement) edge.labelElement.classList.toggle('group-hidden', internal);
+        
+        // Ends attached to a proxy port can't be dragged
+        if (edge.handles) {
+            edge.handles[0].classList.toggle('group-hidden', internal || source.nodeId !== edge.source);
+            edge.handles[1].classList.toggle('group-hidden', internal || target.nodeId !== edge.target);
+        }
+        if (internal) return;
+        
+        // Get port positions
+        const sourcePort = sourceNode.ports[source.portId] || sourceNode.element.querySelector(`.node-port[data-port-id="${source.portId}"]`);
+        const targetPort = targetNode.ports[target.portId] || targetNode.element.querySelector(`.node-port[data-port-id="${target.portId}"]`);
+        
+        if (!sourcePort || !targetPort) return;
+        
+        // Calculate port positions in world coordinates
+        const canvasRect = this.canvas.getBoundingClientRect();
+        const { x: x1, y: y1 } = this.getElementCenter(sourcePort, canvasRect);
+        const { x: x2, y: y2 } = this.getElementCenter(targetPort, canvasRect);
+        
+        // Shape set by edge.style.path (edgeStyle option or the source type's getEdgeStyle)
+        const type = (edge.style && edge.style.path) || 'bezier';
+        const sourceDef = this.getPortDefinition(source.nodeId, source.portId);
+        const targetDef = this.getPortDefinition(target.nodeId, target.portId);
+        const { d, label } = SwanRouter.route(type, {
+            source: { x: x1, y: y1, side: sourceDef && sourceDef.side, box: this.getNodesBounds([source.nodeId]) },
+            target: { x: x2, y: y2, side: targetDef && targetDef.side, box: this.getNodesBounds([target.nodeId]) },
+            loop: source.nodeId === target.nodeId,
+            obstacles: type === 'smart' ? this.routingObstacles || this.measureRoutingObstacles() : [],
+            radius: edge.style && edge.style.radius
+        });
+        
+        // Smart routes only need redoing when a node moves within this area
+        edge.routeRegion = type === 'smart' ? SwanRouter.getSearchRegion({ x: x1, y: y1 }, { x: x2, y: y2 }) : null;
+        edge.element.setAttribute('d', d);
+        
+        // Keep the label on the middle of the path
+        if (edge.labelElement) {
+            edge.labelElement.style.left = `${label.x}px`;
+            edge.labelElement.style.top = `${label.y}px`;
+        }
+        
+        if (edge.handles) {
+            [[x1, y1], [x2, y2]].forEach(([x, y], i) => {
+                edge.handles[i].style.left = `${x}px`;
+                edge.handles[i].style.top = `${y}px`;
+            });
+        }
+    }
+    
+    /**
+     * Get the boxes smart-routed edges steer around: visible nodes, except expanded group frames
+     * @returns {Array} [{minX, minY, maxX, maxY, ...}]
+     */
+    getRoutingObstacles() {
+        return Array.from(this.nodes.values())
+            .filter(node => !this.isNodeHidden(node.id) && !(this.isGroup(node.id) && !node.data.collapsed))
+            .map(node => ({ ...this.getNodesBounds([node.id]), id: node.id }));
+    }
+    
+    /**
+     * Measure the routing obstacles and remember each node's box for the next frame
+     * @returns {Array} Same as getRoutingObstacles()
+     */
+    measureRoutingObstacles() {
+        const obstacles = this.getRoutingObstacles();
+        this.routingBoxes = new Map(obstacles.map(box => [box.id, box]));
+        return obstacles;
+    }
+    
+    /**
+     * Schedule edge updates with RAF for performance
+     * Without a node ID only a frame is requested, for renderFrame listeners such as the minimap.
+     */
+    scheduleEdgeUpdate(nodeId = null) {
+        // Add to update queue
+        if (nodeId) this.updateQueue.add(nodeId);
+        
+        // Schedule update if not already scheduled
+        if (!this.rafId) {
+            this.rafId = requestAnimationFrame(() => {
+                this.processUpdateQueue();
+            });
+        }
+    }
+    
+    /**
+     * Process queued edge updates
+     */
+    processUpdateQueue() {
+        // Node boxes are measured once per frame for smart routing
+        this.routingObstacles = null;
+        const smart = Array.from(this.edges.values()).filter(edge => edge.style && edge.style.path === 'smart');
+        let moved = [];
+        if (smart.length > 0 && this.updateQueue.size > 0) {
+            // Where the moved nodes were when last routed, and where they are now
+            const previous = this.routingBoxes;
+            this.routingObstacles = this.measureRoutingObstacles();
+            moved = Array.from(this.updateQueue)
+                .flatMap(id => [previous.get(id), this.routingBoxes.get(id)])
+                .filter(Boolean);
+        }
+        
+        this.updateQueue.forEach(nodeId => {
+            this.edges.forEach(edge => {
+                if (edge.source === nodeId || edge.target === nodeId) {
+                    this.updateEdgePath(edge);
+                }
+            });
+        });
+        
+        // Other smart edges change only if a moved node entered or left their search area
+        if (this.routingObstacles) {
+            const overlaps = (box, region) =>
+                box.minX < region.maxX && box.maxX > region.minX && box.minY < region.maxY && box.maxY > region.minY;
+            smart.forEach(edge => {
+                if (this.updateQueue.has(edge.source) || this.updateQueue.has(edge.target)) return;
+                if (!edge.routeRegion || moved.some(box => overlaps(box, edge.routeRegion))) this.updateEdgePath(edge);
+            });
+            this.routingObstacles = null;
+        }
+        
+        const nodeIds = Array.from(this.updateQueue);
+        this.updateQueue.clear();
+        this.rafId = null;
+        
+        this.triggerCallback('onRenderFrame', nodeIds);
+    }
+    
+    /**
+     * Delete an edge
+     */
+    deleteEdge(edgeId) {
+        const edge = this.edges.get(edgeId);
+        if (!edge) return;
+        
+        // Call onDisconnect lifecycle for both nodes
+        const sourceNode = this.nodes.get(edge.source);
+        const targetNode = this.nodes.get(edge.target);
+        if (sourceNode && targetNode) {
+            const sourceType = this.graph.getNodeType(sourceNode.type);
+            const targetType = this.graph.getNodeType(targetNode.type);
+            
+            if (sourceType.onDisconnect) sourceType.onDisconnect(sourceNode, targetNode, edge);
+            if (targetType.onDisconnect) targetType.onDisconnect(targetNode, sourceNode, edge);
+        }
+        
+        // Remove element
+        if (edge.element) {
+            edge.element.remove();
+        }
+        if (edge.labelElement) {
+            edge.labelElement.remove();
+        }
+        if (edge.handles) {
+            edge.handles.forEach(handle => handle.remove());
+            edge.handles = null;
+        }
+        
+        // Remove from selection
+        this.selectedEdges.delete(edgeId);
+        this.edgeStatus.delete(edgeId);
+        this.diagnostics = this.diagnostics.filter(diagnostic => diagnostic.edgeId !== edgeId);
+        
+        // Remove from the model
+        this.graph.removeEdge(edgeId);
+        this.markConnectionDirty(edge);
+        
+        // Update port states
+        this.updatePortStates();
+        if (this.isNodeHidden(edge.source) || this.isNodeHidden(edge.target)) {
+            this.scheduleGroupRefresh();
+        }
+        
+        // Record for undo
+        const snapshot = { style: { ...edge.style }, data: { ...edge.data } };
+        this.recordCommand({
+            label: 'deleteEdge',
+            undo: () => this.createEdge(edge.source, edge.target, {
+                id: edgeId,
+                sourcePort: edge.sourcePort,
+                targetPort: edge.targetPort,
+                style: { ...snapshot.style },
+                data: { ...snapshot.data }
+            }),
+            redo: () => this.deleteEdge(edgeId)
+        });
+        
+        // Trigger callback
+        this.triggerCallback('onEdgeDelete', edge);
+    }
+    
+    /**
+     * Move the ends of an edge to other ports, keeping its ID, style and data
+     * @param {string} edgeId - Edge ID
+     * @param {Object} endpoints - {source, sourcePort, target, targetPort}; missing keys keep their value
+     * @returns {boolean} True if the edge now has these endpoints
+     */
+    reconnectEdge(edgeId, endpoints = {}) {
+        const edge = this.edges.get(edgeId);
+        if (!edge) return false;
+        
+        const previous = {
+            source: edge.source,
+            sourcePort: edge.sourcePort,
+            target: edge.target,
+            targetPort: edge.targetPort
+        };
+        const next = { ...previous };
+        Object.keys(previous).forEach(key => {
+            if (endpoints[key]) next[key] = endpoints[key];
+        });
+        if (Object.keys(previous).every(key => previous[key] === next[key])) return true;
+        
+        // Listeners may veto, then the usual connection rules apply (leaving this edge out);
+        // undo/redo only needs the nodes and ports to exist
+        const force = this.history.replaying;
+        if (!force && this.triggerCallback('onBeforeEdgeReconnect', edge, { ...next }) === false) return false;
+        const reason = this.graph.getReconnectError(edgeId, next, { force });
+        if (reason) {
+            console.warn(`SwanEditor: ${reason}`);
+            this.reportReplayFailure(`Edge ${edgeId} could not be reconnected: ${reason}`);
+            return false;
+        }
+        
+        // The old pair of nodes is told about the disconnect before the new pair about the connect
+        const callHooks = (hook) => {
+            const sourceNode = this.nodes.get(edge.source);
+            const targetNode = this.nodes.get(edge.target);
+            const sourceType = this.graph.getNodeType(sourceNode.type);
+            const targetType = this.graph.getNodeType(targetNode.type);
+            
+            if (sourceType[hook]) sourceType[hook](sourceNode, targetNode, edge);
+            if (targetType[hook]) targetType[hook](targetNode, sourceNode, edge);
+        };
+        callHooks('onDisconnect');
+        this.graph.reconnectEdge(edgeId, next, { force });
+        callHooks('onConnect');
+        
+        // Both the old and the new nodes re-render, ports and proxy ports follow
+        this.markConnectionDirty(previous);
+        this.markConnectionDirty(edge);
+        this.updateEdgePath(edge);
+        this.updatePortStates();
+        if ([previous.source, previous.target, next.source, next.target].some(id => this.isNodeHidden(id))) {
+            this.scheduleGroupRefresh();
+        }
+        
+        // Record for undo
+        this.recordCommand({
+            label: 'reconnectEdge',
+            undo: () => this.reconnectEdge(edgeId, previous),
+            redo: () => this.reconnectEdge(edgeId, next)
+        });
+        
+        this.triggerCallback('onEdgeReconnect', edge, previous);
+        
+        return true;
+    }
+    
+    /**
+     * Check if a port has reached its maxEdges limit
+     * @param {string} nodeId - Node ID
+     * @param {string} portId - Port ID
+     * @param {string} ignoreEdgeId - Optional edge to leave out of the count
+     */
+    isPortFull(nodeId, portId, ignoreEdgeId = null) {
+        return this.graph.isPortFull(nodeId, portId, ignoreEdgeId);
+    }
+    
+    /**
+     * Update port connection states
+     */
+    updatePortStates() {
+        // Reset all ports
+        this.canvas.querySelectorAll('.node-port').forEach(port => {
+            port.classList.remove('connected');
+        });
+        
+        // Mark connected ports (proxy ports stand in for collapsed group contents)
+        this.edges.forEach(edge => {
+            [
+                this.getVisibleEndpoint(edge.source, edge.sourcePort),
+                this.getVisibleEndpoint(edge.target, edge.targetPort)
+            ].forEach(({ nodeId, portId }) => {
+                const node = this.nodes.get(nodeId);
+                if (node && node.ports[portId]) {
+                    node.ports[portId].classList.add('connected');
+                }
+            });
+        });
+    }
+
+    /**
+        * Get all the nodes connected to a specific node
+        * @param {Object} node - The node object to find connections for
+        * @returns {Array} - Array of connected node objects
+    */
+    getConnectedNodes(nodeId, direction = '') {
+        return this.graph.getConnectedNodes(nodeId, direction);
+    }
+
+    /**
+     * Validate and repair cache (call periodically or on load)
+     */
+    validateCache() {
+        return this.graph.validateCache();
+    }
+
+    /**
+     * Mark the endpoints of a created or deleted edge for a batched re-render
+     */
+    markConnectionDirty(edge) {
+        this.dirtyNodes.add(edge.source);
+        this.dirtyNodes.add(edge.target);
+        
+        // Schedule batch update
+        this.scheduleBatchUpdate();
+    }
+
+    /**
+     * Batch update dirty nodes (debounced for performance)
+     */
+    scheduleBatchUpdate() {
+        if (this.batchUpdateTimer) {
+            clearTimeout(this.batchUpdateTimer);
+        }
+        
+        this.batchUpdateTimer = setTimeout(() => {
+            this.processDirtyNodes();
+        }, 16); // ~60fps
+    }
+
+    /**
+     * Process all dirty nodes in one batch
+     */
+    processDirtyNodes() {
+        if (this.dirtyNodes.size === 0) return;
+        
+        // Process all dirty nodes
+        this.dirtyNodes.forEach(nodeId => {
+            const node = this.nodes.get(nodeId);
+            if (node) {
+                // Update connection data
+                node._connectionData = this.getConnectionDataCached(nodeId);
+                
+                // Re-render only if node has connection-aware template
+                const nodeType = this.nodeTypes.get(node.type);
+                if (nodeType && nodeType.onConnectionChange) {
+                    nodeType.onConnectionChange(node, node._connectionData);
+                }
+                
+                // Re-render node
+                const oldElement = node.element;
+                this.renderNode(node);
+                oldElement.remove();
+                
+                // Update edges
+                this.scheduleEdgeUpdate(nodeId);
+            }
+        });
+        
+        this.dirtyNodes.clear();
+        this.batchUpdateTimer = null;
+    }
+
+    /**
+     * Get connection data using cache (O(1) lookup)
+     */
+    getConnectionDataCached(nodeId) {
+        return this.graph.getConnectionDataCached(nodeId);
+    }
+
+    /**
+     * Handle mouse down event
+     */
+    handleMouseDown(e) {
+        const target = e.target;
+        
+        // Middle mouse or Space + drag pans the viewport
+        if (this.options.canvas.pannable && (e.button === 1 || (e.button === 0 && this.spacePressed))) {
+            this.startPan(e);
+            e.preventDefault();
+            return;
+        }
+        
+        // Dragging an end of a selected edge moves it to another port
+        if (target.classList.contains('edge-handle') && e.button === 0) {
+            this.startReconnect(e, target);
+            return;
+        }
+        
+        // Check if clicking on a port (proxy ports of collapsed groups are not connectable)
+        if (target.classList.contains('node-port') && !target.classList.contains('proxy')) {
+            this.startConnection(e, target);
+            return;
+        }
+        
+        // Check if clicking on node handle or draggable area
+        const nodeEl = target.closest('.workflow-node');
+        if (nodeEl) {
+            // Check if target is interactive element
+            const isInteractive = target.matches('input, select, textarea, button') || target.closest('input, select, textarea, button');
+            
+            if (!isInteractive || target.classList.contains('node-handle')) {
+                this.startDrag(e, nodeEl);
+            }
+            return;
+        }
+        
+        // Empty canvas: rubber-band selection (a plain click clears the selection on mouseup)
+        if ((target === this.canvas || target === this.stage || target === this.svg) && e.button === 0) {
+            this.startMarquee(e);
+        }
+    }
+    
+    /**
+     * Start a rubber-band selection
+     */
+    startMarquee(e) {
+        const box = document.createElement('div');
+        box.className = 'selection-box';
+        box.style.display = 'none';
+        this.canvas.appendChild(box);
+        
+        this.marqueeState = {
+            startX: e.clientX,
+            startY: e.clientY,
+            endX: e.clientX,
+            endY: e.clientY,
+            moved: false,
+            element: box
+        };
+        
+        document.body.classList.add('no-select');
+        e.preventDefault();
+    }
+    
+    /**
+     * Resize the selection rectangle
+     */
+    updateMarquee(e) {
+        const state = this.marqueeState;
+        if (!state) return;
+        
+        state.endX = e.clientX;
+        state.endY = e.clientY;
+        
+        // Ignore jitter of a plain click
+        if (!state.moved && Math.abs(state.endX - state.startX) < 3 && Math.abs(state.endY - state.startY) < 3) return;
+        state.moved = true;
+        
+        const canvasRect = this.canvas.getBoundingClientRect();
+        Object.assign(state.element.style, {
+            display: '',
+            left: `${Math.min(state.startX, state.endX) - canvasRect.left}px`,
+            top: `${Math.min(state.startY, state.endY) - canvasRect.top}px`,
+            width: `${Math.abs(state.endX - state.startX)}px`,
+            height: `${Math.abs(state.endY - state.startY)}px`
+        });
+    }
+    
+    /**
+     * Finish a rubber-band selection
+     * Shift adds to the selection, Alt subtracts from it, otherwise it is replaced.
+     */
+    endMarquee(e) {
+        const state = this.marqueeState;
+        if (!state) return;
+        
+        state.element.remove();
+        document.body.classList.remove('no-select');
+        this.marqueeState = null;
+        
+        // Plain click on empty canvas
+        if (!state.moved) {
+            if (!e.shiftKey && !e.altKey) this.clearSelection();
+            return;
+        }
+        
+        // Selection rectangle in world coordinates
+        const canvasRect = this.canvas.getBoundingClientRect();
+        const start = this.clientToWorld(state.startX, state.startY, canvasRect);
+        const end = this.clientToWorld(state.endX, state.endY, canvasRect);
+        const rect = {
+            minX: Math.min(start.x, end.x),
+            minY: Math.min(start.y, end.y),
+            maxX: Math.max(start.x, end.x),
+            maxY: Math.max(start.y, end.y)
+        };
+        
+        const hitNodes = [];
+        this.nodes.forEach((node, id) => {
+            if (this.isNodeHidden(id)) return;
+            
+            const bounds = this.getNodesBounds([id]);
+            // Groups are only picked up when fully enclosed
+            const hit = this.isGroup(id)
+                ? bounds.minX >= rect.minX && bounds.maxX <= rect.maxX && bounds.minY >= rect.minY && bounds.maxY <= rect.maxY
+                : bounds.maxX >= rect.minX && bounds.minX <= rect.maxX && bounds.maxY >= rect.minY && bounds.minY <= rect.maxY;
+            if (hit) hitNodes.push(id);
+        });
+        
+        const hitEdges = [];
+        if (this.options.marqueeSelectEdges) {
+            this.edges.forEach((edge, id) => {
+                if (this.edgeIntersectsRect(edge, rect)) hitEdges.push(id);
+            });
+        }
+        
+        let nodes, edges;
+        if (e.altKey) {
+            nodes = Array.from(this.selectedNodes).filter(id => !hitNodes.includes(id));
+            edges = Array.from(this.selectedEdges).filter(id => !hitEdges.includes(id));
+        } else if (e.shiftKey) {
+            nodes = [...this.selectedNodes, ...hitNodes];
+            edges = [...this.selectedEdges, ...hitEdges];
+        } else {
+            nodes = hitNodes;
+            edges = hitEdges;
+        }
+        
+        this.setSelection({ nodes, edges });
+    }
+    
+    /**
+     * Check whether an edge path passes through a world rectangle
+     */
+    edgeIntersectsRect(edge, rect) {
+        const path = edge.element;
+        if (!path || typeof path.getTotalLength !== 'function' || !path.getAttribute('d')) return false;
+        
+        // Sample points along the path
+        const length = path.getTotalLength();
+        const samples = Math.max(8, Math.ceil(length / 20));
+        for (let i = 0; i <= samples; i++) {
+            const point = path.getPointAtLength(length * i / samples);
+            if (point.x >= rect.minX && point.x <= rect.maxX && point.y >= rect.minY && point.y <= rect.maxY) {
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    /**
+     * Start panning the viewport
+     * @param {Object} point - Mouse event or touch with clientX/clientY
+     */
+    startPan(point) {
+        this.panState = {
+            startX: point.clientX,
+            startY: point.clientY,
+            originX: this.viewport.x,
+            originY: this.viewport.y
+        };
+        
+        document.body.classList.add('no-select');
+        this.container.querySelector('.workflow-container').classList.add('panning');
+    }
+    
+    /**
+     * Update viewport translation during pan
+     * @param {Object} point - Mouse event or touch with clientX/clientY
+     */
+    updatePan(point) {
+        if (!this.panState) return;
+        
+        this.setViewport({
+            x: this.panState.originX + point.clientX - this.panState.startX,
+            y: this.panState.originY + point.clientY - this.panState.startY
+        });
+    }
+    
+    /**
+     * End panning
+     */
+    endPan() {
+        if (!this.panState) return;
+        
+        document.body.classList.remove('no-select');
+        this.container.querySelector('.workflow-container').classList.remove('panning');
+        this.panState = null;
+    }
+    
+    /**
+     * Start dragging a node
+     */
+    startDrag(e, nodeEl) {
+        const nodeId = nodeEl.dataset.nodeId;
+        const node = this.nodes.get(nodeId);
+        if (!node) return;
+        
+        // Prevent text selection
+        document.body.classList.add('no-select');
+        
+        // Calculate pointer offset inside the node (world units)
+        const pointer = this.clientToWorld(e.clientX, e.clientY);
+        
+        // Nodes inside a dragged group move with it
+        const dragged = this.selectedNodes.has(nodeId) ? Array.from(this.selectedNodes) : [nodeId];
+        const carried = new Set(dragged.flatMap(id => this.getDescendantIds(id)));
+        
+        this.dragState = {
+            nodes: dragged.filter(id => !carried.has(id)),
+            primary: node,
+            offsetX: pointer.x - node.position.x,
+            offsetY: pointer.y - node.position.y,
+            startPositions: new Map()
+        };
+        
+        // Store start positions for all dragged nodes
+        this.dragState.nodes.forEach(id => {
+            const n = this.nodes.get(id);
+            if (n) {
+                this.dragState.startPositions.set(id, {
+                    x: n.position.x,
+                    y: n.position.y
+                });
+                n.element.classList.add('dragging');
+            }
+        });
+        
+        // Select node if not already selected
+        if (!this.selectedNodes.has(nodeId)) {
+            this.selectNode(nodeId, e.ctrlKey || e.metaKey);
+        }
+        
+        e.preventDefault();
+    }
+    
+    /**
+     * Start creating a connection
+     */
+    startConnection(e, portEl) {
+        const nodeId = portEl.dataset.nodeId;
+        const portType = portEl.dataset.portType;
+        
+        this.connectionState = {
+            sourceNodeId: nodeId,
+            sourcePortType: portType,
+            sourcePortId: portEl.dataset.portId,
+            previewPath: null,
+            isUpdating: false
+        };
+        
+        // Add connecting class
+        portEl.classList.add('connecting');
+        
+        // Grey out ports this connection can't end on
+        this.markConnectablePorts(nodeId, portEl.dataset.portId);
+        
+        // Create preview path
+        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        path.setAttribute('class', 'edge-path preview');
+        this.svg.appendChild(path);
+        this.connectionState.previewPath = path;
+        
+        e.preventDefault();
+        e.stopPropagation();
+    }
+    
+    /**
+     * Start dragging one end of a selected edge
+     * The other end works like the port a new connection starts from.
+     */
+    startReconnect(e, handle) {
+        const edge = this.edges.get(handle.dataset.edgeId);
+        if (!edge) return;
+        
+        const movingTarget = handle.dataset.end === 'target';
+        const nodeId = movingTarget ? edge.source : edge.target;
+        const portId = movingTarget ? edge.sourcePort : edge.targetPort;
+        const anchor = edge.handles[movingTarget ? 0 : 1];
+        
+        this.connectionState = {
+            sourceNodeId: nodeId,
+            sourcePortType: movingTarget ? 'output' : 'input',
+            sourcePortId: portId,
+            reconnectEdgeId: edge.id,
+            // Start from the drawn end, which may be a proxy port of a collapsed group
+            sourceRect: { x: parseFloat(anchor.style.left) || 0, y: parseFloat(anchor.style.top) || 0 },
+            canvasRect: this.canvas.getBoundingClientRect(),
+            previewPath: null,
+            isUpdating: false
+        };
+        
+        // The edge fades while its end is being dragged
+        edge.element.classList.add('reconnecting');
+        edge.handles.forEach(el => el.classList.add('group-hidden'));
+        
+        this.markConnectablePorts(nodeId, portId, edge.id);
+        
+        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        path.setAttribute('class', 'edge-path preview');
+        this.svg.appendChild(path);
+        this.connectionState.previewPath = path;
+        
+        e.preventDefault();
+        e.stopPropagation();
+    }
+    
+    /**
+     * Handle mouse move event
+     */
+    handleMouseMove(e) {
+        // Remember the pointer for paste-at-cursor
+        this.pointer = { clientX: e.clientX, clientY: e.clientY };
+        
+        // Handle viewport panning
+        if (this.panState) {
+            this.updatePan(e);
+            return;
+        }
+        
+        // Handle rubber-band selection
+        if (this.marqueeState) {
+            this.updateMarquee(e);
+            return;
+        }
+        
+        // Handle node dragging
+        if (this.dragState) {
+            this.updateDrag(e);
+        }
+        
+        // Handle connection preview
+        if (this.connectionState) {
+            this.updateConnectionPreview(e);
+        }
+    }
+    
+    /**
+     * Update node position during drag
+     */
+    updateDrag(e) {
+        if (!this.dragState) return;
+        
+        const pointer = this.clientToWorld(e.clientX, e.clientY);
+        
+        // Calculate primary node delta
+        const deltaX = pointer.x - this.dragState.offsetX - this.dragState.startPositions.get(this.dragState.primary.id).x;
+        const deltaY = pointer.y - this.dragState.offsetY - this.dragState.startPositions.get(this.dragState.primary.id).y;
+        
+        // Update all selected nodes
+        this.dragState.nodes.forEach(nodeId => {
+            const node = this.nodes.get(nodeId);
+            if (!node) return;
+            
+            const startPos = this.dragState.startPositions.get(nodeId);
+            let x = startPos.x + deltaX;
+            let y = startPos.y + deltaY;
+            
+            // Apply grid snapping
+            if (this.options.gridSize > 1) {
+                x = Math.round(x / this.options.gridSize) * this.options.gridSize;
+                y = Math.round(y / this.options.gridSize) * this.options.gridSize;
+            }
+            
+            // Update position (and the contents of groups)
+            this.positionNode(node, x, y);
+        });
+        
+        // Highlight the group the primary node would be dropped into
+        const dropGroup = this.findDropGroup(this.dragState.primary.id);
+        this.canvas.querySelectorAll('.workflow-group.drop-target').forEach(el => {
+            if (el.dataset.nodeId !== dropGroup) el.classList.remove('drop-target');
+        });
+        if (dropGroup) this.nodes.get(dropGroup).element.classList.add('drop-target');
+    }
+    
+    /**
+     * Update connection preview
+     */
+    updateConnectionPreview(e) {
+        if (!this.connectionState || !this.connectionState.previewPath) return;
+        
+        // Throttle using RAF
+        if (this.connectionState.isUpdating) return;
+        
+        this.connectionState.isUpdating = true;
+        this.connectionState.pendingEvent = e;
+        
+        requestAnimationFrame(() => {
+            if (!this.connectionState) return;
+            
+            const event = this.connectionState.pendingEvent;
+            this.connectionState.isUpdating = false;
+
+        
+            const sourceNode = this.nodes.get(this.connectionState.sourceNodeId);
+            if (!sourceNode) return;
+            
+            const sourcePort = sourceNode.ports[this.connectionState.sourcePortId];
+            if (!sourcePort) return;
+            
+            // CACHE the source port rect on first call to avoid repeated getBoundingClientRect
+            if (!this.connectionState.sourceRect) {
+                const canvasRect = this.canvas.getBoundingClientRect();
+                
+                this.connectionState.sourceRect = this.getElementCenter(sourcePort, canvasRect);
+                this.connectionState.canvasRect = canvasRect;
+            }
+            
+            // Use cached values
+            const x1 = this.connectionState.sourceRect.x;
+            const y1 = this.connectionState.sourceRect.y;
+            const { x: x2, y: y2 } = this.clientToWorld(event.clientX, event.clientY, this.connectionState.canvasRect);
+            
+            // Same shape as the edge will get, entering the pointer from the opposite side
+            const sourceDef = this.getPortDefinition(sourceNode.id, this.connectionState.sourcePortId);
+            const side = sourceDef ? sourceDef.side : 'right';
+            const opposite = { left: 'right', right: 'left', top: 'bottom', bottom: 'top' };
+            const type = this.options.edgeStyle.path === 'smart' ? 'step' : this.options.edgeStyle.path;
+            const { d } = SwanRouter.route(type, {
+                source: { x: x1, y: y1, side },
+                target: { x: x2, y: y2, side: opposite[side] }
+            });
+            this.connectionState.previewPath.setAttribute('d', d);
+        });
+    }
+    
+    /**
+     * Handle mouse up event
+     */
+    handleMouseUp(e) {
+        // End panning
+        if (this.panState) {
+            this.endPan();
+        }
+        
+        // End rubber-band selection
+        if (this.marqueeState) {
+            this.endMarquee(e);
+        }
+        
+        // End dragging
+        if (this.dragState) {
+            this.endDrag();
+        }
+        
+        // End connection
+        if (this.connectionState) {
+            this.endConnection(e);
+        }
+    }
+    
+    /**
+     * End node dragging
+     */
+    endDrag() {
+        if (!this.dragState) return;
+        
+        // Remove dragging class
+        this.dragState.nodes.forEach(nodeId => {
+            const node = this.nodes.get(nodeId);
+            if (node && node.element) {
+                node.element.classList.remove('dragging');
+            }
+        });
+        
+        // Re-enable text selection
+        document.body.classList.remove('no-select');
+        
+        // Trigger callbacks for moved nodes
+        const moves = [];
+        this.dragState.nodes.forEach(nodeId => {
+            const node = this.nodes.get(nodeId);
+            const startPos = this.dragState.startPositions.get(nodeId);
+            if (node && (startPos.x !== node.position.x || startPos.y !== node.position.y)) {
+                moves.push({ nodeId, from: { ...startPos }, to: { ...node.position } });
+                this.triggerCallback('onNodeMove', node);
+            }
+        });
+        
+        this.canvas.querySelectorAll('.workflow-group.drop-target').forEach(el => el.classList.remove('drop-target'));
+        
+        // Record the whole drag (all selected nodes) and any regrouping as one undo step
+        if (moves.length > 0) {
+            this.transaction('moveNodes', () => {
+                this.recordCommand({
+                    label: 'moveNodes',
+                    undo: () => moves.forEach(move => this.moveNode(move.nodeId, move.from)),
+                    redo: () => moves.forEach(move => this.moveNode(move.nodeId, move.to))
+                });
+                
+                // Dropping a node into a group adopts it, dropping it outside releases it
+                moves.forEach(({ nodeId }) => {
+                    const parentId = this.findDropGroup(nodeId);
+                    if (parentId !== this.nodes.get(nodeId).parentId) {
+                        this.setNodeParent(nodeId, parentId);
+                    }
+                    if (parentId) this.fitGroup(parentId);
+                });
+            });
+        }
+        
+        // Clear drag state
+        this.dragState = null;
+    }
+    
+    /**
+     * End connection creation
+     */
+    endConnection(e) {
+        if (!this.connectionState) return;
+        
+        // Check if over valid target port
+        const target = document.elementFromPoint(e.clientX, e.clientY);
+        const { sourceNodeId, sourcePortId, reconnectEdgeId } = this.connectionState;
+        if (target && target.classList.contains('node-port') && !target.classList.contains('proxy')) {
+            const targetNodeId = target.dataset.nodeId;
+            const targetPortId = target.dataset.portId;
+            
+            // Validate connection
+            const reason = this.getConnectionError(sourceNodeId, sourcePortId, targetNodeId, targetPortId, reconnectEdgeId);
+            if (!reason) {
+                if (reconnectEdgeId) {
+                    // Move the dragged end of the edge
+                    this.reconnectEdge(reconnectEdgeId, this.connectionState.sourcePortType === 'output'
+                        ? { target: targetNodeId, targetPort: targetPortId }
+                        : { source: targetNodeId, sourcePort: targetPortId });
+                } else if (this.connectionState.sourcePortType === 'output') {
+                    // Create edge (output -> input)
+                    this.createEdge(sourceNodeId, targetNodeId, { sourcePort: sourcePortId, targetPort: targetPortId });
+                } else {
+                    this.createEdge(targetNodeId, sourceNodeId, { sourcePort: targetPortId, targetPort: sourcePortId });
+                }
+            } else if (!(sourceNodeId === targetNodeId && sourcePortId === targetPortId)) {
+                // Tell the user why (dropping back on the start port is just a cancel)
+                this.showNotice(reason);
+                this.triggerCallback('onConnectionRejected', reason, {
+                    sourceNodeId, sourcePortId, targetNodeId, targetPortId
+                });
+            }
+        } else if (reconnectEdgeId && (target === this.canvas || target === this.stage || target === this.svg)) {
+            // Dropping a dragged end on empty canvas disconnects the edge
+            this.deleteEdge(reconnectEdgeId);
+        }
+        
+        // Clean up
+        if (this.connectionState.previewPath) {
+            this.connectionState.previewPath.remove();
+        }
+        
+        const reconnected = this.edges.get(reconnectEdgeId);
+        if (reconnected) {
+            reconnected.element.classList.remove('reconnecting');
+            this.renderEdgeHandles(reconnected);
+        }
+        
+        this.canvas.querySelectorAll('.node-port.connecting').forEach(port => {
+            port.classList.remove('connecting');
+        });
+        
+        this.clearConnectablePorts();
+        
+        // Clear the connection state completely
+        this.connectionState.sourceRect = null;
+        this.connectionState.canvasRect = null;
+        this.connectionState = null;
+    }
+    
+    /**
+     * Validate a potential connection
+     * The ports may be given in either order (drag can start from an input).
+     * @param {string} sourceNodeId - Node where the connection starts
+     * @param {string} sourcePortId - Port where the connection starts
+     * @param {string} targetNodeId - Node where the connection ends
+     * @param {string} targetPortId - Port where the connection ends
+     * @param {string} ignoreEdgeId - Optional edge being reconnected, left out of duplicate and limit checks
+     * @returns {boolean}
+     */
+    validateConnection(sourceNodeId, sourcePortId, targetNodeId, targetPortId, ignoreEdgeId = null) {
+        return this.graph.validateConnection(sourceNodeId, sourcePortId, targetNodeId, targetPortId, ignoreEdgeId);
+    }
+    
+    /**
+     * Explain why a potential connection is not allowed
+     * Same arguments as validateConnection().
+     * @returns {string|null} Reason, or null if the connection is valid
+     */
+    getConnectionError(sourceNodeId, sourcePortId, targetNodeId, targetPortId, ignoreEdgeId = null) {
+        return this.graph.getConnectionError(sourceNodeId, sourcePortId, targetNodeId, targetPortId, ignoreEdgeId);
+    }
+    
+    /**
+     * Check port data types and canConnect hooks for an output -> input pair
+     * @returns {string|null} Reason, or null if compatible
+     */
+    getCompatibilityError(sourceId, sourcePortId, targetId, targetPortId) {
+        return this.graph.getCompatibilityError(sourceId, sourcePortId, targetId, targetPortId);
+    }
+    
+    /**
+     * Mark every port as compatible or incompatible with a connection in progress
+     * @param {string} ignoreEdgeId - Edge whose end is being dragged, if any
+     */
+    markConnectablePorts(startNodeId, startPortId, ignoreEdgeId = null) {
+        this.canvas.querySelectorAll('.node-port:not(.proxy)').forEach(port => {
+            if (port.dataset.nodeId === startNodeId && port.dataset.portId === startPortId) return;
+            
+            const reason = this.getConnectionError(startNodeId, startPortId, port.dataset.nodeId, port.dataset.portId, ignoreEdgeId);
+            port.classList.add(reason ? 'incompatible' : 'compatible');
+        });
+    }
+    
+    /**
+     * Remove connection compatibility markers
+     */
+    clearConnectablePorts() {
+        this.canvas.querySelectorAll('.node-port.compatible, .node-port.incompatible').forEach(port => {
+            port.classList.remove('compatible', 'incompatible');
+        });
+    }
+    
+    /**
+     * Show a short message over the canvas
+     * @param {string} message - Message text
+     * @param {string} type - 'error' or 'info'
+     * @param {number} duration - Display time in ms
+     */
+    showNotice(message, type = 'error', duration = 3000) {
+        const container = this.container.querySelector('.workflow-container');
+        
+        // Only one notice at a time
+        const existing = container.querySelector('.workflow-notice');
+        if (existing) existing.remove();
+        
+        const notice = document.createElement('div');
+        notice.className = `workflow-notice ${type}`;
+        notice.textContent = message;
+        container.appendChild(notice);
+        
+        setTimeout(() => notice.remove(), duration);
+    }
+    
+    /**
+     * Handle wheel events
+     * Ctrl/Cmd + wheel and trackpad pinch zoom, plain wheel pans.
+     */
+    handleWheel(e) {
+        // Let scrollable form fields inside nodes scroll
+        if (this.isEditableTarget(e.target)) return;
+        
+        // Normalize line/page deltas to pixels
+        const unit = e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? 400 : 1;
+        
+        if (e.ctrlKey || e.metaKey) {
+            if (!this.options.canvas.zoomable) return;
+            e.preventDefault();
+            this.setZoom(this.viewport.zoom * Math.exp(-e.deltaY * unit * 0.002), { x: e.clientX, y: e.clientY });
+            return;
+        }
+        
+        if (!this.options.canvas.pannable) return;
+        e.preventDefault();
+        
+        // Shift + vertical wheel scrolls horizontally
+        let dx = e.deltaX * unit;
+        let dy = e.deltaY * unit;
+        if (e.shiftKey && dx === 0) {
+            dx = dy;
+            dy = 0;
+        }
+        
+        this.setViewport({ x: this.viewport.x - dx, y: this.viewport.y - dy });
+    }
+    
+    /**
+     * Handle touch events for mobile support
+     */
+    handleTouchStart(e) {
+        // Two fingers start a pinch zoom
+        if (e.touches.length === 2 && this.options.canvas.zoomable && !this.connectionState) {
+            if (this.dragState) this.endDrag();
+            this.pinchState = {
+                distance: this.getTouchDistance(e.touches),
+                zoom: this.viewport.zoom
+            };
+            e.preventDefault();
+            return;
+        }
+        
+        const touch = e.touches[0];
+        
+        // One finger on empty canvas pans
+        const target = e.target;
+        if (this.options.canvas.pannable &&
+            (target === this.canvas || target === this.stage || target === this.svg)) {
+            this.startPan(touch);
+            e.preventDefault();
+            return;
+        }
+        
+        const mouseEvent = new MouseEvent('mousedown', {
+            clientX: touch.clientX,
+            clientY: touch.clientY
+        });
+        this.handleMouseDown(mouseEvent);
+    }
+    
+    handleTouchMove(e) {
+        if (this.pinchState) {
+            if (e.touches.length === 2) {
+                const distance = this.getTouchDistance(e.touches);
+                this.setZoom(this.pinchState.zoom * distance / this.pinchState.distance, {
+                    x: (e.touches[0].clientX + e.touches[1].clientX) / 2,
+                    y: (e.touches[0].clientY + e.touches[1].clientY) / 2
+                });
+            }
+            e.preventDefault();
+            return;
+        }
+        
+        const touch = e.touches[0];
+        
+        if (this.panState) {
+            this.updatePan(touch);
+            e.preventDefault();
+            return;
+        }
+        
+        const mouseEvent = new MouseEvent('mousemove', {
+            clientX: touch.clientX,
+            clientY: touch.clientY
+        });
+        this.handleMouseMove(mouseEvent);
+        e.preventDefault();
+    }
+    
+    handleTouchEnd(e) {
+        if (this.pinchState) {
+            if (e.touches.length < 2) this.pinchState = null;
+            return;
+        }
+        
+        if (this.panState) {
+            this.endPan();
+            return;
+        }
+        
+        const mouseEvent = new MouseEvent('mouseup');
+        this.handleMouseUp(mouseEvent);
+    }
+    
+    /**
+     * Distance between the first two touch points
+     */
+    getTouchDistance(touches) {
+        const dx = touches[0].clientX - touches[1].clientX;
+        const dy = touches[0].clientY - touches[1].clientY;
+        return Math.sqrt(dx * dx + dy * dy) || 1;
+    }
+    
+    /**
+     * Handle keyboard events
+     */
+    handleKeyDown(e) {
+        // Leave keystrokes in form fields (node templates) to the browser
+        if (!this.active || this.isEditableTarget(e.target)) return;
+        
+        // Hold Space to pan with the left mouse button
+        if (e.key === ' ' && this.options.canvas.pannable) {
+            e.preventDefault();
+            this.setSpacePressed(true);
+            return;
+        }
+        
+        // Undo / redo
+        if (e.key.toLowerCase() === 'z' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            if (e.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+            return;
+        }
+        
+        if (e.key === 'y' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            this.redo();
+            return;
+        }
+        
+        // Delete selected nodes/edges
+        if (e.key === 'Delete' || e.key === 'Backspace') {
+            e.preventDefault();
+            if (this.selectedNodes.size === 0 && this.selectedEdges.size === 0) return;
+            // Confirm deletion of nodes; connections alone are removed directly
+            if (this.selectedNodes.size > 0 && !confirm('Delete selected node?')) return;
+            this.deleteSelected();
+        }
+        
+        // Select all
+        if (e.key === 'a' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            this.selectAll();
+        }
+        
+        // Clear selection
+        if (e.key === 'Escape') {
+            this.clearSelection();
+        }
+        
+        // Debugger: F9 toggles breakpoints on the selection, F10 steps, F8 continues
+        if (this.debugger) {
+            if (e.key === 'F9') {
+                e.preventDefault();
+                this.selectedNodes.forEach(nodeId => this.debugger.toggleBreakpoint(nodeId));
+            } else if (e.key === 'F10' && this.debugger.paused) {
+                e.preventDefault();
+                this.debugger.step();
+            } else if (e.key === 'F8' && this.debugger.paused) {
+                e.preventDefault();
+                this.debugger.continue();
+            }
+        }
+        
+        // Copy / paste go through the copy, cut and paste events
+    }
+    
+    /**
+     * Handle the copy event: put the selection on the system clipboard as JSON
+     */
+    handleCopy(e) {
+        if (!this.active || this.isEditableTarget(e.target)) return;
+        if (this.selectedNodes.size === 0 && this.selectedEdges.size === 0) return;
+        
+        const fragment = this.copySelected();
+        if (e.clipboardData) {
+            e.clipboardData.setData('text/plain', JSON.stringify(fragment));
+            e.preventDefault();
+        }
+    }
+    
+    /**
+     * Handle the cut event
+     */
+    handleCut(e) {
+        if (!this.active || this.isEditableTarget(e.target)) return;
+        if (this.selectedNodes.size === 0 && this.selectedEdges.size === 0) return;
+        
+        this.handleCopy(e);
+        this.transaction('cut', () => this.deleteSelected());
+    }
+    
+    /**
+     * Handle the paste event: paste a fragment from the system clipboard,
+     * falling back to the internal clipboard
+     */
+    handlePaste(e) {
+        if (!this.active || this.isEditableTarget(e.target)) return;
+        
+        const text = e.clipboardData ? e.clipboardData.getData('text/plain') : '';
+        const fragment = this.parseClipboardFragment(text) || this.clipboard;
+        if (!fragment) return;
+        
+        e.preventDefault();
+        this.paste(fragment);
+    }
+    
+    /**
+     * Handle key release
+     */
+    handleKeyUp(e) {
+        if (e.key === ' ') {
+            this.setSpacePressed(false);
+        }
+    }
+    
+    /**
+     * Track the Space key used for Space + drag panning
+     */
+    setSpacePressed(pressed) {
+        if (this.spacePressed === pressed || !this.canvas) return;
+        this.spacePressed = pressed;
+        this.container.querySelector('.workflow-container').classList.toggle('pan-ready', pressed);
+    }
+    
+    /**
+     * Check whether an event target accepts text input
+     */
+    isEditableTarget(target) {
+        if (!target || !target.closest) return false;
+        return !!target.closest('input, select, textarea, [contenteditable=""], [contenteditable="true"]');
+    }
+    
+    /**
+     * Handle window resize
+     */
+    handleResize() {
+        // Update all edge paths after resize
+        this.edges.forEach(edge => this.updateEdgePath(edge));
+    }
+    
+    /**
+     * Select a node
+     */
+    selectNode(nodeId, multi = false) {
+        const node = this.nodes.get(nodeId);
+        if (!node) return;
+        
+        if (!multi) {
+            this.clearSelection(true);
+        }
+        
+        node.element.classList.add('selected');
+        this.selectedNodes.add(nodeId);
+        
+        this.triggerCallback('onNodeSelect', node);
+        this.triggerCallback('onSelectionChange', this.getSelection());
+    }
+    
+    /**
+     * Select an edge
+     * @param {string} edgeId - Edge ID
+     * @param {boolean} multi - Add to the current selection
+     */
+    selectEdge(edgeId, multi = false) {
+        const edge = this.edges.get(edgeId);
+        if (!edge) return;
+        
+        if (!multi) {
+            this.clearSelection(true);
+        }
+        
+        this.setEdgeSelected(edge, true);
+        
+        this.triggerCallback('onEdgeSelect', edge);
+        this.triggerCallback('onSelectionChange', this.getSelection());
+    }
+    
+    /**
+     * Apply or remove the selected state of an edge
+     */
+    setEdgeSelected(edge, selected) {
+        if (selected) {
+            this.selectedEdges.add(edge.id);
+        } else {
+            this.selectedEdges.delete(edge.id);
         }
         
-        // Check if clicking on node handle or draggable area
-        const nodeEl = target.closest('.workflow-node');
-        if (nodeEl) {
-            // Check if target is interactive element
-            const isInteractive = target.matches('input, select, textarea, button') || target.closest('input, select, textarea, button');
-            
-            if (!isInteractive || target.classList.contains('node-handle')) {
-                this.startDrag(e, nodeEl);
+        if (edge.element) edge.element.classList.toggle('selected', selected);
+        if (edge.labelElement) edge.labelElement.classList.toggle('selected', selected);
+        this.updateEdgeMarker(edge);
+        this.renderEdgeHandles(edge);
+    }
+    
+    /**
+     * Show drag handles on both ends of a selected edge, remove them otherwise
+     */
+    renderEdgeHandles(edge) {
+        if (edge.handles) {
+            edge.handles.forEach(handle => handle.remove());
+            edge.handles = null;
+        }
+        if (!edge.element || !this.selectedEdges.has(edge.id)) return;
+        
+        edge.handles = ['source', 'target'].map(end => {
+            const handle = document.createElement('div');
+            handle.className = 'edge-handle';
+            handle.dataset.edgeId = edge.id;
+            handle.dataset.end = end;
+            handle.title = 'Drag to another port, or onto the canvas to disconnect';
+            this.stage.appendChild(handle);
+            return handle;
+        });
+        this.updateEdgePath(edge);
+    }
+    
+    /**
+     * Select all nodes and edges that are not hidden inside collapsed groups
+     */
+    selectAll() {
+        this.nodes.forEach((node, id) => {
+            if (this.isNodeHidden(id)) return;
+            node.element.classList.add('selected');
+            this.selectedNodes.add(id);
+        });
+        this.edges.forEach(edge => {
+            const source = this.getVisibleEndpoint(edge.source, edge.sourcePort).nodeId;
+            const target = this.getVisibleEndpoint(edge.target, edge.targetPort).nodeId;
+            const internal = source === target && (source !== edge.source || target !== edge.target);
+            if (!internal) this.setEdgeSelected(edge, true);
+        });
+        
+        this.triggerCallback('onSelectionChange', this.getSelection());
+    }
+    
+    /**
+     * Clear selection
+     * @param {boolean} silent - Skip onSelectionChange (used when a new selection follows)
+     */
+    clearSelection(silent = false) {
+        const hadSelection = this.selectedNodes.size > 0 || this.selectedEdges.size > 0;
+        
+        this.canvas.querySelectorAll('.workflow-node.selected').forEach(el => {
+            el.classList.remove('selected');
+        });
+        this.selectedNodes.clear();
+        
+        Array.from(this.selectedEdges).forEach(edgeId => {
+            const edge = this.edges.get(edgeId);
+            if (edge) {
+                this.setEdgeSelected(edge, false);
+            } else {
+                this.selectedEdges.delete(edgeId);
+            }
+        });
+        
+        if (hadSelection && !silent) {
+            this.triggerCallback('onSelectionChange', this.getSelection());
+        }
+    }
+    
+    /**
+     * Replace the selection, firing a single onSelectionChange
+     * @param {Object} selection - {nodes: Array of node IDs, edges: Array of edge IDs}
+     */
+    setSelection({ nodes = [], edges = [] } = {}) {
+        this.clearSelection(true);
+        
+        nodes.forEach(id => {
+            const node = this.nodes.get(id);
+            if (!node) return;
+            node.element.classList.add('selected');
+            this.selectedNodes.add(id);
+        });
+        
+        edges.forEach(id => {
+            const edge = this.edges.get(id);
+            if (edge) this.setEdgeSelected(edge, true);
+        });
+        
+        this.triggerCallback('onSelectionChange', this.getSelection());
+    }
+    
+    /**
+     * Get the current selection
+     * @returns {Object} {nodes: Array of node IDs, edges: Array of edge IDs}
+     */
+    getSelection() {
+        return {
+            nodes: Array.from(this.selectedNodes),
+            edges: Array.from(this.selectedEdges)
+        };
+    }
+    
+    /**
+     * Delete selected nodes and edges
+     */
+    deleteSelected() {
+        const edgesToDelete = Array.from(this.selectedEdges);
+        const nodesToDelete = Array.from(this.selectedNodes);
+        this.transaction('deleteSelected', () => {
+            edgesToDelete.forEach(edgeId => this.deleteEdge(edgeId));
+            nodesToDelete.forEach(nodeId => this.deleteNode(nodeId));
+        });
+        this.clearSelection();
+    }
+    
+    /**
+     * Copy selected nodes and edges
+     * Selected edges bring their endpoint nodes along; edges are copied when both ends are.
+     * @returns {Object} Clipboard fragment {format, nodes, edges}
+     */
+    copySelected() {
+        // Groups are copied with their contents
+        const nodeIds = new Set(this.selectedNodes);
+        this.selectedNodes.forEach(id => this.getDescendantIds(id).forEach(childId => nodeIds.add(childId)));
+        this.selectedEdges.forEach(edgeId => {
+            const edge = this.edges.get(edgeId);
+            if (edge) {
+                nodeIds.add(edge.source);
+                nodeIds.add(edge.target);
+            }
+        });
+        
+        this.clipboard = {
+            format: CLIPBOARD_FORMAT,
+            nodes: Array.from(nodeIds).map(id => {
+                const node = this.nodes.get(id);
+                return {
+                    id: node.id,
+                    type: node.type,
+                    data: { ...node.data },
+                    position: { ...node.position },
+                    parentId: nodeIds.has(node.parentId) ? node.parentId : null
+                };
+            }),
+            edges: Array.from(this.edges.values())
+                .filter(edge => nodeIds.has(edge.source) && nodeIds.has(edge.target))
+                .map(edge => ({
+                    id: edge.id,
+                    source: edge.source,
+                    target: edge.target,
+                    sourcePort: edge.sourcePort,
+                    targetPort: edge.targetPort,
+                    style: { ...edge.style },
+                    data: { ...edge.data }
+                }))
+        };
+        
+        return this.clipboard;
+    }
+    
+    /**
+     * Parse clipboard text into a fragment
+     * @param {string} text - Clipboard text
+     * @returns {Object|null} Fragment, or null if the text is not a SwanEditor fragment
+     */
+    parseClipboardFragment(text) {
+        if (!text) return null;
+        
+        try {
+            const fragment = JSON.parse(text);
+            if (fragment && fragment.format === CLIPBOARD_FORMAT && Array.isArray(fragment.nodes)) {
+                // Fragments from other apps or versions may lack positions
+                const number = value => (typeof value === 'number' && isFinite(value) ? value : 0);
+                const nodes = fragment.nodes
+                    .filter(nodeData => nodeData && typeof nodeData === 'object')
+                    .map(nodeData => {
+                        const position = nodeData.position || {};
+                        return { ...nodeData, position: { x: number(position.x), y: number(position.y) } };
+                    });
+                return { ...fragment, nodes, edges: Array.isArray(fragment.edges) ? fragment.edges : [] };
+            }
+        } catch (error) {
+            // Not JSON: someone else's clipboard content
+        }
+        return null;
+    }
+    
+    /**
+     * Copy the selection to the system clipboard (for toolbar buttons)
+     * @returns {Promise<boolean>} Whether the system clipboard was written
+     */
+    async copyToClipboard() {
+        const fragment = this.copySelected();
+        if (!fragment.nodes.length) return false;
+        
+        try {
+            await navigator.clipboard.writeText(JSON.stringify(fragment));
+            return true;
+        } catch (error) {
+            console.warn('SwanEditor: System clipboard unavailable, copied internally', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Paste from the system clipboard (for toolbar buttons)
+     * Falls back to the internal clipboard.
+     * @returns {Promise<Array>} IDs of the pasted nodes
+     */
+    async pasteFromClipboard() {
+        let fragment = null;
+        
+        try {
+            fragment = this.parseClipboardFragment(await navigator.clipboard.readText());
+        } catch (error) {
+            console.warn('SwanEditor: System clipboard unavailable, using internal clipboard', error);
+        }
+        
+        return this.paste(fragment || this.clipboard);
+    }
+    
+    /**
+     * Paste copied nodes and the edges between them
+     * Lands at the pointer when it is over the canvas, otherwise next to the originals.
+     * @param {Object} fragment - Clipboard fragment (defaults to the internal clipboard)
+     * @param {Object} position - Optional world position {x, y} for the fragment's top-left corner
+     * @returns {Array} IDs of the pasted nodes
+     */
+    paste(fragment = this.clipboard, position = null) {
+        if (!fragment || !fragment.nodes || !fragment.nodes.length) return [];
+        
+        // Top-left corner of the copied nodes
+        const minX = Math.min(...fragment.nodes.map(node => node.position.x));
+        const minY = Math.min(...fragment.nodes.map(node => node.position.y));
+        
+        // Work out the target corner
+        let target = position;
+        if (!target && this.pointer) {
+            const rect = this.canvas.getBoundingClientRect();
+            const { clientX, clientY } = this.pointer;
+            if (clientX >= rect.left && clientX <= rect.right && clientY >= rect.top && clientY <= rect.bottom) {
+                target = this.clientToWorld(clientX, clientY, rect);
             }
+        }
+        if (!target) {
+            const offset = 50;
+            target = { x: minX + offset, y: minY + offset };
+        }
+        
+        const idMap = new Map();    // copied node ID -> pasted node ID
+        const pasted = [];          // [copied node data, pasted node ID], one per fragment node
+        const newEdges = [];
+        
+        this.transaction('paste', () => {
+            // Create new nodes
+            fragment.nodes.forEach(nodeData => {
+                const newId = this.createNode(
+                    nodeData.type,
+                    {
+                        x: nodeData.position.x - minX + target.x,
+                        y: nodeData.position.y - minY + target.y
+                    },
+                    { ...nodeData.data }
+                );
+                pasted.push([nodeData, newId]);
+                // Nodes without an ID (or reusing one) are pasted on their own: nothing can refer to them
+                if (nodeData.id != null && !idMap.has(nodeData.id)) {
+                    idMap.set(nodeData.id, newId);
+                }
+            });
+            
+            // Restore grouping inside the fragment
+            pasted.forEach(([nodeData, newId]) => {
+                const parentId = idMap.get(nodeData.parentId);
+                if (parentId && parentId !== newId) {
+                    this.setNodeParent(newId, parentId);
+                }
+            });
+            
+            // Recreate the wiring between them
+            (fragment.edges || []).forEach(edgeData => {
+                if (!idMap.has(edgeData.source) || !idMap.has(edgeData.target)) return;
+                
+                const edgeId = this.createEdge(idMap.get(edgeData.source), idMap.get(edgeData.target), {
+                    sourcePort: edgeData.sourcePort,
+                    targetPort: edgeData.targetPort,
+                    style: edgeData.style,
+                    data: { ...edgeData.data }
+                });
+                if (edgeId) newEdges.push(edgeId);
+            });
+        });
+        
+        // Select what was pasted
+        const newNodes = pasted.map(([, newId]) => newId);
+        this.setSelection({ nodes: newNodes, edges: newEdges });
+        
+        return newNodes;
+    }
+    
+    /**
+     * Record an undoable command
+     * Mutating methods call this after they have applied their change.
+     * @param {Object} command - {label, undo: Function, redo: Function, mergeKey?: string}
+     */
+    recordCommand(command) {
+        const history = this.history;
+        if (history.replaying) return;
+        
+        // Inside a transaction: collect into the pending step
+        if (history.pending) {
+            history.pending.commands.push(command);
             return;
         }
         
-        // Clear selection if clicking on canvas
-        if (target === this.canvas || target === this.svg) {
-            this.clearSelection();
+        // Merge repeated edits (e.g. typing into a node field) into the previous step
+        const last = history.undoStack[history.undoStack.length - 1];
+        const mergeWindow = this.options.history ? this.options.history.mergeWindow : 0;
+        if (command.mergeKey && last && last.mergeKey === command.mergeKey &&
+            history.redoStack.length === 0 && Date.now() - last.timestamp < mergeWindow) {
+            last.commands[0] = { ...last.commands[0], redo: command.redo };
+            last.timestamp = Date.now();
+            return;
+        }
+        
+        this.pushHistoryEntry({
+            label: command.label,
+            mergeKey: command.mergeKey || null,
+            commands: [command]
+        });
+    }
+    
+    /**
+     * Push a completed step onto the undo stack
+     */
+    pushHistoryEntry(entry) {
+        const history = this.history;
+        entry.timestamp = Date.now();
+        history.undoStack.push(entry);
+        
+        // Enforce history limit
+        const limit = this.options.history ? this.options.history.limit : 0;
+        if (limit && history.undoStack.length > limit) {
+            history.undoStack.splice(0, history.undoStack.length - limit);
+        }
+        
+        // A new action invalidates the redo branch
+        history.redoStack = [];
+        
+        this.triggerCallback('onHistoryChange', this.getHistoryState());
+    }
+    
+    /**
+     * Start grouping recorded commands into a single undo step
+     * Transactions nest; the step is committed when the outermost one ends.
+     * @param {string} label - Step label
+     */
+    beginTransaction(label) {
+        const history = this.history;
+        if (history.replaying) return;
+        
+        if (history.depth === 0) {
+            history.pending = { label, mergeKey: null, commands: [] };
+        }
+        history.depth++;
+    }
+    
+    /**
+     * Close the current transaction
+     */
+    endTransaction() {
+        const history = this.history;
+        if (history.replaying || history.depth === 0) return;
+        
+        history.depth--;
+        if (history.depth > 0) return;
+        
+        const entry = history.pending;
+        history.pending = null;
+        if (entry.commands.length > 0) {
+            this.pushHistoryEntry(entry);
+        }
+    }
+    
+    /**
+     * Run a function as a single undo step
+     * @param {string} label - Step label
+     * @param {Function} fn - Function performing the mutations
+     * @returns {*} Return value of fn
+     */
+    transaction(label, fn) {
+        this.beginTransaction(label);
+        try {
+            return fn();
+        } finally {
+            this.endTransaction();
+        }
+    }
+    
+    /**
+     * Undo the last step
+     * @returns {boolean} Whether a step was undone
+     */
+    undo() {
+        const history = this.history;
+        if (history.depth > 0 || history.undoStack.length === 0) return false;
+        
+        const entry = history.undoStack.pop();
+        const failures = this.replayHistory(() => {
+            for (let i = entry.commands.length - 1; i >= 0; i--) {
+                entry.commands[i].undo();
+            }
+        });
+        history.redoStack.push(entry);
+        
+        this.triggerCallback('onUndo', entry.label);
+        this.reportHistoryError('Undo', entry.label, failures);
+        this.triggerCallback('onHistoryChange', this.getHistoryState());
+        return true;
+    }
+    
+    /**
+     * Redo the last undone step
+     * @returns {boolean} Whether a step was redone
+     */
+    redo() {
+        const history = this.history;
+        if (history.depth > 0 || history.redoStack.length === 0) return false;
+        
+        const entry = history.redoStack.pop();
+        const failures = this.replayHistory(() => {
+            entry.commands.forEach(command => command.redo());
+        });
+        entry.timestamp = 0; // Never merge new edits into a redone step
+        history.undoStack.push(entry);
+        
+        this.triggerCallback('onRedo', entry.label);
+        this.reportHistoryError('Redo', entry.label, failures);
+        this.triggerCallback('onHistoryChange', this.getHistoryState());
+        return true;
+    }
+    
+    /**
+     * Run history commands without recording them
+     * @returns {Array} Messages of the commands that could not be replayed
+     */
+    replayHistory(fn) {
+        this.history.replaying = true;
+        this.history.failures = [];
+        try {
+            fn();
+            return this.history.failures;
+        } finally {
+            this.history.replaying = false;
+            this.history.failures = null;
+        }
+    }
+    
+    /**
+     * Note a command that could not be replayed (no-op outside undo/redo)
+     */
+    reportReplayFailure(message) {
+        if (this.history.failures) this.history.failures.push(message);
+    }
+    
+    /**
+     * Warn and emit historyError when an undo/redo step was only partly replayed
+     */
+    reportHistoryError(action, label, failures) {
+        if (failures.length === 0) return;
+        console.warn(`SwanEditor: ${action} of "${label}" was incomplete: ${failures.join('; ')}`);
+        this.triggerCallback('onHistoryError', label, failures);
+    }
+    
+    /**
+     * Check if there is a step to undo
+     */
+    canUndo() {
+        return this.history.undoStack.length > 0;
+    }
+    
+    /**
+     * Check if there is a step to redo
+     */
+    canRedo() {
+        return this.history.redoStack.length > 0;
+    }
+    
+    /**
+     * Get a summary of the history stacks
+     * @returns {Object} {canUndo, canRedo, undoLabels, redoLabels}
+     */
+    getHistoryState() {
+        return {
+            canUndo: this.canUndo(),
+            canRedo: this.canRedo(),
+            undoLabels: this.history.undoStack.map(entry => entry.label),
+            redoLabels: this.history.redoStack.map(entry => entry.label)
+        };
+    }
+    
+    /**
+     * Forget all undo/redo steps
+     */
+    clearHistory() {
+        this.history.undoStack = [];
+        this.history.redoStack = [];
+        this.triggerCallback('onHistoryChange', this.getHistoryState());
+    }
+    
+    /**
+     * Trigger a callback and the matching event ('onNodeCreate' -> 'nodeCreate')
+     * @returns {boolean} False when a handler returned false (vetoes before* events)
+     */
+    triggerCallback(name, ...args) {
+        let allowed = true;
+        if (this.options.callbacks[name]) {
+            if (this.options.callbacks[name](...args) === false) allowed = false;
+        }
+        
+        const event = name.charAt(2).toLowerCase() + name.slice(3);
+        if (!this.emit(event, ...args)) allowed = false;
+        return allowed;
+    }
+    
+    /**
+     * Subscribe to an editor event (see EVENTS); '*' receives every event as (event, ...args)
+     * @param {string} event - Event name
+     * @param {Function} handler - Event handler
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, handler) {
+        if (typeof handler !== 'function') {
+            console.error(`SwanEditor: Handler for "${event}" must be a function`);
+            return () => {};
+        }
+        
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+        this.listeners.get(event).push(handler);
+        
+        return () => this.off(event, handler);
+    }
+    
+    /**
+     * Subscribe to the next occurrence of an event only
+     * @param {string} event - Event name
+     * @param {Function} handler - Event handler
+     * @returns {Function} Unsubscribe function
+     */
+    once(event, handler) {
+        const wrapper = (...args) => {
+            this.off(event, wrapper);
+            return handler(...args);
+        };
+        wrapper.handler = handler;  // Lets off() find it by the original handler
+        return this.on(event, wrapper);
+    }
+    
+    /**
+     * Unsubscribe a handler, or every handler of the event when none is given
+     * @param {string} event - Event name
+     * @param {Function} handler - Handler passed to on() or once()
+     */
+    off(event, handler) {
+        const handlers = this.listeners.get(event);
+        if (!handlers) return;
+        
+        const remaining = handler
+            ? handlers.filter(h => h !== handler && h.handler !== handler)
+            : [];
+        if (remaining.length > 0) {
+            this.listeners.set(event, remaining);
+        } else {
+            this.listeners.delete(event);
         }
     }
     
     /**
-     * Start dragging a node
+     * Call the handlers of an event, then the wildcard handlers
+     * @param {string} event - Event name
+     * @returns {boolean} False when a handler returned false
      */
-    startDrag(e, nodeEl) {
-        const nodeId = nodeEl.dataset.nodeId;
-        const node = this.nodes.get(nodeId);
-        if (!node) return;
+    emit(event, ...args) {
+        let allowed = true;
         
-        // Prevent text selection
-        document.body.classList.add('no-select');
+        // Copy so handlers can unsubscribe while we iterate
+        [...(this.listeners.get(event) || [])].forEach(handler => {
+            if (handler(...args) === false) allowed = false;
+        });
+        [...(this.listeners.get('*') || [])].forEach(handler => handler(event, ...args));
         
-        // Calculate offset
-        const rect = nodeEl.getBoundingClientRect();
-        const canvasRect = this.canvas.getBoundingClientRect();
+        return allowed;
+    }
+    
+    /**
+     * Install a plugin
+     * A plugin is {name, install(context, options), uninstall?(context)} or a function
+     * (context, options) that may return an uninstall function. The context gives:
+     *   editor, graph, options
+     *   layers.overlay  - HTML layer above the canvas in screen space (pointer-events: none)
+     *   layers.underlay - SVG group below the edges in stage coordinates (pans and zooms)
+     *   on/once/off/emit - editor events; subscriptions end when the plugin is removed
+     *   history - {record, transaction, undo, redo} for undoable plugin commands
+     * @param {Object|Function} plugin - Plugin
+     * @param {Object} options - Options passed to install
+     * @returns {SwanEditor} The editor, for chaining
+     */
+    use(plugin, options = {}) {
+        const isFunction = typeof plugin === 'function';
+        if (!plugin || (!isFunction && typeof plugin.install !== 'function')) {
+            console.error('SwanEditor: A plugin needs an install function');
+            return this;
+        }
         
-        this.dragState = {
-            nodes: this.selectedNodes.has(nodeId) ? Array.from(this.selectedNodes) : [nodeId],
-            primary: node,
-            offsetX: e.clientX - rect.left,
-            offsetY: e.clientY - rect.top,
-            startPositions: new Map()
-        };
+        const name = plugin.name || `plugin-${this.plugins.size + 1}`;
+        if (this.plugins.has(name)) {
+            console.warn(`SwanEditor: Plugin "${name}" is already installed`);
+            return this;
+        }
         
-        // Store start positions for all dragged nodes
-        this.dragState.nodes.forEach(id => {
-            const n = this.nodes.get(id);
-            if (n) {
-                this.dragState.startPositions.set(id, {
-                    x: n.position.x,
-                    y: n.position.y
-                });
-                n.element.classList.add('dragging');
-            }
+        const context = this.createPluginContext(name, options);
+        const result = isFunction ? plugin(context, options) : plugin.install(context, options);
+        this.plugins.set(name, {
+            plugin,
+            context,
+            uninstall: typeof result === 'function' ? result : null
         });
         
-        // Select node if not already selected
-        if (!this.selectedNodes.has(nodeId)) {
-            this.selectNode(nodeId, e.ctrlKey || e.metaKey);
-        }
-        
-        e.preventDefault();
+        return this;
     }
     
     /**
-     * Start creating a connection
+     * Get an installed plugin by name
+     * @param {string} name - Plugin name
+     * @returns {Object|Function|null} Plugin
      */
-    startConnection(e, portEl) {
-        const nodeId = portEl.dataset.nodeId;
-        const portType = portEl.dataset.portType;
-        
-        this.connectionState = {
-            sourceNodeId: nodeId,
-            sourcePortType: portType,
-            previewPath: null,
-            isUpdating: false
+    getPlugin(name) {
+        const entry = this.plugins.get(name);
+        return entry ? entry.plugin : null;
+    }
+    
+    /**
+     * Uninstall a plugin, removing its layers and event subscriptions
+     * @param {string} name - Plugin name
+     * @returns {boolean} Whether the plugin was installed
+     */
+    removePlugin(name) {
+        const entry = this.plugins.get(name);
+        if (!entry) return false;
+        
+        const { plugin, context, uninstall } = entry;
+        if (uninstall) uninstall(context);
+        if (typeof plugin.uninstall === 'function') plugin.uninstall(context);
+        
+        context.subscriptions.forEach(unsubscribe => unsubscribe());
+        context.layers.overlay.remove();
+        context.layers.underlay.remove();
+        this.plugins.delete(name);
+        return true;
+    }
+    
+    /**
+     * Build the context handed to a plugin's install()
+     */
+    createPluginContext(name, options) {
+        // Each plugin draws into its own layers so removal cleans up after it
+        const overlay = document.createElement('div');
+        overlay.className = 'workflow-plugin-layer';
+        overlay.dataset.plugin = name;
+        this.overlay.appendChild(overlay);
+        
+        const underlay = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        underlay.setAttribute('data-plugin', name);
+        this.underlay.appendChild(underlay);
+        
+        const subscriptions = [];
+        const track = unsubscribe => {
+            subscriptions.push(unsubscribe);
+            return unsubscribe;
         };
         
-        // Add connecting class
-        portEl.classList.add('connecting');
-        
-        // Create preview path
-        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-        path.setAttribute('class', 'edge-path preview');
-        this.svg.appendChild(path);
-        this.connectionState.previewPath = path;
-        
-        e.preventDefault();
-        e.stopPropagation();
+        return {
+            name,
+            editor: this,
+            graph: this.graph,
+            options,
+            layers: { overlay, underlay },
+            subscriptions,
+            on: (event, handler) => track(this.on(event, handler)),
+            once: (event, handler) => track(this.once(event, handler)),
+            off: (event, handler) => this.off(event, handler),
+            emit: (event, ...args) => this.emit(event, ...args),
+            history: {
+                record: command => this.recordCommand(command),
+                transaction: (label, fn) => this.transaction(label, fn),
+                undo: () => this.undo(),
+                redo: () => this.redo()
+            }
+        };
     }
     
     /**
-     * Handle mouse move event
+     * Get the workflow metadata
+     * @returns {Object} {name, description, createdAt, updatedAt, ...custom fields}
      */
-    handleMouseMove(e) {
-        // Handle node dragging
-        if (this.dragState) {
-            this.updateDrag(e);
-        }
-        
-        // Handle connection preview
-        if (this.connectionState) {
-            this.updateConnectionPreview(e);
-        }
+    getMetadata() {
+        return { ...this.graph.metadata };
     }
     
     /**
-     * Update node position during drag
+     * Merge fields into the workflow metadata (saved by getWorkflowData)
+     * @param {Object} metadata - {name, description, ...custom fields}
      */
-    updateDrag(e) {
-        if (!this.dragState) return;
-        
-        const canvasRect = this.canvas.getBoundingClientRect();
-        
-        // Calculate primary node delta
-        const deltaX = e.clientX - canvasRect.left - this.dragState.offsetX + this.canvas.scrollLeft - this.dragState.startPositions.get(this.dragState.primary.id).x;
-        const deltaY = e.clientY - canvasRect.top - this.dragState.offsetY + this.canvas.scrollTop - this.dragState.startPositions.get(this.dragState.primary.id).y;
+    setMetadata(metadata) {
+        this.graph.setMetadata(metadata);
+    }
+    
+    /**
+     * Get workflow data
+     * @returns {Object} {schemaVersion, metadata, nodes, edges, viewport}
+     */
+    getWorkflowData() {
+        return {
+            ...this.graph.toJSON(),
+            viewport: this.getViewport()
+        };
+    }
+    
+    /**
+     * Load workflow data
+     * @param {Object} data - Workflow data
+     * @param {Object} options - {layout: autoLayout options for the nodes that lack positions,
+     *   allowNewer: see SwanGraph.migrateWorkflow}
+     * @returns {boolean} False when a beforeImport handler vetoed the load
+     */
+    loadWorkflowData(data, options = {}) {
+        // Listeners may veto the import or adjust the data first
+        if (this.triggerCallback('onBeforeImport', data) === false) return false;
         
-        // Update all selected nodes
-        this.dragState.nodes.forEach(nodeId => {
-            const node = this.nodes.get(nodeId);
-            if (!node) return;
-            
-            const startPos = this.dragState.startPositions.get(nodeId);
-            let x = startPos.x + deltaX;
-            let y = startPos.y + deltaY;
+        // Bring older documents and node data up to date
+        this.applyWorkflow(this.graph.migrateWorkflow(data, { allowNewer: options.allowNewer }), options);
+        return true;
+    }
+    
+    /**
+     * Replace the graph with a workflow document that is already migrated
+     * @param {Object} data - Workflow data
+     * @param {Object} options - {layout: see loadWorkflowData}
+     */
+    applyWorkflow(data, options = {}) {
+        // Top-level nodes without coordinates (e.g. generated workflows) get laid out; the rest stay put
+        const unplaced = new Set((data.nodes || [])
+            .filter(nodeData => !nodeData.parentId && (
+                !nodeData.position ||
+                typeof nodeData.position.x !== 'number' ||
+                typeof nodeData.position.y !== 'number'
+            ))
+            .map(nodeData => nodeData.id));
+        
+        // Loading replaces the whole graph in one undo step
+        this.transaction('load', () => {
+            // Clear existing
+            this.clear();
             
-            // Apply grid snapping
-            if (this.options.gridSize > 1) {
-                x = Math.round(x / this.options.gridSize) * this.options.gridSize;
-                y = Math.round(y / this.options.gridSize) * this.options.gridSize;
+            // Create nodes with original IDs preserved
+            if (data.nodes) {
+                data.nodes.forEach(nodeData => {
+                    this.createNode(
+                        nodeData.type,
+                        nodeData.position,
+                        nodeData.data,
+                        nodeData.id  // Preserve original ID
+                    );
+                });
+                
+                // Parents may be listed after their children
+                data.nodes.forEach(nodeData => {
+                    if (nodeData.parentId) this.setNodeParent(nodeData.id, nodeData.parentId);
+                });
             }
             
-            // Constrain to canvas bounds
-            x = Math.max(0, x);
-            y = Math.max(0, y);
+            // Create edges with original IDs and ports preserved
+            if (data.edges) {
+                data.edges.forEach(edgeData => {
+                    this.createEdge(edgeData.source, edgeData.target, {
+                        id: edgeData.id,
+                        sourcePort: edgeData.sourcePort,
+                        targetPort: edgeData.targetPort,
+                        style: edgeData.style,
+                        data: edgeData.data
+                    });
+                });
+            }
             
-            // Update position
-            node.position.x = x;
-            node.position.y = y;
-            node.element.style.left = `${x}px`;
-            node.element.style.top = `${y}px`;
+            if (unplaced.size > 0) {
+                // Below the placed nodes, or at the top-left when none has a position
+                const placed = Array.from(this.nodes.values())
+                    .filter(node => !node.parentId && !unplaced.has(node.id))
+                    .map(node => node.id);
+                const bounds = placed.length > 0 ? this.getNodesBounds(placed) : null;
+                this.autoLayout({
+                    animate: false,
+                    nodeIds: Array.from(unplaced),
+                    origin: bounds ? { x: bounds.minX, y: bounds.maxY + 80 } : { x: 100, y: 100 },
+                    ...options.layout
+                });
+            }
             
-            // Schedule edge updates
-            this.scheduleEdgeUpdate(nodeId);
+            // Loading is not an edit: keep the stored name and timestamps
+            const metadata = this.graph.metadata;
+            this.graph.metadata = { ...metadata, ...data.metadata };
+            this.recordMetadataChange(metadata);
         });
+        
+        // Restore where the user left the view
+        if (data.viewport) {
+            this.setViewport(data.viewport);
+        }
     }
     
     /**
-     * Update connection preview
+     * Clear the workflow
      */
-    updateConnectionPreview(e) {
-        if (!this.connectionState || !this.connectionState.previewPath) return;
-        
-        // Throttle using RAF
-        if (this.connectionState.isUpdating) return;
-        
-        this.connectionState.isUpdating = true;
-        this.connectionState.pendingEvent = e;
-        
-        requestAnimationFrame(() => {
-            if (!this.connectionState) return;
+    clear() {
+        const metadata = this.graph.metadata;
+        this.transaction('clear', () => {
+            // Delete all nodes
+            Array.from(this.nodes.keys()).forEach(id => this.deleteNode(id, { force: true }));
             
-            const event = this.connectionState.pendingEvent;
-            this.connectionState.isUpdating = false;
-
+            // Reset counters and start a new document's metadata
+            this.graph.clear();
+            this.recordMetadataChange(metadata);
+        });
         
-            const sourceNode = this.nodes.get(this.connectionState.sourceNodeId);
-            if (!sourceNode) return;
-            
-            const sourcePort = sourceNode.ports[this.connectionState.sourcePortType];
-            if (!sourcePort) return;
-            
-            // CACHE the source port rect on first call to avoid repeated getBoundingClientRect
-            if (!this.connectionState.sourceRect) {
-                const sourceRect = sourcePort.getBoundingClientRect();
-                const canvasRect = this.canvas.getBoundingClientRect();
-                
-                this.connectionState.sourceRect = {
-                    x: sourceRect.left - canvasRect.left + sourceRect.width / 2 + this.canvas.scrollLeft,
-                    y: sourceRect.top - canvasRect.top + sourceRect.height / 2 + this.canvas.scrollTop
-                };
-                this.connectionState.canvasRect = canvasRect;
-            }
-            
-            // Use cached values
-            const x1 = this.connectionState.sourceRect.x;
-            const y1 = this.connectionState.sourceRect.y;
-            const x2 = event.clientX - this.connectionState.canvasRect.left + this.canvas.scrollLeft;
-            const y2 = event.clientY - this.connectionState.canvasRect.top + this.canvas.scrollTop;
-            
-            // Create bezier curve
-            const dx = x2 - x1;
-            const curvature = Math.abs(dx) * 0.5;
-            const ctrl1x = x1 + curvature;
-            const ctrl2x = x2 - curvature;
-            
-            const d = `M ${x1} ${y1} C ${ctrl1x} ${y1}, ${ctrl2x} ${y2}, ${x2} ${y2}`;
-            this.connectionState.previewPath.setAttribute('d', d);
+        // Clear selection
+        this.clearSelection();
+    }
+    
+    /**
+     * Record that the metadata object was replaced, so undo brings the old one back
+     * @param {Object} previous - Metadata object before the change
+     */
+    recordMetadataChange(previous) {
+        const next = this.graph.metadata;
+        if (next === previous) return;
+        
+        this.recordCommand({
+            label: 'metadata',
+            undo: () => { this.graph.metadata = previous; },
+            redo: () => { this.graph.metadata = next; }
         });
     }
     
     /**
-     * Handle mouse up event
+     * Export as JSON
      */
-    handleMouseUp(e) {
-        // End dragging
-        if (this.dragState) {
-            this.endDrag();
+    exportJSON() {
+        return JSON.stringify(this.getWorkflowData(), null, 2);
+    }
+    
+    /**
+     * Export as a Mermaid flowchart (see SwanFormats.toMermaid)
+     * @param {Object} options - {direction: 'LR' | 'TB', shapes: {nodeType: Mermaid shape}}
+     * @returns {string} Mermaid source
+     */
+    exportMermaid(options = {}) {
+        return SwanFormats.toMermaid(this.graph.toJSON(), options);
+    }
+    
+    /**
+     * Export as a Graphviz digraph (see SwanFormats.toDOT)
+     * @param {Object} options - {direction: 'LR' | 'TB', shapes: {nodeType: DOT shape}}
+     * @returns {string} DOT source
+     */
+    exportDOT(options = {}) {
+        return SwanFormats.toDOT(this.graph.toJSON(), options);
+    }
+    
+    /**
+     * Replace the workflow with a Mermaid flowchart, laid out in the chart's direction
+     * Subgraphs are not turned into groups.
+     * @param {string} text - Mermaid source
+     * @param {Object} options - {typeMap: {class or shape: nodeType}, defaultType, mode: default 'lenient'}
+     * @returns {Object} Import report (see importWorkflow)
+     */
+    importMermaid(text, options = {}) {
+        return this.importDiagram(() => SwanFormats.fromMermaid(text, options), options);
+    }
+    
+    /**
+     * Replace the workflow with a Graphviz graph, laid out along its rankdir
+     * Clusters are not turned into groups.
+     * @param {string} text - DOT source
+     * @param {Object} options - {typeMap: {type or shape: nodeType}, defaultType, mode: default 'lenient'}
+     * @returns {Object} Import report (see importWorkflow)
+     */
+    importDOT(text, options = {}) {
+        return this.importDiagram(() => SwanFormats.fromDOT(text, options), options);
+    }
+    
+    /**
+     * Parse a diagram and import the result without coordinates, so it gets auto-laid out
+     */
+    importDiagram(parse, options) {
+        let data;
+        try {
+            data = parse();
+        } catch (error) {
+            return {
+                imported: false,
+                valid: false,
+                errors: [{ path: '$', message: error.message }],
+                warnings: [],
+                dropped: []
+            };
         }
         
-        // End connection
-        if (this.connectionState) {
-            this.endConnection(e);
-        }
+        const { layout, ...workflow } = data;
+        return this.importWorkflow(workflow, { mode: 'lenient', layout, ...options });
     }
     
     /**
-     * End node dragging
+     * Export the canvas as a standalone SVG image
+     * Edges are SVG paths with their arrow markers; node bodies and edge labels keep their
+     * HTML inside foreignObject elements, with the editor styles inlined. Selection, run
+     * status, debugger chrome and diagnostics are left out, and so are images that are not
+     * data: URLs, so the file never loads anything from the network.
+     * @param {Object} options - {selectionOnly: only selected nodes and the edges between them,
+     *   padding: margin in px (default 20), theme: 'light' | 'dark' (default current),
+     *   background: false for a transparent background}
+     * @returns {string} SVG markup
      */
-    endDrag() {
-        if (!this.dragState) return;
-        
-        // Remove dragging class
-        this.dragState.nodes.forEach(nodeId => {
-            const node = this.nodes.get(nodeId);
-            if (node && node.element) {
-                node.element.classList.remove('dragging');
-            }
-        });
-        
-        // Re-enable text selection
-        document.body.classList.remove('no-select');
-        
-        // Trigger callbacks for moved nodes
-        this.dragState.nodes.forEach(nodeId => {
-            const node = this.nodes.get(nodeId);
-            const startPos = this.dragState.startPositions.get(nodeId);
-            if (node && (startPos.x !== node.position.x || startPos.y !== node.position.y)) {
-                this.triggerCallback('onNodeMove', node);
-            }
-        });
-        
-        // Clear drag state
-        this.dragState = null;
+    exportSVG(options = {}) {
+        return new XMLSerializer().serializeToString(this.createExportSVG(options));
     }
     
     /**
-     * End connection creation
+     * Export the canvas as a PNG image, rendered from exportSVG()
+     * @param {Object} options - exportSVG options, plus scale: pixels per canvas px (default 1)
+     * @returns {Promise<Blob>} PNG image
      */
-    endConnection(e) {
-        if (!this.connectionState) return;
-        
-        // Check if over valid target port
-        const target = document.elementFromPoint(e.clientX, e.clientY);
-        if (target && target.classList.contains('node-port')) {
-            const targetNodeId = target.dataset.nodeId;
-            const targetPortType = target.dataset.portType;
-            
-            // Validate connection
-            if (this.validateConnection(
-                this.connectionState.sourceNodeId,
-                this.connectionState.sourcePortType,
-                targetNodeId,
-                targetPortType
-            )) {
-                // Create edge (output -> input)
-                if (this.connectionState.sourcePortType === 'output') {
-                    this.createEdge(this.connectionState.sourceNodeId, targetNodeId);
-                } else {
-                    this.createEdge(targetNodeId, this.connectionState.sourceNodeId);
+    exportPNG(options = {}) {
+        const scale = options.scale || 1;
+        const svg = this.createExportSVG(options);
+        const width = parseFloat(svg.getAttribute('width'));
+        const height = parseFloat(svg.getAttribute('height'));
+        const markup = new XMLSerializer().serializeToString(svg);
+        
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => {
+                // Some browsers taint the canvas for foreignObject content and throw a SecurityError
+                try {
+                    const canvas = document.createElement('canvas');
+                    canvas.width = Math.ceil(width * scale);
+                    canvas.height = Math.ceil(height * scale);
+                    
+                    const ctx = canvas.getContext('2d');
+                    ctx.scale(scale, scale);
+                    ctx.drawImage(image, 0, 0, width, height);
+                    canvas.toBlob(blob => {
+                        if (blob) {
+                            resolve(blob);
+                        } else {
+                            reject(new Error('SwanEditor: PNG export failed'));
+                        }
+                    }, 'image/png');
+                } catch (error) {
+                    reject(error);
                 }
-            }
-        }
-        
-        // Clean up
-        if (this.connectionState.previewPath) {
-            this.connectionState.previewPath.remove();
-        }
-        
-        this.canvas.querySelectorAll('.node-port.connecting').forEach(port => {
-            port.classList.remove('connecting');
+            };
+            image.onerror = () => reject(new Error('SwanEditor: Could not render the SVG export'));
+            image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`;
         });
-        
-        // Clear the connection state completely
-        this.connectionState.sourceRect = null;
-        this.connectionState.canvasRect = null;
-        this.connectionState = null;
     }
     
     /**
-     * Validate a potential connection
+     * Build the SVG element for exportSVG()/exportPNG()
      */
-    validateConnection(sourceNodeId, sourcePortType, targetNodeId, targetPortType) {
-        // Can't connect to same node
-        if (sourceNodeId === targetNodeId) return false;
+    createExportSVG(options = {}) {
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const { selectionOnly = false, padding = 20 } = options;
+        const theme = (options.theme || this.options.theme) === 'dark' ? 'dark' : 'light';
+        
+        // Selected groups bring their contents along
+        const ids = new Set(selectionOnly
+            ? Array.from(this.selectedNodes).flatMap(id => [id, ...this.getDescendantIds(id)])
+            : this.nodes.keys());
+        const nodes = Array.from(ids)
+            .filter(id => this.nodes.has(id) && !this.isNodeHidden(id))
+            .map(id => this.nodes.get(id));
+        const included = new Set(nodes.map(node => node.id));
+        const edges = Array.from(this.edges.values()).filter(edge =>
+            included.has(edge.source) && included.has(edge.target) &&
+            edge.element && edge.element.getAttribute('d')
+        );
         
-        // Can't connect same port types
-        if (sourcePortType === targetPortType) return false;
+        const bounds = this.getNodesBounds(Array.from(included)) || { minX: 0, minY: 0, width: 0, height: 0 };
+        const x = bounds.minX - padding;
+        const y = bounds.minY - padding;
+        const width = bounds.width + padding * 2;
+        const height = bounds.height + padding * 2;
+        
+        const svg = document.createElementNS(svgNS, 'svg');
+        svg.setAttribute('width', width);
+        svg.setAttribute('height', height);
+        svg.setAttribute('viewBox', `${x} ${y} ${width} ${height}`);
+        if (options.background !== false) {
+            const background = this.options.canvas.background;
+            svg.style.background = typeof background === 'object' ? background[theme] : background;
+        }
         
-        // Check for existing connection
-        const existingEdge = Array.from(this.edges.values()).find(edge => {
-            return (edge.source === sourceNodeId && edge.target === targetNodeId) ||
-                   (edge.source === targetNodeId && edge.target === sourceNodeId);
+        // Editor styles and the arrow markers the edges use
+        const defs = document.createElementNS(svgNS, 'defs');
+        const style = document.createElementNS(svgNS, 'style');
+        const editorStyles = document.getElementById('workflow-editor-styles');
+        style.textContent = editorStyles ? editorStyles.textContent : '';
+        defs.appendChild(style);
+        svg.appendChild(defs);
+        
+        const markers = new Set();
+        const paths = document.createElementNS(svgNS, 'g');
+        if (theme === 'dark') paths.setAttribute('class', 'dark');  // For the .dark .edge-path strokes
+        edges.forEach(edge => {
+            const path = edge.element.cloneNode(false);
+            const marker = `wf-arrowhead-${(edge.style && edge.style.markerColor) || theme}`;
+            path.setAttribute('class', 'edge-path');
+            path.setAttribute('marker-end', `url(#${marker})`);
+            markers.add(marker);
+            paths.appendChild(path);
+        });
+        markers.forEach(id => {
+            const marker = this.svg.querySelector(`marker[id="${id}"]`);
+            if (marker) defs.appendChild(marker.cloneNode(true));
         });
         
-        if (existingEdge) return false;
-        
-        // Determine actual source and target based on port types
-        const actualSourceId = sourcePortType === 'output' ? sourceNodeId : targetNodeId;
-        const actualTargetId = sourcePortType === 'output' ? targetNodeId : sourceNodeId;
+        // HTML content goes into a themed copy of the container, offset to world coordinates
+        const computed = getComputedStyle(this.container);
+        const htmlLayer = elements => {
+            const foreignObject = document.createElementNS(svgNS, 'foreignObject');
+            foreignObject.setAttribute('x', x);
+            foreignObject.setAttribute('y', y);
+            foreignObject.setAttribute('width', width);
+            foreignObject.setAttribute('height', height);
+            
+            const container = document.createElement('div');
+            container.className = `workflow-container${theme === 'dark' ? ' dark' : ''}`;
+            container.style.cssText = `width: ${width}px; height: ${height}px; font-family: ${computed.fontFamily || 'sans-serif'}; font-size: ${computed.fontSize || '14px'};`;
+            const stage = document.createElement('div');
+            stage.style.cssText = `position: absolute; left: ${-x}px; top: ${-y}px;`;
+            elements.forEach(element => stage.appendChild(element));
+            container.appendChild(stage);
+            foreignObject.appendChild(container);
+            return foreignObject;
+        };
         
-        // Check max output edges for source node
-        const sourceNode = this.nodes.get(actualSourceId);
-        if (sourceNode) {
-            const sourceType = this.nodeTypes.get(sourceNode.type);
-            if (sourceType && sourceType.maxOutputEdges !== null) {
-                const currentOutputEdges = Array.from(this.edges.values()).filter(
-                    edge => edge.source === actualSourceId
-                ).length;
-                if (currentOutputEdges >= sourceType.maxOutputEdges) {
-                    return false;
-                }
-            }
-        }
+        // Groups sit behind the edges, other nodes and labels in front, as on the canvas
+        const groups = nodes.filter(node => this.isGroup(node.id)).map(node => this.cloneForExport(node.element));
+        const bodies = nodes.filter(node => !this.isGroup(node.id)).map(node => this.cloneForExport(node.element));
+        const labels = edges
+            .filter(edge => edge.labelElement && edge.labelElement.style.display !== 'none')
+            .map(edge => this.cloneForExport(edge.labelElement));
         
-        // Check max input edges for target node
-        const targetNode = this.nodes.get(actualTargetId);
-        if (targetNode) {
-            const targetType = this.nodeTypes.get(targetNode.type);
-            if (targetType && targetType.maxInputEdges !== null) {
-                const currentInputEdges = Array.from(this.edges.values()).filter(
-                    edge => edge.target === actualTargetId
-                ).length;
-                if (currentInputEdges >= targetType.maxInputEdges) {
-                    return false;
-                }
-            }
-        }
+        if (groups.length > 0) svg.appendChild(htmlLayer(groups));
+        svg.appendChild(paths);
+        svg.appendChild(htmlLayer([...bodies, ...labels]));
         
-        return true;
+        return svg;
     }
     
     /**
-     * Handle touch events for mobile support
+     * Copy a node or label element without transient chrome and network-loaded images
      */
-    handleTouchStart(e) {
-        const touch = e.touches[0];
-        const mouseEvent = new MouseEvent('mousedown', {
-            clientX: touch.clientX,
-            clientY: touch.clientY
+    cloneForExport(element) {
+        const clone = element.cloneNode(true);
+        
+        const transient = ['selected', 'dragging', 'debug-paused', 'has-error', 'has-warning', 'drop-target'];
+        clone.classList.remove(...transient, ...Array.from(clone.classList).filter(name => name.startsWith('status-')));
+        clone.querySelectorAll('.workflow-node-status, .workflow-node-diagnostic, .workflow-node-breakpoint, .workflow-debug-panel')
+            .forEach(el => el.remove());
+        clone.querySelectorAll('img').forEach(img => {
+            if (!(img.getAttribute('src') || '').startsWith('data:')) img.remove();
         });
-        this.handleMouseDown(mouseEvent);
+        
+        // Typed-in values live in properties, which cloning does not copy
+        const fields = element.querySelectorAll('input, textarea');
+        clone.querySelectorAll('input, textarea').forEach((field, index) => {
+            if (field.tagName === 'TEXTAREA') {
+                field.textContent = fields[index].value;
+            } else if (field.type === 'checkbox' || field.type === 'radio') {
+                field.toggleAttribute('checked', fields[index].checked);
+            } else {
+                field.setAttribute('value', fields[index].value);
+            }
+        });
+        
+        return clone;
     }
     
-    handleTouchMove(e) {
-        const touch = e.touches[0];
-        const mouseEvent = new MouseEvent('mousemove', {
-            clientX: touch.clientX,
-            clientY: touch.clientY
+    /**
+     * Import from JSON
+     * Lenient: loads what it can and logs the rest (see importWorkflow for the report).
+     * @returns {boolean} Whether the workflow was loaded
+     */
+    importJSON(json, options = {}) {
+        const report = this.importWorkflow(json, { mode: 'lenient', ...options });
+        [...report.errors, ...report.warnings].forEach(({ path, message }) => {
+            console.warn(`SwanEditor: ${path}: ${message}`);
         });
-        this.handleMouseMove(mouseEvent);
-        e.preventDefault();
+        return report.imported;
     }
     
-    handleTouchEnd(e) {
-        const mouseEvent = new MouseEvent('mouseup');
-        this.handleMouseUp(mouseEvent);
+    /**
+     * Validate a workflow document, then load it
+     * The current graph is only replaced when the document passes: in strict mode
+     * (default) any error rejects it, in lenient mode the invalid parts are dropped.
+     * beforeImport listeners see the document before it is checked.
+     * @param {string|Object} json - Workflow JSON or data
+     * @param {Object} options - {mode: 'strict' | 'lenient', allowNewer: see SwanGraph.checkWorkflow,
+     *   layout: see loadWorkflowData}
+     * @returns {Object} {imported, valid, errors: [{path, message}], warnings, dropped: [{path, id, message}]}
+     */
+    importWorkflow(json, options = {}) {
+        let data = json;
+        if (typeof json === 'string') {
+            try {
+                data = JSON.parse(json);
+            } catch (error) {
+                return {
+                    imported: false,
+                    valid: false,
+                    errors: [{ path: '$', message: `Invalid JSON: ${error.message}` }],
+                    warnings: [],
+                    dropped: []
+                };
+            }
+        }
+        
+        // Listeners may veto the import or adjust the data, which is then checked as it stands
+        const vetoed = !!data && typeof data === 'object' && this.triggerCallback('onBeforeImport', data) === false;
+        
+        // The checked workflow is already migrated, so it is applied as it is
+        const { workflow, ...report } = this.graph.checkWorkflow(data, options);
+        const accepted = !vetoed && !!workflow && (report.valid || options.mode === 'lenient');
+        if (accepted) this.applyWorkflow(workflow, { layout: options.layout });
+        
+        return { imported: accepted, ...report };
     }
     
     /**
-     * Handle keyboard events
+     * Run the workflow with the execute() functions of the node types (see SwanExecutor)
+     * Per-node progress is reported through the nodeExecute* events and shown as
+     * node status unless showStatus is false.
+     * @param {Object} options - {signal: AbortSignal, concurrency, context: extra fields for execute(),
+     *   showStatus, beforeNode: see SwanExecutor}
+     * @returns {Promise<Map>} Output of every node that ran (nodeId -> output)
      */
-    handleKeyDown(e) {
-        // Delete selected nodes/edges
-        if (e.key === 'Delete' || e.key === 'Backspace') {
-            e.preventDefault();
-            // Confirm deletion
-            if (this.selectedNodes.size === 0) return;
-            if (confirm('Delete selected node?'))
-            this.deleteSelected();
-        }
+    execute(options = {}) {
+        const showStatus = options.showStatus !== false;
+        const setStatus = (nodeId, status, detail) => {
+            if (showStatus) this.setNodeStatus(nodeId, status, detail);
+        };
         
-        // Select all
-        if (e.key === 'a' && (e.ctrlKey || e.metaKey)) {
-            e.preventDefault();
-            this.selectAll();
-        }
+        const executor = new SwanExecutor(this.graph, {
+            concurrency: options.concurrency,
+            beforeNode: options.beforeNode,
+            context: { ...options.context, editor: this },
+            callbacks: {
+                onNodeStart: (node, inputs) => {
+                    setStatus(node.id, 'running');
+                    this.triggerCallback('onNodeExecuteStart', node, inputs);
+                },
+                onNodeFinish: (node, output) => {
+                    setStatus(node.id, 'success');
+                    this.triggerCallback('onNodeExecuteFinish', node, output);
+                },
+                onNodeError: (node, error) => {
+                    setStatus(node.id, 'error', error && error.message ? error.message : String(error));
+                    this.triggerCallback('onNodeExecuteError', node, error);
+                },
+                onNodeSkip: (node) => {
+                    setStatus(node.id, 'idle');
+                    this.triggerCallback('onNodeExecuteSkip', node);
+                }
+            }
+        });
         
-        // Clear selection
-        if (e.key === 'Escape') {
-            this.clearSelection();
+        if (showStatus) {
+            this.clearNodeStatus();
+            this.nodes.forEach(node => {
+                if (!this.isGroup(node.id)) this.setNodeStatus(node.id, 'queued');
+            });
         }
         
-        // Copy
-        if (e.key === 'c' && (e.ctrlKey || e.metaKey)) {
-            e.preventDefault();
-            this.copySelected();
-        }
+        // Nodes a failed or cancelled run never finished go back to idle
+        const settle = () => {
+            if (!showStatus) return;
+            this.nodeStatus.forEach((entry, nodeId) => {
+                if (entry.status === 'queued' || entry.status === 'running') this.setNodeStatus(nodeId, 'idle');
+            });
+        };
         
-        // Paste
-        if (e.key === 'v' && (e.ctrlKey || e.metaKey)) {
-            e.preventDefault();
-            this.paste();
-        }
+        return executor.run({ signal: options.signal }).then(results => {
+            settle();
+            return results;
+        }, error => {
+            settle();
+            throw error;
+        });
     }
     
     /**
-     * Handle window resize
+     * Center the view on all nodes
      */
-    handleResize() {
-        // Update all edge paths after resize
-        this.edges.forEach(edge => this.updateEdgePath(edge));
+    centerView() {
+        if (this.nodes.size === 0) return;
+        
+        const bounds = this.getNodesBounds();
+        const centerX = (bounds.minX + bounds.maxX) / 2;
+        const centerY = (bounds.minY + bounds.maxY) / 2;
+        
+        const canvasWidth = this.canvas.clientWidth;
+        const canvasHeight = this.canvas.clientHeight;
+        const zoom = this.viewport.zoom;
+        
+        this.setViewport({
+            x: canvasWidth / 2 - centerX * zoom,
+            y: canvasHeight / 2 - centerY * zoom
+        });
     }
     
     /**
-     * Select a node
+     * Get the bounding box of nodes in world coordinates
+     * @param {Array} nodeIds - Node IDs to measure (defaults to all nodes)
+     * @returns {Object|null} {minX, minY, maxX, maxY, width, height}
      */
-    selectNode(nodeId, multi = false) {
-        if (!multi) {
-            this.clearSelection();
-        }
-        
-        const node = this.nodes.get(nodeId);
-        if (!node) return;
+    getNodesBounds(nodeIds = null) {
+        const ids = nodeIds || Array.from(this.nodes.keys());
+        let minX = Infinity, minY = Infinity;
+        let maxX = -Infinity, maxY = -Infinity;
         
-        node.element.classList.add('selected');
-        this.selectedNodes.add(nodeId);
+        ids.forEach(id => {
+            const node = this.nodes.get(id);
+            if (!node) return;
+            
+            // offsetWidth/offsetHeight are layout sizes, unaffected by zoom; expanded groups carry their frame size
+            const frame = this.isGroup(id) && !node.data.collapsed;
+            const width = frame ? node.data.width || 300 : (node.element && node.element.offsetWidth) || 200;
+            const height = frame ? node.data.height || 200 : (node.element && node.element.offsetHeight) || 100;
+            minX = Math.min(minX, node.position.x);
+            minY = Math.min(minY, node.position.y);
+            maxX = Math.max(maxX, node.position.x + width);
+            maxY = Math.max(maxY, node.position.y + height);
+        });
         
-        this.triggerCallback('onNodeSelect', node);
+        if (minX === Infinity) return null;
+        return { minX, minY, maxX, maxY, width: maxX - minX, height: maxY - minY };
     }
     
     /**
-     * Select an edge
+     * Convert client (screen) coordinates to world coordinates
+     * @param {number} clientX - Client X
+     * @param {number} clientY - Client Y
+     * @param {DOMRect} canvasRect - Optional cached canvas rect
+     * @returns {Object} {x, y}
      */
-    selectEdge(edgeId) {
-        const edge = this.edges.get(edgeId);
-        if (!edge) return;
+    clientToWorld(clientX, clientY, canvasRect = null) {
+        const rect = canvasRect || this.canvas.getBoundingClientRect();
+        const { x, y, zoom } = this.viewport;
         
-        if (confirm('Delete this connection?')) {
-            this.deleteEdge(edgeId);
-        }
+        return {
+            x: (clientX - rect.left - x) / zoom,
+            y: (clientY - rect.top - y) / zoom
+        };
     }
     
     /**
-     * Select all nodes
+     * Get the center of an element in world coordinates
      */
-    selectAll() {
-        this.nodes.forEach((node, id) => {
-            node.element.classList.add('selected');
-            this.selectedNodes.add(id);
-        });
+    getElementCenter(element, canvasRect = null) {
+        const rect = element.getBoundingClientRect();
+        return this.clientToWorld(rect.left + rect.width / 2, rect.top + rect.height / 2, canvasRect);
     }
     
     /**
-     * Clear selection
+     * Apply the viewport transform to the stage
      */
-    clearSelection() {
-        this.canvas.querySelectorAll('.workflow-node.selected').forEach(el => {
-            el.classList.remove('selected');
-        });
-        this.selectedNodes.clear();
+    applyViewport() {
+        const { x, y, zoom } = this.viewport;
+        this.stage.style.transform = `translate(${x}px, ${y}px) scale(${zoom})`;
     }
     
     /**
-     * Delete selected nodes
+     * Get the current viewport
+     * @returns {Object} {x, y, zoom} - Screen offset of the world origin and scale
      */
-    deleteSelected() {
-        const nodesToDelete = Array.from(this.selectedNodes);
-        nodesToDelete.forEach(nodeId => this.deleteNode(nodeId));
-        this.clearSelection();
+    getViewport() {
+        return { ...this.viewport };
     }
     
     /**
-     * Copy selected nodes
+     * Set the viewport (any subset of x, y, zoom)
+     * @param {Object} viewport - {x, y, zoom}
      */
-    copySelected() {
-        this.clipboard = {
-            nodes: Array.from(this.selectedNodes).map(id => {
-                const node = this.nodes.get(id);
-                return {
-                    type: node.type,
-                    data: { ...node.data },
-                    position: { ...node.position }
-                };
-            }),
-            edges: Array.from(this.edges.values()).filter(edge => 
-                this.selectedNodes.has(edge.source) && this.selectedNodes.has(edge.target)
-            )
-        };
+    setViewport(viewport = {}) {
+        if (typeof viewport.x === 'number') this.viewport.x = viewport.x;
+        if (typeof viewport.y === 'number') this.viewport.y = viewport.y;
+        if (typeof viewport.zoom === 'number') {
+            const minZoom = this.options.canvas.minZoom || 0.2;
+            const maxZoom = this.options.canvas.maxZoom || 3;
+            this.viewport.zoom = Math.min(maxZoom, Math.max(minZoom, viewport.zoom));
+        }
+        
+        this.applyViewport();
+        this.triggerCallback('onViewportChange', this.getViewport());
     }
     
     /**
-     * Paste copied nodes
+     * Get the current zoom level
      */
-    paste() {
-        if (!this.clipboard || !this.clipboard.nodes.length) return;
-        
-        const offset = 50;
-        const idMap = new Map();
-        
-        // Clear selection
-        this.clearSelection();
-        
-        // Create new nodes
-        this.clipboard.nodes.forEach(nodeData => {
-            const newId = this.createNode(
-                nodeData.type,
-                {
-                    x: nodeData.position.x + offset,
-                    y: nodeData.position.y + offset
-                },
-                nodeData.data
-            );
-            idMap.set(nodeData, newId);
-            this.selectNode(newId, true);
+    getZoom() {
+        return this.viewport.zoom;
+    }
+    
+    /**
+     * Set the zoom level, keeping a point fixed on screen
+     * @param {number} scale - Zoom factor (1 = 100%)
+     * @param {Object} center - Optional client point {x, y} to zoom around (defaults to canvas center)
+     */
+    setZoom(scale, center = null) {
+        const canvasRect = this.canvas.getBoundingClientRect();
+        const minZoom = this.options.canvas.minZoom || 0.2;
+        const maxZoom = this.options.canvas.maxZoom || 3;
+        const zoom = Math.min(maxZoom, Math.max(minZoom, scale));
+        if (zoom === this.viewport.zoom) return;
+        
+        const clientX = center ? center.x : canvasRect.left + canvasRect.width / 2;
+        const clientY = center ? center.y : canvasRect.top + canvasRect.height / 2;
+        
+        // World point under the zoom center must stay under it
+        const anchor = this.clientToWorld(clientX, clientY, canvasRect);
+        this.setViewport({
+            x: clientX - canvasRect.left - anchor.x * zoom,
+            y: clientY - canvasRect.top - anchor.y * zoom,
+            zoom
         });
+        
+        this.triggerCallback('onZoom', zoom);
     }
     
     /**
-     * Trigger a callback
+     * Zoom in by one step
      */
-    triggerCallback(name, ...args) {
-        if (this.options.callbacks[name]) {
-            this.options.callbacks[name](...args);
-        }
+    zoomIn() {
+        this.setZoom(this.viewport.zoom * (this.options.canvas.zoomStep || 1.2));
     }
     
     /**
-     * Get workflow data
+     * Zoom out by one step
      */
-    getWorkflowData() {
-        return {
-            nodes: Array.from(this.nodes.values()).map(node => ({
-                id: node.id,
-                type: node.type,
-                position: { ...node.position },
-                data: { ...node.data }
-            })),
-            edges: Array.from(this.edges.values()).map(edge => ({
-                id: edge.id,
-                source: edge.source,
-                target: edge.target,
-                style: { ...edge.style },
-                data: { ...edge.data }
-            }))
-        };
+    zoomOut() {
+        this.setZoom(this.viewport.zoom / (this.options.canvas.zoomStep || 1.2));
     }
     
     /**
-     * Load workflow data
+     * Zoom and pan so that all nodes are visible
+     * @param {number} padding - Padding around the nodes in px
      */
-    loadWorkflowData(data) {
-        // Clear existing
-        this.clear();
+    zoomToFit(padding = 40) {
+        const bounds = this.getNodesBounds();
+        if (!bounds) return;
         
-        // Create nodes with original IDs preserved
-        if (data.nodes) {
-            data.nodes.forEach(nodeData => {
-                this.createNode(
-                    nodeData.type,
-                    nodeData.position,
-                    nodeData.data,
-                    nodeData.id  // Preserve original ID
-                );
-            });
-        }
+        const canvasWidth = this.canvas.clientWidth;
+        const canvasHeight = this.canvas.clientHeight;
+        const minZoom = this.options.canvas.minZoom || 0.2;
+        const maxZoom = this.options.canvas.maxZoom || 3;
+        
+        const zoom = Math.min(maxZoom, Math.max(minZoom, Math.min(
+            (canvasWidth - padding * 2) / bounds.width,
+            (canvasHeight - padding * 2) / bounds.height
+        )));
+        
+        this.setViewport({
+            x: (canvasWidth - bounds.width * zoom) / 2 - bounds.minX * zoom,
+            y: (canvasHeight - bounds.height * zoom) / 2 - bounds.minY * zoom,
+            zoom
+        });
         
-        // Create edges (no ID mapping needed since IDs are preserved)
-        if (data.edges) {
-            data.edges.forEach(edgeData => {
-                this.createEdge(edgeData.source, edgeData.target, {
-                    style: edgeData.style,
-                    data: edgeData.data
-                });
+        this.triggerCallback('onZoom', zoom);
+    }
+    
+    /**
+     * Arrange nodes with a layered (Sugiyama-style) layout
+     * @param {Object} options - Layout options
+     * @param {string} options.direction - 'LR' (left to right) or 'TB' (top to bottom)
+     * @param {number|Object} options.spacing - Gap between nodes, or {node, rank, component}
+     * @param {Array} options.nodeIds - Nodes to arrange (defaults to all nodes)
+     * @param {Object} options.origin - Top-left {x, y} of the result (defaults to current bounds)
+     * @param {boolean} options.animate - Animate nodes to their new positions (default true)
+     * @param {number} options.duration - Animation duration in ms
+     * @returns {Promise} Resolves when nodes have reached their positions
+     */
+    autoLayout(options = {}) {
+        const positions = this.computeLayout(options);
+        const moves = [];
+        positions.forEach((to, nodeId) => {
+            const node = this.nodes.get(nodeId);
+            if (node && (node.position.x !== to.x || node.position.y !== to.y)) {
+                moves.push({ nodeId, from: { ...node.position }, to });
+            }
+        });
+        
+        if (moves.length === 0) return Promise.resolve();
+        
+        if (options.animate === false) {
+            this.transaction('autoLayout', () => {
+                moves.forEach(move => this.moveNode(move.nodeId, move.to));
             });
+            this.triggerCallback('onLayout', positions);
+            return Promise.resolve();
         }
+        
+        return this.animateMoves(moves, options.duration || 300).then(() => {
+            this.triggerCallback('onLayout', positions);
+        });
     }
     
     /**
-     * Clear the workflow
+     * Animate nodes to new positions and record the result as one undo step
+     * @param {Array} moves - [{nodeId, from, to}]
+     * @param {number} duration - Duration in ms
+     * @returns {Promise}
      */
-    clear() {
-        // Delete all nodes
-        Array.from(this.nodes.keys()).forEach(id => this.deleteNode(id));
-        
-        // Reset counters
-        this.nodeIdCounter = 1;
-        this.edgeIdCounter = 1;
+    animateMoves(moves, duration) {
+        const setPosition = (move, position) => {
+            const node = this.nodes.get(move.nodeId);
+            if (node) this.positionNode(node, position.x, position.y);
+        };
         
-        // Clear selection
-        this.clearSelection();
+        return new Promise(resolve => {
+            const start = performance.now();
+            
+            const step = (now) => {
+                const t = Math.min(1, (now - start) / duration);
+                const eased = t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+                
+                moves.forEach(move => setPosition(move, {
+                    x: move.from.x + (move.to.x - move.from.x) * eased,
+                    y: move.from.y + (move.to.y - move.from.y) * eased
+                }));
+                
+                if (t < 1) {
+                    this.layoutAnimationId = requestAnimationFrame(step);
+                    return;
+                }
+                this.layoutAnimationId = null;
+                
+                // Positions are already applied, so record the command directly
+                this.recordCommand({
+                    label: 'autoLayout',
+                    undo: () => moves.forEach(move => this.moveNode(move.nodeId, move.from)),
+                    redo: () => moves.forEach(move => this.moveNode(move.nodeId, move.to))
+                });
+                moves.forEach(move => {
+                    const node = this.nodes.get(move.nodeId);
+                    if (node) this.triggerCallback('onNodeMove', node);
+                });
+                resolve();
+            };
+            
+            this.layoutAnimationId = requestAnimationFrame(step);
+        });
     }
     
     /**
-     * Export as JSON
+     * Compute layered layout positions without moving anything
+     * Same options as autoLayout().
+     * @returns {Map} nodeId -> {x, y}
      */
-    exportJSON() {
-        return JSON.stringify(this.getWorkflowData(), null, 2);
+    computeLayout(options = {}) {
+        const horizontal = options.direction !== 'TB';
+        const spacing = typeof options.spacing === 'number'
+            ? { node: options.spacing, rank: options.spacing * 2, component: options.spacing * 2 }
+            : { node: 40, rank: 80, component: 80, ...(options.spacing || {}) };
+        
+        // Group contents move with their group, so only top-level nodes are arranged by default
+        const ids = (options.nodeIds || Array.from(this.nodes.values()).filter(node => !node.parentId).map(node => node.id))
+            .filter(id => this.nodes.has(id));
+        const idSet = new Set(ids);
+        const positions = new Map();
+        if (ids.length === 0) return positions;
+        
+        // Measured sizes along the rank axis (depth) and across it (breadth)
+        const sizes = new Map();
+        ids.forEach(id => {
+            const bounds = this.getNodesBounds([id]);
+            sizes.set(id, horizontal
+                ? { depth: bounds.width, breadth: bounds.height }
+                : { depth: bounds.height, breadth: bounds.width });
+        });
+        
+        // Edges of group contents count as edges of the arranged group
+        const arranged = (nodeId) => {
+            let id = nodeId;
+            while (id && !idSet.has(id)) id = this.nodes.get(id).parentId;
+            return id;
+        };
+        const links = [];
+        this.edges.forEach(edge => {
+            const source = arranged(edge.source);
+            const target = arranged(edge.target);
+            if (source && target && source !== target) {
+                links.push([source, target]);
+            }
+        });
+        
+        // Lay out each connected component, stacking them across the rank axis
+        const origin = options.origin
+            ? { minX: options.origin.x, minY: options.origin.y }
+            : this.getNodesBounds(ids);
+        let offset = 0;
+        this.findComponents(ids, links).forEach(component => {
+            const layout = this.layoutComponent(component, links, sizes, spacing);
+            layout.positions.forEach((position, id) => {
+                positions.set(id, horizontal
+                    ? { x: origin.minX + position.depth, y: origin.minY + offset + position.breadth }
+                    : { x: origin.minX + offset + position.breadth, y: origin.minY + position.depth });
+            });
+            offset += layout.breadth + spacing.component;
+        });
+        
+        return positions;
     }
     
     /**
-     * Import from JSON
+     * Split nodes into connected components (ignoring edge direction)
+     * @returns {Array} Arrays of node IDs
      */
-    importJSON(json) {
-        try {
-            const data = typeof json === 'string' ? JSON.parse(json) : json;
-            this.loadWorkflowData(data);
-            return true;
-        } catch (error) {
-            console.error('SwanEditor: Failed to import JSON', error);
-            return false;
-        }
+    findComponents(ids, links) {
+        const neighbors = new Map(ids.map(id => [id, []]));
+        links.forEach(([source, target]) => {
+            neighbors.get(source).push(target);
+            neighbors.get(target).push(source);
+        });
+        
+        const seen = new Set();
+        const components = [];
+        ids.forEach(id => {
+            if (seen.has(id)) return;
+            const component = [];
+            const stack = [id];
+            seen.add(id);
+            while (stack.length) {
+                const current = stack.pop();
+                component.push(current);
+                neighbors.get(current).forEach(next => {
+                    if (!seen.has(next)) {
+                        seen.add(next);
+                        stack.push(next);
+                    }
+                });
+            }
+            components.push(component);
+        });
+        
+        // Largest components first
+        return components.sort((a, b) => b.length - a.length);
     }
     
     /**
-     * Center the view on all nodes
+     * Layered layout of one connected component
+     * Steps: break cycles, assign ranks, add dummy nodes on long edges,
+     * reduce crossings with barycenter sweeps, then assign coordinates.
+     * @returns {Object} {positions: Map id -> {depth, breadth}, breadth: total extent}
      */
-    centerView() {
-        if (this.nodes.size === 0) return;
+    layoutComponent(ids, links, sizes, spacing) {
+        const idSet = new Set(ids);
+        const outgoing = new Map(ids.map(id => [id, []]));
+        links.forEach(([source, target]) => {
+            if (idSet.has(source)) outgoing.get(source).push(target);
+        });
         
-        let minX = Infinity, minY = Infinity;
-        let maxX = -Infinity, maxY = -Infinity;
+        // 1. Break cycles: reverse edges that point back to a node on the DFS stack
+        const dagLinks = [];
+        const state = new Map();     // id -> 'active' | 'done'
+        const visit = (id) => {
+            state.set(id, 'active');
+            outgoing.get(id).forEach(next => {
+                if (state.get(next) === 'active') {
+                    dagLinks.push([next, id]);
+                } else {
+                    dagLinks.push([id, next]);
+                    if (!state.has(next)) visit(next);
+                }
+            });
+            state.set(id, 'done');
+        };
+        // Start from sources so reversed edges are real back-edges
+        const hasIncoming = new Set(links.filter(([source]) => idSet.has(source)).map(([, target]) => target));
+        ids.filter(id => !hasIncoming.has(id)).concat(ids).forEach(id => {
+            if (!state.has(id)) visit(id);
+        });
         
-        this.nodes.forEach(node => {
-            minX = Math.min(minX, node.position.x);
-            minY = Math.min(minY, node.position.y);
-            maxX = Math.max(maxX, node.position.x + 200);
-            maxY = Math.max(maxY, node.position.y + 100);
+        // 2. Ranks by longest path from the sources
+        const rank = new Map(ids.map(id => [id, 0]));
+        const indegree = new Map(ids.map(id => [id, 0]));
+        const dagOut = new Map(ids.map(id => [id, []]));
+        dagLinks.forEach(([source, target]) => {
+            dagOut.get(source).push(target);
+            indegree.set(target, indegree.get(target) + 1);
         });
+        const queue = ids.filter(id => indegree.get(id) === 0);
+        const order = [];
+        while (queue.length) {
+            const id = queue.shift();
+            order.push(id);
+            dagOut.get(id).forEach(next => {
+                rank.set(next, Math.max(rank.get(next), rank.get(id) + 1));
+                indegree.set(next, indegree.get(next) - 1);
+                if (indegree.get(next) === 0) queue.push(next);
+            });
+        }
         
-        const centerX = (minX + maxX) / 2;
-        const centerY = (minY + maxY) / 2;
+        // 3. Layers, with dummy nodes so every segment spans one rank
+        const layerCount = Math.max(...ids.map(id => rank.get(id))) + 1;
+        const layers = Array.from({ length: layerCount }, () => []);
+        order.forEach(id => layers[rank.get(id)].push(id));
+        
+        const upper = new Map(ids.map(id => [id, []]));
+        const lower = new Map(ids.map(id => [id, []]));
+        const dummySize = { depth: 0, breadth: 8 };
+        let dummyCount = 0;
+        dagLinks.forEach(([source, target]) => {
+            let previous = source;
+            for (let r = rank.get(source) + 1; r < rank.get(target); r++) {
+                const dummy = `__dummy-${dummyCount++}`;
+                layers[r].push(dummy);
+                upper.set(dummy, [previous]);
+                lower.set(dummy, []);
+                lower.get(previous).push(dummy);
+                previous = dummy;
+            }
+            lower.get(previous).push(target);
+            upper.get(target).push(previous);
+        });
+        const sizeOf = (id) => sizes.get(id) || dummySize;
+        
+        // 4. Crossing reduction: alternate downward / upward barycenter sweeps
+        const indexIn = new Map();
+        const reindex = () => layers.forEach(layer => layer.forEach((id, index) => indexIn.set(id, index)));
+        reindex();
+        const sortByBarycenter = (layer, neighbors) => {
+            const weights = new Map(layer.map(id => {
+                const adjacent = neighbors.get(id);
+                return [id, adjacent.length
+                    ? adjacent.reduce((sum, n) => sum + indexIn.get(n), 0) / adjacent.length
+                    : indexIn.get(id)];
+            }));
+            layer.sort((a, b) => weights.get(a) - weights.get(b));
+            layer.forEach((id, index) => indexIn.set(id, index));
+        };
+        for (let sweep = 0; sweep < 8; sweep++) {
+            if (sweep % 2 === 0) {
+                for (let l = 1; l < layers.length; l++) sortByBarycenter(layers[l], upper);
+            } else {
+                for (let l = layers.length - 2; l >= 0; l--) sortByBarycenter(layers[l], lower);
+            }
+        }
         
-        const canvasWidth = this.canvas.clientWidth;
-        const canvasHeight = this.canvas.clientHeight;
+        // 5a. Depth: one column (LR) or row (TB) per layer, centered within it
+        const layerDepth = layers.map(layer => Math.max(0, ...layer.map(id => sizeOf(id).depth)));
+        const layerStart = [];
+        layerDepth.reduce((position, depth, l) => {
+            layerStart[l] = position;
+            return position + depth + spacing.rank;
+        }, 0);
+        
+        // 5b. Breadth: stack each layer, then pull nodes toward their neighbors
+        const center = new Map();
+        layers.forEach(layer => {
+            const total = layer.reduce((sum, id) => sum + sizeOf(id).breadth, 0) + spacing.node * (layer.length - 1);
+            let position = -total / 2;
+            layer.forEach(id => {
+                center.set(id, position + sizeOf(id).breadth / 2);
+                position += sizeOf(id).breadth + spacing.node;
+            });
+        });
+        const place = (layer, neighbors) => {
+            const desired = layer.map(id => {
+                const adjacent = neighbors.get(id);
+                return adjacent.length
+                    ? adjacent.reduce((sum, n) => sum + center.get(n), 0) / adjacent.length
+                    : center.get(id);
+            });
+            // Keep layer order and spacing: forward pass pushes down, backward pass pulls back up
+            const positions = desired.slice();
+            for (let i = 1; i < layer.length; i++) {
+                const gap = (sizeOf(layer[i - 1]).breadth + sizeOf(layer[i]).breadth) / 2 + spacing.node;
+                positions[i] = Math.max(positions[i], positions[i - 1] + gap);
+            }
+            for (let i = layer.length - 2; i >= 0; i--) {
+                const gap = (sizeOf(layer[i]).breadth + sizeOf(layer[i + 1]).breadth) / 2 + spacing.node;
+                positions[i] = Math.min(Math.max(positions[i], desired[i]), positions[i + 1] - gap);
+            }
+            layer.forEach((id, i) => center.set(id, positions[i]));
+        };
+        for (let pass = 0; pass < 4; pass++) {
+            for (let l = 1; l < layers.length; l++) place(layers[l], upper);
+            for (let l = layers.length - 2; l >= 0; l--) place(layers[l], lower);
+        }
+        
+        // Normalize so the component starts at breadth 0
+        let minBreadth = Infinity;
+        let maxBreadth = -Infinity;
+        ids.forEach(id => {
+            minBreadth = Math.min(minBreadth, center.get(id) - sizeOf(id).breadth / 2);
+            maxBreadth = Math.max(maxBreadth, center.get(id) + sizeOf(id).breadth / 2);
+        });
+        
+        const positions = new Map();
+        ids.forEach(id => {
+            const l = rank.get(id);
+            positions.set(id, {
+                depth: layerStart[l] + (layerDepth[l] - sizeOf(id).depth) / 2,
+                breadth: center.get(id) - sizeOf(id).breadth / 2 - minBreadth
+            });
+        });
         
-        this.canvas.scrollLeft = centerX - canvasWidth / 2;
-        this.canvas.scrollTop = centerY - canvasHeight / 2;
+        return { positions, breadth: maxBreadth - minBreadth };
     }
     
     /**
      * Destroy the editor
      */
     destroy() {
-        // Remove event listeners
-        this.canvas.removeEventListener('mousedown', this.handleMouseDown);
-        document.removeEventListener('mousemove', this.handleMouseMove);
-        document.removeEventListener('mouseup', this.handleMouseUp);
-        document.removeEventListener('keydown', this.handleKeyDown);
-        window.removeEventListener('resize', this.handleResize);
+        // Plugins uninstall first, newest first, while the editor is still intact
+        Array.from(this.plugins.keys()).reverse().forEach(name => this.removePlugin(name));
+        if (this.debugger) this.debugger.abort();
+        
+        // Remove document and window listeners (canvas listeners go with the canvas)
+        this.globalListeners.forEach(({ target, type, handler, options }) => {
+            target.removeEventListener(type, handler, options);
+        });
+        this.globalListeners = [];
         
         // Cancel any pending updates
         if (this.rafId) {
             cancelAnimationFrame(this.rafId);
         }
+        if (this.groupRefreshId) {
+            cancelAnimationFrame(this.groupRefreshId);
+        }
+        if (this.layoutAnimationId) {
+            cancelAnimationFrame(this.layoutAnimationId);
+        }
+        clearTimeout(this.batchUpdateTimer);
         
         // Clear container
         this.container.innerHTML = '';
@@ -1792,7 +5586,11 @@ export default class SwanEditor {
         this.nodes.clear();
         this.edges.clear();
         this.selectedNodes.clear();
+        this.selectedEdges.clear();
         this.nodeTypes.clear();
+        this.history.undoStack = [];
+        this.history.redoStack = [];
+        this.listeners.clear();
         this.canvas = null;
         this.svg = null;
     }
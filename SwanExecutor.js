@@ -0,0 +1,257 @@
+/**
+ * SwanExecutor.js
+ * Runs a workflow: node types register an async execute(inputs, node, context) and
+ * outputs flow along edges in topological order, independent branches in parallel.
+ * Works on a SwanGraph (headless) or on the graph of a SwanEditor.
+ *
+ * @author Divyajeet Pala
+ * @version 1.0.0
+ * @license MIT
+*/
+
+export default class SwanExecutor {
+    /**
+     * @param {SwanGraph|SwanEditor} graph - Graph to run (an editor runs its graph)
+     * @param {Object} options - Executor options
+     * @param {number} options.concurrency - Maximum nodes running at once (default unlimited)
+     * @param {Object} options.callbacks - {onNodeStart(node, inputs), onNodeFinish(node, output),
+     *   onNodeError(node, error), onNodeSkip(node)}
+     * @param {Object} options.context - Extra fields passed to execute()
+     * @param {Function} options.beforeNode - Optional async (node, inputs, {results, signal}) awaited
+     *   before each node runs; may return replacement inputs (used by SwanDebugger)
+     */
+    constructor(graph, options = {}) {
+        this.graph = graph.graph || graph;
+        this.options = {
+            callbacks: {},
+            context: {},
+            ...options,
+            concurrency: options.concurrency || Infinity
+        };
+        
+        // Output of every node that ran: nodeId -> output
+        this.results = new Map();
+        this.running = false;
+    }
+    
+    /**
+     * Get the node IDs in execution order (groups are containers and never run)
+     * @returns {Array} Node IDs
+     */
+    getExecutionOrder() {
+        const ids = Array.from(this.graph.nodes.keys()).filter(id => !this.graph.isGroup(id));
+        const indegree = new Map(ids.map(id => [id, 0]));
+        this.graph.edges.forEach(edge => {
+            indegree.set(edge.target, indegree.get(edge.target) + 1);
+        });
+        
+        // Kahn's algorithm, keeping insertion order among ready nodes
+        const queue = ids.filter(id => indegree.get(id) === 0);
+        const order = [];
+        while (queue.length > 0) {
+            const id = queue.shift();
+            order.push(id);
+            this.getOutgoingEdges(id).forEach(edge => {
+                indegree.set(edge.target, indegree.get(edge.target) - 1);
+                if (indegree.get(edge.target) === 0) queue.push(edge.target);
+            });
+        }
+        
+        if (order.length < ids.length) {
+            throw new Error('SwanExecutor: Workflow contains a cycle');
+        }
+        return order;
+    }
+    
+    /**
+     * Run the workflow
+     * A node runs once all its upstream nodes have finished. Nodes whose incoming
+     * edges all carried nothing (e.g. the untaken branch of a condition) are skipped.
+     * @param {Object} options - {signal: AbortSignal to cancel the run}
+     * @returns {Promise<Map>} Output of every node that ran (nodeId -> output)
+     */
+    async run(options = {}) {
+        if (this.running) {
+            throw new Error('SwanExecutor: Workflow is already running');
+        }
+        
+        const { signal } = options;
+        if (signal && signal.aborted) throw signal.reason;
+        
+        const order = this.getExecutionOrder();
+        this.results = new Map();
+        this.running = true;
+        
+        // Values carried by each edge (undefined = nothing flowed)
+        const edgeValues = new Map();
+        
+        // Remaining upstream nodes per node
+        const waiting = new Map(order.map(id => [id, 0]));
+        this.graph.edges.forEach(edge => waiting.set(edge.target, waiting.get(edge.target) + 1));
+        
+        // Aborts running nodes on cancel or on the first error
+        const controller = new AbortController();
+        const forwardAbort = () => controller.abort(signal.reason);
+        if (signal) signal.addEventListener('abort', forwardAbort, { once: true });
+        
+        try {
+            await new Promise((resolve, reject) => {
+                const ready = order.filter(id => waiting.get(id) === 0);
+                let active = 0;
+                let settled = false;
+                
+                const fail = error => {
+                    if (settled) return;
+                    settled = true;
+                    controller.abort(error);
+                    reject(error);
+                };
+                controller.signal.addEventListener('abort', () => fail(controller.signal.reason), { once: true });
+                
+                const launch = () => {
+                    while (!settled && ready.length > 0 && active < this.options.concurrency) {
+                        const nodeId = ready.shift();
+                        active++;
+                        
+                        this.runNode(nodeId, edgeValues, controller.signal).then(() => {
+                            active--;
+                            this.getOutgoingEdges(nodeId).forEach(edge => {
+                                waiting.set(edge.target, waiting.get(edge.target) - 1);
+                                if (waiting.get(edge.target) === 0) ready.push(edge.target);
+                            });
+                            launch();
+                        }, fail);
+                    }
+                    
+                    if (!settled && active === 0 && ready.length === 0) {
+                        settled = true;
+                        resolve();
+                    }
+                };
+                
+                launch();
+            });
+        } finally {
+            this.running = false;
+            if (signal) signal.removeEventListener('abort', forwardAbort);
+        }
+        
+        return this.results;
+    }
+    
+    /**
+     * Run a single node and pass its output along its outgoing edges
+     */
+    async runNode(nodeId, edgeValues, signal) {
+        const node = this.graph.nodes.get(nodeId);
+        const nodeType = this.graph.getNodeType(node.type);
+        
+        // Skip nodes that nothing flowed into
+        const incoming = Array.from(this.graph.edges.values()).filter(edge => edge.target === nodeId);
+        const active = incoming.filter(edge => edgeValues.get(edge.id) !== undefined);
+        if (incoming.length > 0 && active.length === 0) {
+            this.triggerCallback('onNodeSkip', node);
+            return;
+        }
+        
+        let inputs = this.collectInputs(active, edgeValues);
+        
+        // A debugger may hold the node here and edit its inputs
+        if (this.options.beforeNode) {
+            const replaced = await this.options.beforeNode(node, inputs, { results: this.results, signal });
+            if (signal.aborted) return;
+            if (replaced !== undefined) inputs = replaced;
+        }
+        
+        this.triggerCallback('onNodeStart', node, inputs);
+        
+        let output;
+        try {
+            output = nodeType.execute
+                ? await nodeType.execute(inputs, node, {
+                    ...this.options.context,
+                    graph: this.graph,
+                    results: this.results,
+                    signal
+                })
+                : this.passThrough(inputs);
+        } catch (error) {
+            // Nodes stopped by a cancel are not failures of their own
+            if (!signal.aborted) this.triggerCallback('onNodeError', node, error);
+            throw error;
+        }
+        
+        // Cancelled while running: the run has already been rejected
+        if (signal.aborted) return;
+        
+        this.results.set(nodeId, output);
+        this.getOutgoingEdges(nodeId).forEach(edge => {
+            edgeValues.set(edge.id, this.getEdgeValue(edge, output));
+        });
+        
+        this.triggerCallback('onNodeFinish', node, output);
+    }
+    
+    /**
+     * Build a node's inputs keyed by input port ID
+     * A port fed by several edges receives an array of their values (in edge order).
+     */
+    collectInputs(edges, edgeValues) {
+        const byPort = new Map();
+        edges.forEach(edge => {
+            if (!byPort.has(edge.targetPort)) byPort.set(edge.targetPort, []);
+            byPort.get(edge.targetPort).push(edgeValues.get(edge.id));
+        });
+        
+        const inputs = {};
+        byPort.forEach((values, portId) => {
+            inputs[portId] = values.length === 1 ? values[0] : values;
+        });
+        return inputs;
+    }
+    
+    /**
+     * Output of a node type without execute(): a single input is forwarded as is
+     */
+    passThrough(inputs) {
+        const values = Object.values(inputs);
+        return values.length === 1 ? values[0] : inputs;
+    }
+    
+    /**
+     * Get the value an edge carries from its source node's output
+     * Nodes with several output ports return an object keyed by port ID; a single
+     * output port carries the whole output. Typed ports apply registered converters.
+     */
+    getEdgeValue(edge, output) {
+        const outputPorts = this.graph.getNodePorts(edge.source).filter(port => port.direction === 'output');
+        const value = outputPorts.length > 1
+            ? (output === null || output === undefined ? undefined : output[edge.sourcePort])
+            : output;
+        if (value === undefined) return undefined;
+        
+        const sourceDef = this.graph.getPortDefinition(edge.source, edge.sourcePort);
+        const targetDef = this.graph.getPortDefinition(edge.target, edge.targetPort);
+        if (sourceDef && targetDef && sourceDef.dataType && targetDef.dataType) {
+            const convert = this.graph.getTypeConverter(sourceDef.dataType, targetDef.dataType);
+            if (convert) return convert(value);
+        }
+        return value;
+    }
+    
+    /**
+     * Get the edges leaving a node
+     */
+    getOutgoingEdges(nodeId) {
+        return Array.from(this.graph.edges.values()).filter(edge => edge.source === nodeId);
+    }
+    
+    /**
+     * Trigger a callback
+     */
+    triggerCallback(name, ...args) {
+        if (this.options.callbacks[name]) {
+            this.options.callbacks[name](...args);
+        }
+    }
+}
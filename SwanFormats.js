@@ -0,0 +1,497 @@
+/**
+ * SwanFormats.js
+ * Converts workflow data to and from Mermaid flowcharts and Graphviz DOT.
+ * Only the graph travels: node titles (data.title), types, edges and edge labels
+ * (data.label). Neither format stores coordinates, so imports are meant to be laid out.
+ * Groups are exported as subgraphs/clusters but do not survive a round trip: imports
+ * flatten them and keep only their member nodes.
+ *
+ * @author Divyajeet Pala
+ * @version 1.0.0
+ * @license MIT
+*/
+
+// Mermaid node shapes: name -> [opening, closing] delimiters (longest openers first)
+const MERMAID_SHAPES = {
+    stadium: ['([', '])'],
+    subroutine: ['[[', ']]'],
+    cylinder: ['[(', ')]'],
+    circle: ['((', '))'],
+    hexagon: ['{{', '}}'],
+    rect: ['[', ']'],
+    round: ['(', ')'],
+    diamond: ['{', '}'],
+    asymmetric: ['>', ']']
+};
+
+// Mermaid statements that style or annotate but add no nodes or edges
+const MERMAID_IGNORED = /^(classDef|class|style|linkStyle|click|direction|accTitle|accDescr)\b/;
+
+// Words Mermaid reads as statements, so they can't be written as bare node IDs
+const MERMAID_KEYWORDS = /^(end|subgraph|graph|flowchart|classDef|class|style|linkStyle|click|call|href|direction|accTitle|accDescr|default)$/i;
+
+export default class SwanFormats {
+    /**
+     * Write workflow data as a Mermaid flowchart
+     * Node types other than 'default' become classes (A["Title"]:::type) so they survive a
+     * round trip. Groups become subgraphs, which fromMermaid() flattens again.
+     * @param {Object} workflow - Workflow data (graph.toJSON())
+     * @param {Object} options - {direction: 'LR' (default) | 'TB', shapes: {nodeType: shape name}}
+     * @returns {string} Mermaid source
+     */
+    static toMermaid(workflow, options = {}) {
+        const shapes = options.shapes || {};
+        const nodes = workflow.nodes || [];
+        const used = new Set();
+        const ids = new Map(nodes.map(node => [node.id, SwanFormats.mermaidId(node.id, used)]));
+        const lines = [`flowchart ${options.direction === 'TB' ? 'TB' : 'LR'}`];
+        
+        const writeNodes = (parentId, indent) => {
+            nodes.filter(node => (node.parentId || null) === parentId).forEach(node => {
+                const title = node.data && node.data.title;
+                if (node.type === 'group') {
+                    lines.push(`${indent}subgraph ${ids.get(node.id)}["${SwanFormats.mermaidText(title || node.id)}"]`);
+                    writeNodes(node.id, `${indent}    `);
+                    lines.push(`${indent}end`);
+                    return;
+                }
+                
+                const shape = MERMAID_SHAPES[shapes[node.type]] ? shapes[node.type] : 'rect';
+                const [open, close] = MERMAID_SHAPES[shape];
+                let line = indent + ids.get(node.id);
+                if (title !== undefined || shape !== 'rect') {
+                    line += `${open}"${SwanFormats.mermaidText(title !== undefined ? title : node.id)}"${close}`;
+                }
+                if (node.type && node.type !== 'default') line += `:::${node.type}`;
+                lines.push(line);
+            });
+        };
+        writeNodes(null, '    ');
+        
+        (workflow.edges || []).forEach(edge => {
+            if (!ids.has(edge.source) || !ids.has(edge.target)) return;
+            const label = edge.data && edge.data.label;
+            const arrow = label ? `-->|"${SwanFormats.mermaidText(label)}"|` : '-->';
+            lines.push(`    ${ids.get(edge.source)} ${arrow} ${ids.get(edge.target)}`);
+        });
+        
+        return `${lines.join('\n')}\n`;
+    }
+    
+    /**
+     * Read a Mermaid flowchart into workflow data (without positions)
+     * Node types come from typeMap, looked up by class then by shape; an unmapped class
+     * is used as the type name. Subgraphs are flattened (their nodes are imported without
+     * a group) and styling statements ignored.
+     * @param {string} text - Mermaid source
+     * @param {Object} options - {typeMap: {class or shape name: nodeType}, defaultType}
+     * @returns {Object} {nodes, edges, layout: {direction}} - layout is a hint for autoLayout
+     */
+    static fromMermaid(text, options = {}) {
+        const nodes = new Map();
+        const edges = [];
+        let direction = 'LR';
+        
+        const declare = ({ id, text: title, shape, className }) => {
+            if (!nodes.has(id)) nodes.set(id, { id, data: {} });
+            const node = nodes.get(id);
+            if (title !== undefined) node.data.title = title;
+            if (shape) node.shape = shape;
+            if (className) node.className = className;
+            return id;
+        };
+        
+        SwanFormats.splitMermaid(String(text)).forEach(raw => {
+            const line = raw.replace(/%%.*$/, '').trim();
+            if (!line || MERMAID_IGNORED.test(line) || line === 'end') return;
+            
+            const header = line.match(/^(?:flowchart|graph)\b\s*(\w+)?/);
+            if (header) {
+                if (header[1]) direction = /^(LR|RL)$/i.test(header[1]) ? 'LR' : 'TB';
+                return;
+            }
+            
+            // Subgraphs are flattened: their nodes and links still count
+            if (/^subgraph\b/.test(line)) return;
+            
+            // A chain of node groups joined by links: A & B --> C -->|label| D
+            const reader = { line, pos: 0 };
+            let sources = SwanFormats.readMermaidNodes(reader);
+            if (!sources) return;
+            sources = sources.map(declare);
+            
+            let link;
+            while ((link = SwanFormats.readMermaidLink(reader))) {
+                const targets = SwanFormats.readMermaidNodes(reader);
+                if (!targets) break;
+                const targetIds = targets.map(declare);
+                sources.forEach(source => targetIds.forEach(target => {
+                    edges.push({ source, target, data: link.label ? { label: link.label } : {} });
+                }));
+                sources = targetIds;
+            }
+        });
+        
+        return {
+            nodes: Array.from(nodes.values()).map(({ shape, className, ...node }) => ({
+                ...node,
+                type: SwanFormats.resolveType(className, shape, options)
+            })),
+            edges,
+            layout: { direction }
+        };
+    }
+    
+    /**
+     * Split Mermaid source into statements at line breaks and at semicolons outside quotes
+     * @returns {Array} Statements
+     */
+    static splitMermaid(text) {
+        const statements = [];
+        let current = '';
+        let quoted = false;
+        for (const char of text) {
+            if (char === '"') quoted = !quoted;
+            if (char === '\n' || (char === ';' && !quoted)) {
+                statements.push(current);
+                current = '';
+                quoted = false;
+            } else {
+                current += char;
+            }
+        }
+        statements.push(current);
+        return statements;
+    }
+    
+    /**
+     * Read one or more '&'-separated Mermaid node references
+     * @returns {Array|null} [{id, text, shape, className}]
+     */
+    static readMermaidNodes(reader) {
+        const refs = [];
+        do {
+            const match = /^\s*(\w+(?:[-.](?![-.>=])\w+)*)/.exec(reader.line.slice(reader.pos));
+            if (!match) return refs.length > 0 ? refs : null;
+            reader.pos += match[0].length;
+            
+            const ref = { id: match[1] };
+            const rest = reader.line.slice(reader.pos);
+            const shape = Object.keys(MERMAID_SHAPES).find(name => rest.startsWith(MERMAID_SHAPES[name][0]));
+            if (shape) {
+                const [open, close] = MERMAID_SHAPES[shape];
+                const inner = rest.slice(open.length);
+                
+                // Quoted text may contain the closing delimiter
+                const quoteEnd = inner.startsWith('"') ? inner.indexOf('"', 1) : 0;
+                const end = quoteEnd === -1 ? -1 : inner.indexOf(close, quoteEnd);
+                if (end !== -1) {
+                    ref.shape = shape;
+                    ref.text = SwanFormats.mermaidUnescape(inner.slice(0, end).trim());
+                    reader.pos += open.length + end + close.length;
+                }
+            }
+            
+            const className = /^:::([\w-]+)/.exec(reader.line.slice(reader.pos));
+            if (className) {
+                ref.className = className[1];
+                reader.pos += className[0].length;
+            }
+            refs.push(ref);
+        } while (SwanFormats.consume(reader, /^\s*&/));
+        
+        return refs;
+    }
+    
+    /**
+     * Read a Mermaid link (-->, ---, -.->, ==>, with |label| or -- label -->)
+     * @returns {Object|null} {label}
+     */
+    static readMermaidLink(reader) {
+        const rest = reader.line.slice(reader.pos);
+        
+        // Label inside the link: A -- text --> B, A -. text .-> B, A == text ==> B
+        const inline = /^\s*(?:--|-\.|==)\s+(.+?)\s+(?:-{2,}>|-{3,}|\.-+>|\.-+|={2,}>|={3,})/.exec(rest);
+        if (inline) {
+            reader.pos += inline[0].length;
+            return { label: SwanFormats.mermaidUnescape(inline[1]) };
+        }
+        
+        const arrow = /^\s*<?(?:-{2,}>|-{3,}|-\.+->|-\.+-|={2,}>|={3,}|~~~|--[ox]|==[ox])(?:\s*\|("[^"]*"|[^|]*)\|)?/.exec(rest);
+        if (!arrow) return null;
+        reader.pos += arrow[0].length;
+        return { label: arrow[1] ? SwanFormats.mermaidUnescape(arrow[1].trim()) : '' };
+    }
+    
+    /**
+     * Write workflow data as a Graphviz digraph
+     * Node types are kept in a custom type attribute. Groups become clusters, which
+     * fromDOT() flattens again.
+     * @param {Object} workflow - Workflow data (graph.toJSON())
+     * @param {Object} options - {direction: 'LR' (default) | 'TB', shapes: {nodeType: DOT shape}}
+     * @returns {string} DOT source
+     */
+    static toDOT(workflow, options = {}) {
+        const shapes = options.shapes || {};
+        const nodes = workflow.nodes || [];
+        const known = new Set(nodes.map(node => node.id));
+        const quote = SwanFormats.dotQuote;
+        const name = workflow.metadata && workflow.metadata.name;
+        const lines = [
+            `digraph ${quote(name || 'workflow')} {`,
+            `    rankdir=${options.direction === 'TB' ? 'TB' : 'LR'};`,
+            '    node [shape=box];'
+        ];
+        
+        const writeNodes = (parentId, indent) => {
+            nodes.filter(node => (node.parentId || null) === parentId).forEach(node => {
+                const title = node.data && node.data.title;
+                if (node.type === 'group') {
+                    lines.push(`${indent}subgraph ${quote(`cluster_${node.id}`)} {`);
+                    if (title !== undefined) lines.push(`${indent}    label=${quote(title)};`);
+                    writeNodes(node.id, `${indent}    `);
+                    lines.push(`${indent}}`);
+                    return;
+                }
+                
+                const attributes = [];
+                if (title !== undefined) attributes.push(`label=${quote(title)}`);
+                if (node.type && node.type !== 'default') attributes.push(`type=${quote(node.type)}`);
+                if (shapes[node.type]) attributes.push(`shape=${quote(shapes[node.type])}`);
+                lines.push(`${indent}${quote(node.id)}${attributes.length > 0 ? ` [${attributes.join(', ')}]` : ''};`);
+            });
+        };
+        writeNodes(null, '    ');
+        
+        (workflow.edges || []).forEach(edge => {
+            if (!known.has(edge.source) || !known.has(edge.target)) return;
+            const label = edge.data && edge.data.label;
+            lines.push(`    ${quote(edge.source)} -> ${quote(edge.target)}${label ? ` [label=${quote(label)}]` : ''};`);
+        });
+        
+        lines.push('}');
+        return `${lines.join('\n')}\n`;
+    }
+    
+    /**
+     * Read a Graphviz graph into workflow data (without positions)
+     * Node types come from the type attribute, mapped through typeMap, or else from
+     * typeMap[shape]. Titles come from label. Clusters are flattened (their nodes are
+     * imported without a group); ports are ignored.
+     * @param {string} text - DOT source
+     * @param {Object} options - {typeMap: {type or shape: nodeType}, defaultType}
+     * @returns {Object} {nodes, edges, layout: {direction}} - layout is a hint for autoLayout
+     * @throws {Error} On malformed DOT
+     */
+    static fromDOT(text, options = {}) {
+        const tokens = SwanFormats.tokenizeDOT(String(text));
+        let pos = 0;
+        const peek = () => tokens[pos];
+        const next = () => tokens[pos++];
+        const accept = value => {
+            if (peek() && peek().value === value && !peek().quoted) {
+                pos++;
+                return true;
+            }
+            return false;
+        };
+        const expect = value => {
+            if (!accept(value)) {
+                const token = peek();
+                throw new Error(`SwanFormats: Expected "${value}" but found ${token ? `"${token.value}" on line ${token.line}` : 'end of input'}`);
+            }
+        };
+        const isId = token => token && (token.quoted || /^[\w.-]+$/.test(token.value));
+        
+        const nodes = new Map();
+        const edges = [];
+        let direction = 'TB';
+        
+        const declare = (id, attributes) => {
+            if (!nodes.has(id)) nodes.set(id, { id, attributes: {} });
+            Object.assign(nodes.get(id).attributes, attributes);
+            return id;
+        };
+        
+        const readAttributes = () => {
+            const attributes = {};
+            while (accept('[')) {
+                while (!accept(']')) {
+                    if (!isId(peek())) expect(']');
+                    const key = next().value;
+                    expect('=');
+                    if (!isId(peek())) throw new Error(`SwanFormats: Missing value for "${key}"`);
+                    attributes[key] = next().value;
+                    if (!accept(',')) accept(';');
+                }
+            }
+            return attributes;
+        };
+        
+        // node_id, skipping an optional :port[:compass]
+        const readNodeId = () => {
+            const id = next().value;
+            while (accept(':')) next();
+            return id;
+        };
+        
+        const readStatements = defaults => {
+            expect('{');
+            while (!accept('}')) {
+                if (!peek()) expect('}');
+                if (accept(';')) continue;
+                
+                const token = peek();
+                const keyword = token.quoted ? null : token.value.toLowerCase();
+                if (keyword === 'subgraph' || keyword === '{') {
+                    if (accept('subgraph') && isId(peek()) && peek().value !== '{') next();
+                    readStatements({ ...defaults });
+                } else if (keyword === 'node' || keyword === 'edge' || keyword === 'graph') {
+                    next();
+                    const attributes = readAttributes();
+                    if (keyword === 'node') Object.assign(defaults, attributes);
+                    if (keyword === 'graph' && attributes.rankdir) direction = attributes.rankdir;
+                } else if (isId(token)) {
+                    const first = readNodeId();
+                    if (accept('=')) {
+                        const value = next();
+                        if (first === 'rankdir' && value) direction = value.value;
+                        continue;
+                    }
+                    
+                    const chain = [first];
+                    while (accept('->') || accept('--')) {
+                        if (!isId(peek())) throw new Error(`SwanFormats: Expected a node ID on line ${token.line}`);
+                        chain.push(readNodeId());
+                    }
+                    
+                    const attributes = readAttributes();
+                    if (chain.length === 1) {
+                        declare(first, { ...defaults, ...attributes });
+                    } else {
+                        chain.forEach(id => { if (!nodes.has(id)) declare(id, { ...defaults }); });
+                        for (let i = 1; i < chain.length; i++) {
+                            edges.push({
+                                source: chain[i - 1],
+                                target: chain[i],
+                                data: attributes.label ? { label: attributes.label } : {}
+                            });
+                        }
+                    }
+                } else {
+                    throw new Error(`SwanFormats: Unexpected "${token.value}" on line ${token.line}`);
+                }
+            }
+        };
+        
+        accept('strict');
+        if (!accept('digraph') && !accept('graph')) {
+            throw new Error('SwanFormats: DOT input must start with "graph" or "digraph"');
+        }
+        if (isId(peek()) && peek().value !== '{') next();
+        readStatements({});
+        
+        return {
+            nodes: Array.from(nodes.values()).map(({ id, attributes }) => ({
+                id,
+                type: SwanFormats.resolveType(attributes.type, attributes.shape, options),
+                data: attributes.label !== undefined ? { title: attributes.label } : {}
+            })),
+            edges,
+            layout: { direction: /^(LR|RL)$/i.test(direction) ? 'LR' : 'TB' }
+        };
+    }
+    
+    /**
+     * Split DOT source into tokens, dropping comments
+     * @returns {Array} [{value, quoted, line}]
+     */
+    static tokenizeDOT(text) {
+        const tokens = [];
+        const pattern = /\/\/[^\n]*|\/\*[\s\S]*?\*\/|^\s*#[^\n]*|"((?:[^"\\]|\\[\s\S])*)"|(->|--|[{}[\];,=:])|([\w.-]+)|(\S)/gm;
+        let line = 1;
+        let counted = 0;
+        let match;
+        while ((match = pattern.exec(text))) {
+            line += text.slice(counted, match.index).split('\n').length - 1;
+            counted = match.index;
+            
+            if (match[1] !== undefined) {
+                // \n, \l and \r are line breaks in labels; a backslash before a newline continues the line
+                const value = match[1].replace(/\\([\s\S])/g, (escape, char) => {
+                    if (char === 'n' || char === 'l' || char === 'r') return '\n';
+                    if (char === '\n') return '';
+                    return char === '"' || char === '\\' ? char : escape;
+                });
+                tokens.push({ value, quoted: true, line });
+            } else if (match[2] || match[3]) {
+                tokens.push({ value: match[2] || match[3], quoted: false, line });
+            } else if (match[4]) {
+                throw new Error(`SwanFormats: Unexpected "${match[4]}" on line ${line}`);
+            }
+        }
+        return tokens;
+    }
+    
+    /**
+     * Pick the node type for an imported node
+     * An explicit type (Mermaid class, DOT type attribute) wins, then the shape.
+     */
+    static resolveType(name, shape, options = {}) {
+        const typeMap = options.typeMap || {};
+        if (name) return typeMap[name] || name;
+        return (shape && typeMap[shape]) || options.defaultType || 'default';
+    }
+    
+    /**
+     * Advance the reader past a pattern
+     * @returns {boolean} Whether it matched
+     */
+    static consume(reader, pattern) {
+        const match = pattern.exec(reader.line.slice(reader.pos));
+        if (match) reader.pos += match[0].length;
+        return !!match;
+    }
+    
+    /**
+     * Node IDs Mermaid can parse (letters, digits and underscores), never a keyword
+     * @param {Set} used - IDs already written; clashes get a numeric suffix
+     */
+    static mermaidId(id, used = new Set()) {
+        let base = String(id).replace(/\W/g, '_') || 'node';
+        if (MERMAID_KEYWORDS.test(base)) base += '_';
+        
+        let candidate = base;
+        for (let n = 2; used.has(candidate); n++) candidate = `${base}_${n}`;
+        used.add(candidate);
+        return candidate;
+    }
+    
+    /**
+     * Escape text for a quoted Mermaid label ('|' would end an edge label)
+     */
+    static mermaidText(text) {
+        return String(text)
+            .replace(/#/g, '#35;')
+            .replace(/"/g, '#quot;')
+            .replace(/\|/g, '#124;')
+            .replace(/\n/g, '<br>');
+    }
+    
+    /**
+     * Undo mermaidText and strip surrounding quotes
+     */
+    static mermaidUnescape(text) {
+        const unquoted = /^"[\s\S]*"$/.test(text) ? text.slice(1, -1) : text;
+        return unquoted
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/#(quot|\d+);/g, (match, code) => code === 'quot' ? '"' : String.fromCharCode(Number(code)));
+    }
+    
+    /**
+     * Quote a DOT ID or value
+     */
+    static dotQuote(value) {
+        return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+    }
+}
@@ -0,0 +1,1391 @@
+/**
+ * SwanGraph.js
+ * DOM-free workflow graph model: nodes, edges, node types, connection rules and serialisation.
+ * SwanEditor renders from it; on its own it loads, validates and mutates workflows
+ * in Node.js (backends, tests) with the same rules the editor enforces.
+ *
+ * @author Divyajeet Pala
+ * @version 1.0.0
+ * @license MIT
+*/
+
+// Version of the workflow document written by toJSON()
+export const SCHEMA_VERSION = 1;
+
+// Document upgrades: schema version -> (data) => data of the next version
+const SCHEMA_MIGRATIONS = {
+    // 0: documents written before schemaVersion existed
+    0: (data) => ({
+        ...data,
+        metadata: { name: '', description: '', ...(data.metadata || {}) }
+    })
+};
+
+export default class SwanGraph {
+    /**
+     * @param {Object} options - Graph options
+     * @param {Object} options.edgeStyle - Default edge style
+     * @param {Object} options.nodeDefaults - Default node data
+     * @param {Object} options.typeCompatibility - { outputType: [inputTypes it may feed] }
+     * @param {Function} options.canConnect - Global (source, target, context) => true | false | reason
+     * @param {boolean} options.allowCycles - False rejects connections that close a cycle
+     * @param {Object} options.context - Extra fields passed to canConnect hooks and validation rules
+     */
+    constructor(options = {}) {
+        this.options = {
+            edgeStyle: {},
+            nodeDefaults: {},
+            typeCompatibility: {},
+            canConnect: null,
+            allowCycles: true,
+            context: {},
+            ...options
+        };
+        
+        // Graph state
+        this.nodes = new Map();
+        this.edges = new Map();
+        
+        // Connection cache for O(1) lookups
+        this.connectionCache = new Map(); // nodeId -> {inputs: Set, outputs: Set}
+        
+        // ID counters
+        this.nodeIdCounter = 1;
+        this.edgeIdCounter = 1;
+        
+        // Node type registry
+        this.nodeTypes = new Map();
+        
+        // Workflow metadata, saved with the document
+        this.metadata = this.createMetadata();
+        
+        // Port data type converters ("from->to" -> function)
+        this.typeConverters = new Map();
+        
+        // Built-in types (the editor adds templates on top)
+        this.registerNodeType('default', { ports: ['input', 'output'] });
+        this.registerNodeType('group', { ports: [] });
+        
+        // Validation rules run by validate(): id -> (graph, context) => diagnostics
+        this.validationRules = new Map();
+        this.registerValidationRule('cycles', () => this.checkCycles());
+        this.registerValidationRule('unreachable', () => this.checkUnreachable());
+        this.registerValidationRule('required-inputs', () => this.checkRequiredInputs());
+        this.registerValidationRule('required-data', () => this.checkRequiredData());
+    }
+    
+    /**
+     * Create a graph from workflow data
+     * @param {Object} data - Workflow data ({nodes, edges})
+     * @param {Object} options - Graph options
+     * @param {Function} setup - Optional (graph) => void to register node types before loading
+     * @returns {SwanGraph}
+     */
+    static fromJSON(data, options = {}, setup = null) {
+        const graph = new SwanGraph(options);
+        if (setup) setup(graph);
+        return graph.load(typeof data === 'string' ? JSON.parse(data) : data);
+    }
+    
+    /**
+     * Register a node type
+     * Only the rule-related fields matter to the graph; other fields
+     * (templates, styles, lifecycle hooks) are kept for the editor.
+     * @param {string} type - Node type identifier
+     * @param {Object} config - {ports, maxOutputEdges, maxInputEdges, getEdgeStyle, canConnect,
+     *   requiredData: data fields validate() expects to be filled,
+     *   version: data shape version (default 1), migrate: (oldData, fromVersion) => data, ...}
+     */
+    registerNodeType(type, config = {}) {
+        this.nodeTypes.set(type, {
+            ...config,
+            ports: this.normalizePorts(config.ports || ['input', 'output']),
+            maxOutputEdges: config.maxOutputEdges || null, // null = unlimited, number = limit
+            maxInputEdges: config.maxInputEdges || null,   // null = unlimited, number = limit
+            getEdgeStyle: config.getEdgeStyle || (() => ({})),
+            canConnect: config.canConnect || null,         // (source, target, context) => true | false | reason
+            requiredData: config.requiredData || [],
+            version: config.version || 1,
+            migrate: config.migrate || null                // (oldData, fromVersion) => data at version
+        });
+    }
+    
+    /**
+     * Get the registered type of a node type name (falls back to 'default')
+     */
+    getNodeType(type) {
+        return this.nodeTypes.get(type) || this.nodeTypes.get('default');
+    }
+    
+    /**
+     * Register a converter between two port data types
+     * Registering a converter also makes the types compatible.
+     * @param {string} fromType - Output port data type
+     * @param {string} toType - Input port data type
+     * @param {Function} convert - (value) => converted value
+     */
+    registerTypeConverter(fromType, toType, convert) {
+        this.typeConverters.set(`${fromType}->${toType}`, convert);
+    }
+    
+    /**
+     * Get the converter between two port data types
+     * @returns {Function|null}
+     */
+    getTypeConverter(fromType, toType) {
+        return this.typeConverters.get(`${fromType}->${toType}`) || null;
+    }
+    
+    /**
+     * Check whether an output data type may feed an input data type
+     * Untyped ports and 'any' are compatible with everything.
+     */
+    isTypeCompatible(outputType, inputType) {
+        if (!outputType || !inputType || outputType === 'any' || inputType === 'any') return true;
+        if (outputType === inputType) return true;
+        
+        const allowed = (this.options.typeCompatibility || {})[outputType];
+        if (allowed && (allowed.includes(inputType) || allowed.includes('*'))) return true;
+        
+        return this.typeConverters.has(`${outputType}->${inputType}`);
+    }
+    
+    /**
+     * Normalize port definitions of a node type
+     * @param {Array} ports - Port shorthands ('input' / 'output') or definition objects
+     * @returns {Array} Port definitions
+     */
+    normalizePorts(ports) {
+        const definitions = ports.map(port => {
+            // Legacy shorthand: the port ID is its direction
+            const def = typeof port === 'string' ? { id: port, direction: port } : { ...port };
+            
+            if (def.direction !== 'input' && def.direction !== 'output') {
+                console.warn(`SwanGraph: Port "${def.id}" needs direction 'input' or 'output'`);
+                def.direction = def.id === 'input' ? 'input' : 'output';
+            }
+            
+            return {
+                id: def.id || def.direction,
+                direction: def.direction,
+                label: def.label || '',
+                side: def.side || (def.direction === 'input' ? 'left' : 'right'),
+                position: typeof def.position === 'number' ? def.position : null,
+                maxEdges: def.maxEdges || null,     // null = unlimited
+                dataType: def.dataType || null,     // null = any
+                required: !!def.required            // validate() reports unconnected required inputs
+            };
+        });
+        
+        // Spread ports without an explicit position evenly along their side
+        ['left', 'right', 'top', 'bottom'].forEach(side => {
+            const onSide = definitions.filter(def => def.side === side);
+            onSide.forEach((def, index) => {
+                if (def.position === null) {
+                    def.position = (index + 1) / (onSide.length + 1);
+                }
+            });
+        });
+        
+        return definitions;
+    }
+    
+    /**
+     * Get the port definitions of a node
+     * @param {string} nodeId - Node ID
+     * @returns {Array} Port definitions
+     */
+    getNodePorts(nodeId) {
+        const node = this.nodes.get(nodeId);
+        return node ? this.getNodeType(node.type).ports : [];
+    }
+    
+    /**
+     * Get a single port definition
+     * @param {string} nodeId - Node ID
+     * @param {string} portId - Port ID
+     * @returns {Object|null} Port definition
+     */
+    getPortDefinition(nodeId, portId) {
+        return this.getNodePorts(nodeId).find(port => port.id === portId) || null;
+    }
+    
+    /**
+     * Get the default port of a node for a direction (first declared)
+     */
+    getDefaultPort(nodeId, direction) {
+        const port = this.getNodePorts(nodeId).find(def => def.direction === direction);
+        return port ? port.id : direction;
+    }
+    
+    /**
+     * Add a node
+     * @param {string} type - Node type
+     * @param {Object} position - Position {x, y}
+     * @param {Object} data - Node data
+     * @param {string} id - Optional node ID (if not provided, auto-generated)
+     * @returns {Object} Node
+     */
+    addNode(type = 'default', position = {}, data = {}, id = null) {
+        // Use provided ID or generate new one
+        if (!id) {
+            id = `node-${this.nodeIdCounter++}`;
+        } else {
+            // Update counter if provided ID is higher
+            const idNumber = parseInt(id.replace('node-', ''));
+            if (!isNaN(idNumber) && idNumber >= this.nodeIdCounter) {
+                this.nodeIdCounter = idNumber + 1;
+            }
+        }
+        
+        const node = {
+            id,
+            type,
+            position: {
+                x: typeof position.x === 'number' ? position.x : Math.random() * 400 + 100,
+                y: typeof position.y === 'number' ? position.y : Math.random() * 300 + 100
+            },
+            data: {
+                ...this.options.nodeDefaults,
+                ...data
+            },
+            parentId: null
+        };
+        
+        this.nodes.set(id, node);
+        this.initNodeCache(id);
+        this.touch();
+        
+        return node;
+    }
+    
+    /**
+     * Move a node; group contents move along
+     * @param {string} nodeId - Node ID
+     * @param {Object} position - Position {x, y}
+     * @returns {Array} IDs of every node that moved
+     */
+    moveNode(nodeId, position) {
+        const node = this.nodes.get(nodeId);
+        if (!node) return [];
+        
+        const dx = position.x - node.position.x;
+        const dy = position.y - node.position.y;
+        node.position.x = position.x;
+        node.position.y = position.y;
+        this.touch();
+        
+        const moved = [nodeId];
+        if ((dx !== 0 || dy !== 0) && this.isGroup(nodeId)) {
+            this.getChildNodes(nodeId).forEach(child => {
+                moved.push(...this.moveNode(child.id, { x: child.position.x + dx, y: child.position.y + dy }));
+            });
+        }
+        return moved;
+    }
+    
+    /**
+     * Merge data into a node
+     * @returns {Object|null} Previous values of the changed keys
+     */
+    updateNodeData(nodeId, data) {
+        const node = this.nodes.get(nodeId);
+        if (!node) return null;
+        
+        const previous = {};
+        Object.keys(data).forEach(key => {
+            previous[key] = node.data[key];
+        });
+        Object.assign(node.data, data);
+        this.touch();
+        
+        return previous;
+    }
+    
+    /**
+     * Remove a node, its edges and (for groups) its contents
+     * @param {string} nodeId - Node ID
+     * @returns {Object|null} Removed node
+     */
+    removeNode(nodeId) {
+        const node = this.nodes.get(nodeId);
+        if (!node) return null;
+        
+        this.getChildNodes(nodeId).forEach(child => this.removeNode(child.id));
+        
+        Array.from(this.edges.values())
+            .filter(edge => edge.source === nodeId || edge.target === nodeId)
+            .forEach(edge => this.removeEdge(edge.id));
+        
+        this.connectionCache.delete(nodeId);
+        this.nodes.delete(nodeId);
+        this.touch();
+        
+        return node;
+    }
+    
+    /**
+     * Check whether a node is a group container
+     */
+    isGroup(nodeId) {
+        const node = this.nodes.get(nodeId);
+        return !!node && node.type === 'group';
+    }
+    
+    /**
+     * Get the direct children of a group
+     * @param {string} groupId - Group node ID
+     * @returns {Array} Child nodes
+     */
+    getChildNodes(groupId) {
+        return Array.from(this.nodes.values()).filter(node => node.parentId === groupId);
+    }
+    
+    /**
+     * Get the IDs of all nodes nested (at any depth) inside a group
+     */
+    getDescendantIds(groupId) {
+        if (!this.isGroup(groupId)) return [];
+        return this.getChildNodes(groupId).flatMap(child => [child.id, ...this.getDescendantIds(child.id)]);
+    }
+    
+    /**
+     * Count the groups a node is nested in
+     */
+    getNodeDepth(nodeId) {
+        let depth = 0;
+        let node = this.nodes.get(nodeId);
+        while (node && node.parentId) {
+            depth++;
+            node = this.nodes.get(node.parentId);
+        }
+        return depth;
+    }
+    
+    /**
+     * Move a node into a group, or out of any group
+     * @param {string} nodeId - Node ID
+     * @param {string|null} parentId - Group ID, or null for the top level
+     * @returns {boolean} Whether the node now has that parent
+     */
+    setNodeParent(nodeId, parentId = null) {
+        const node = this.nodes.get(nodeId);
+        if (!node) return false;
+        
+        parentId = parentId || null;
+        if (!this.canSetNodeParent(nodeId, parentId)) {
+            console.warn(`SwanGraph: Cannot place "${nodeId}" inside "${parentId}"`);
+            return false;
+        }
+        
+        node.parentId = parentId;
+        this.touch();
+        return true;
+    }
+    
+    /**
+     * Check whether a node may be placed inside a group (null = top level)
+     * The parent must be a group that is neither the node nor inside it.
+     */
+    canSetNodeParent(nodeId, parentId) {
+        if (!parentId) return true;
+        return this.isGroup(parentId) && parentId !== nodeId && !this.getDescendantIds(nodeId).includes(parentId);
+    }
+    
+    /**
+     * Add an edge between two nodes
+     * Runs the same checks as interactive connections.
+     * @param {string} sourceId - Source node ID
+     * @param {string} targetId - Target node ID
+     * @param {Object} options - {style, data, id, sourcePort, targetPort, force}
+     *   (id is auto-generated, ports default to the first output / input port;
+     *   force only checks nodes and ports, e.g. to restore an edge from history)
+     * @returns {Object|null} New edge, the existing edge for a duplicate, or null if not allowed
+     */
+    addEdge(sourceId, targetId, options = {}) {
+        // Resolve ports
+        const sourcePortId = options.sourcePort || this.getDefaultPort(sourceId, 'output');
+        const targetPortId = options.targetPort || this.getDefaultPort(targetId, 'input');
+        
+        // Check for duplicate edges
+        const existingEdge = this.findEdge(sourceId, sourcePortId, targetId, targetPortId);
+        if (existingEdge) {
+            console.warn('SwanGraph: Edge already exists');
+            return existingEdge;
+        }
+        
+        // Nodes, ports, limits, data types and canConnect hooks
+        const error = this.getEdgeError(sourceId, targetId, options);
+        if (error) {
+            console.warn(`SwanGraph: ${error}`);
+            return null;
+        }
+        
+        const sourceNode = this.nodes.get(sourceId);
+        const sourceType = this.nodeTypes.get(sourceNode.type);
+        const edgeIndex = Array.from(this.edges.values()).filter(edge => edge.source === sourceId).length;
+        
+        // Get custom edge style from node type if available
+        let customEdgeStyle = {};
+        if (sourceType && sourceType.getEdgeStyle) {
+            customEdgeStyle = sourceType.getEdgeStyle(sourceNode, edgeIndex, targetId, sourcePortId) || {};
+        }
+        
+        // Use provided ID or generate new one
+        let id = options.id;
+        if (!id) {
+            id = `edge-${this.edgeIdCounter++}`;
+        } else {
+            // Update counter if provided ID is higher
+            const idNumber = parseInt(id.replace('edge-', ''));
+            if (!isNaN(idNumber) && idNumber >= this.edgeIdCounter) {
+                this.edgeIdCounter = idNumber + 1;
+            }
+        }
+        
+        const edge = {
+            id,
+            source: sourceId,
+            target: targetId,
+            sourcePort: sourcePortId,
+            targetPort: targetPortId,
+            edgeIndex,  // Store the edge index for reference
+            style: {
+                ...this.options.edgeStyle,
+                ...customEdgeStyle,
+                ...options.style
+            },
+            data: options.data || {}
+        };
+        
+        this.edges.set(id, edge);
+        this.updateCacheOnEdgeCreate(edge);
+        this.touch();
+        
+        return edge;
+    }
+    
+    /**
+     * Find the edge between two ports
+     * @returns {Object|null} Edge
+     */
+    findEdge(sourceId, sourcePortId, targetId, targetPortId) {
+        return Array.from(this.edges.values()).find(
+            edge => edge.source === sourceId && edge.target === targetId &&
+                edge.sourcePort === sourcePortId && edge.targetPort === targetPortId
+        ) || null;
+    }
+    
+    /**
+     * Explain why addEdge() would reject an edge (duplicates aside)
+     * Same arguments as addEdge().
+     * @returns {string|null} Reason, or null if the edge can be added
+     */
+    getEdgeError(sourceId, targetId, options = {}) {
+        // Validate nodes exist
+        if (!this.nodes.has(sourceId) || !this.nodes.has(targetId)) {
+            return 'Invalid source or target node';
+        }
+        
+        // Resolve ports
+        const sourcePortId = options.sourcePort || this.getDefaultPort(sourceId, 'output');
+        const targetPortId = options.targetPort || this.getDefaultPort(targetId, 'input');
+        const sourcePortDef = this.getPortDefinition(sourceId, sourcePortId);
+        const targetPortDef = this.getPortDefinition(targetId, targetPortId);
+        
+        // Without a port given, the node must have one of the right direction to default to
+        if (!options.sourcePort && !sourcePortDef) return `Node ${sourceId} has no output port`;
+        if (!options.targetPort && !targetPortDef) return `Node ${targetId} has no input port`;
+        if (!sourcePortDef || sourcePortDef.direction !== 'output' ||
+            !targetPortDef || targetPortDef.direction !== 'input') {
+            return `Invalid ports ${sourceId}.${sourcePortId} -> ${targetId}.${targetPortId}`;
+        }
+        if (options.force) return null;
+        
+        // Get source and target nodes and their types
+        const sourceType = this.nodeTypes.get(this.nodes.get(sourceId).type);
+        const targetType = this.nodeTypes.get(this.nodes.get(targetId).type);
+        
+        // Check max output edges for source node
+        const outputCount = Array.from(this.edges.values()).filter(edge => edge.source === sourceId).length;
+        if (sourceType && sourceType.maxOutputEdges !== null && outputCount >= sourceType.maxOutputEdges) {
+            return `Maximum output edges (${sourceType.maxOutputEdges}) reached for node ${sourceId}`;
+        }
+        
+        // Check max input edges for target node
+        if (targetType && targetType.maxInputEdges !== null) {
+            const inputCount = Array.from(this.edges.values()).filter(edge => edge.target === targetId).length;
+            if (inputCount >= targetType.maxInputEdges) {
+                return `Maximum input edges (${targetType.maxInputEdges}) reached for node ${targetId}`;
+            }
+        }
+        
+        // Check per-port edge limits
+        if (this.isPortFull(sourceId, sourcePortId) || this.isPortFull(targetId, targetPortId)) {
+            return `Maximum edges reached for port ${sourceId}.${sourcePortId} or ${targetId}.${targetPortId}`;
+        }
+        
+        // Check cycles, data types and canConnect hooks
+        return this.getCompatibilityError(sourceId, sourcePortId, targetId, targetPortId);
+    }
+    
+    /**
+     * Merge data into an edge
+     * @returns {Object|null} Previous values of the changed keys
+     */
+    updateEdgeData(edgeId, data) {
+        const edge = this.edges.get(edgeId);
+        if (!edge) return null;
+        
+        const previous = {};
+        Object.keys(data).forEach(key => {
+            previous[key] = edge.data[key];
+        });
+        Object.assign(edge.data, data);
+        this.touch();
+        
+        return previous;
+    }
+    
+    /**
+     * Move the ends of an edge to other ports, keeping its ID, style and data
+     * Runs the same checks as interactive connections, leaving the edge itself out.
+     * @param {string} edgeId - Edge ID
+     * @param {Object} endpoints - {source, sourcePort, target, targetPort}; missing keys keep their value
+     * @param {Object} options - {force: only check nodes and ports (see addEdge)}
+     * @returns {Object|null} Previous endpoints, or null if not allowed
+     */
+    reconnectEdge(edgeId, endpoints, options = {}) {
+        const edge = this.edges.get(edgeId);
+        if (!edge) return null;
+        
+        const previous = {
+            source: edge.source,
+            sourcePort: edge.sourcePort,
+            target: edge.target,
+            targetPort: edge.targetPort
+        };
+        const next = { ...previous };
+        Object.keys(previous).forEach(key => {
+            if (endpoints[key]) next[key] = endpoints[key];
+        });
+        
+        const error = this.getReconnectError(edgeId, next, options);
+        if (error) {
+            console.warn(`SwanGraph: ${error}`);
+            return null;
+        }
+        
+        this.updateCacheOnEdgeDelete(edge);
+        Object.assign(edge, next);
+        this.updateCacheOnEdgeCreate(edge);
+        this.touch();
+        
+        return previous;
+    }
+    
+    /**
+     * Explain why reconnectEdge() would reject new endpoints
+     * @param {string} edgeId - Edge ID
+     * @param {Object} next - Complete endpoints {source, sourcePort, target, targetPort}
+     * @param {Object} options - {force}
+     * @returns {string|null} Reason, or null if allowed
+     */
+    getReconnectError(edgeId, next, options = {}) {
+        if (options.force) {
+            return this.getEdgeError(next.source, next.target, {
+                sourcePort: next.sourcePort,
+                targetPort: next.targetPort,
+                force: true
+            });
+        }
+        return this.getConnectionError(next.source, next.sourcePort, next.target, next.targetPort, edgeId);
+    }
+    
+    /**
+     * Remove an edge
+     * @param {string} edgeId - Edge ID
+     * @returns {Object|null} Removed edge
+     */
+    removeEdge(edgeId) {
+        const edge = this.edges.get(edgeId);
+        if (!edge) return null;
+        
+        this.updateCacheOnEdgeDelete(edge);
+        this.edges.delete(edgeId);
+        this.touch();
+        
+        return edge;
+    }
+    
+    /**
+     * Check if a port has reached its maxEdges limit
+     * @param {string} nodeId - Node ID
+     * @param {string} portId - Port ID
+     * @param {string} ignoreEdgeId - Optional edge to leave out of the count
+     */
+    isPortFull(nodeId, portId, ignoreEdgeId = null) {
+        const def = this.getPortDefinition(nodeId, portId);
+        if (!def || def.maxEdges === null) return false;
+        
+        let count = 0;
+        this.edges.forEach(edge => {
+            if (edge.id === ignoreEdgeId) return;
+            if (def.direction === 'output' && edge.source === nodeId && edge.sourcePort === portId) count++;
+            if (def.direction === 'input' && edge.target === nodeId && edge.targetPort === portId) count++;
+        });
+        return count >= def.maxEdges;
+    }
+    
+    /**
+     * Validate a potential connection
+     * The ports may be given in either order (drag can start from an input).
+     * @param {string} sourceNodeId - Node where the connection starts
+     * @param {string} sourcePortId - Port where the connection starts
+     * @param {string} targetNodeId - Node where the connection ends
+     * @param {string} targetPortId - Port where the connection ends
+     * @param {string} ignoreEdgeId - Optional edge being reconnected, left out of duplicate and limit checks
+     * @returns {boolean}
+     */
+    validateConnection(sourceNodeId, sourcePortId, targetNodeId, targetPortId, ignoreEdgeId = null) {
+        return this.getConnectionError(sourceNodeId, sourcePortId, targetNodeId, targetPortId, ignoreEdgeId) === null;
+    }
+    
+    /**
+     * Explain why a potential connection is not allowed
+     * Same arguments as validateConnection().
+     * @returns {string|null} Reason, or null if the connection is valid
+     */
+    getConnectionError(sourceNodeId, sourcePortId, targetNodeId, targetPortId, ignoreEdgeId = null) {
+        // Can't connect to same node
+        if (sourceNodeId === targetNodeId) return 'A node cannot connect to itself';
+        
+        const sourcePortDef = this.getPortDefinition(sourceNodeId, sourcePortId);
+        const targetPortDef = this.getPortDefinition(targetNodeId, targetPortId);
+        if (!sourcePortDef || !targetPortDef) return 'Unknown port';
+        
+        // Can't connect same port types
+        if (sourcePortDef.direction === targetPortDef.direction) {
+            return `Cannot connect an ${sourcePortDef.direction} to another ${targetPortDef.direction}`;
+        }
+        
+        // Determine actual source and target based on port types
+        const isForward = sourcePortDef.direction === 'output';
+        const actualSourceId = isForward ? sourceNodeId : targetNodeId;
+        const actualTargetId = isForward ? targetNodeId : sourceNodeId;
+        const actualSourcePort = isForward ? sourcePortId : targetPortId;
+        const actualTargetPort = isForward ? targetPortId : sourcePortId;
+        
+        // Check for existing connection (same ports, or any edge in the opposite direction)
+        const edges = Array.from(this.edges.values()).filter(edge => edge.id !== ignoreEdgeId);
+        const existingEdge = edges.find(edge => {
+            return (edge.source === actualSourceId && edge.target === actualTargetId &&
+                    edge.sourcePort === actualSourcePort && edge.targetPort === actualTargetPort) ||
+                   (edge.source === actualTargetId && edge.target === actualSourceId);
+        });
+        
+        if (existingEdge) return 'These nodes are already connected';
+        
+        // Check max output edges for source node
+        const sourceNode = this.nodes.get(actualSourceId);
+        if (sourceNode) {
+            const sourceType = this.nodeTypes.get(sourceNode.type);
+            if (sourceType && sourceType.maxOutputEdges !== null) {
+                const currentOutputEdges = edges.filter(
+                    edge => edge.source === actualSourceId
+                ).length;
+                if (currentOutputEdges >= sourceType.maxOutputEdges) {
+                    return `Maximum output connections (${sourceType.maxOutputEdges}) reached`;
+                }
+            }
+        }
+        
+        // Check max input edges for target node
+        const targetNode = this.nodes.get(actualTargetId);
+        if (targetNode) {
+            const targetType = this.nodeTypes.get(targetNode.type);
+            if (targetType && targetType.maxInputEdges !== null) {
+                const currentInputEdges = edges.filter(
+                    edge => edge.target === actualTargetId
+                ).length;
+                if (currentInputEdges >= targetType.maxInputEdges) {
+                    return `Maximum input connections (${targetType.maxInputEdges}) reached`;
+                }
+            }
+        }
+        
+        // Check per-port limits
+        if (this.isPortFull(actualSourceId, actualSourcePort, ignoreEdgeId) ||
+            this.isPortFull(actualTargetId, actualTargetPort, ignoreEdgeId)) {
+            return 'Maximum connections for this port reached';
+        }
+        
+        return this.getCompatibilityError(actualSourceId, actualSourcePort, actualTargetId, actualTargetPort);
+    }
+    
+    /**
+     * Check cycles, port data types and canConnect hooks for an output -> input pair
+     * @returns {string|null} Reason, or null if compatible
+     */
+    getCompatibilityError(sourceId, sourcePortId, targetId, targetPortId) {
+        if (!this.options.allowCycles && this.canReach(targetId, sourceId)) {
+            return 'This connection would create a cycle';
+        }
+        
+        const sourceNode = this.nodes.get(sourceId);
+        const targetNode = this.nodes.get(targetId);
+        const sourcePortDef = this.getPortDefinition(sourceId, sourcePortId);
+        const targetPortDef = this.getPortDefinition(targetId, targetPortId);
+        
+        // Data types
+        const outputType = sourcePortDef && sourcePortDef.dataType;
+        const inputType = targetPortDef && targetPortDef.dataType;
+        if (!this.isTypeCompatible(outputType, inputType)) {
+            return `Type "${outputType}" cannot connect to "${inputType}"`;
+        }
+        
+        // Hooks on both node types, then the global hook
+        const context = {
+            ...this.options.context,
+            sourcePort: sourcePortDef,
+            targetPort: targetPortDef,
+            graph: this
+        };
+        const hooks = [
+            (this.nodeTypes.get(sourceNode.type) || {}).canConnect,
+            (this.nodeTypes.get(targetNode.type) || {}).canConnect,
+            this.options.canConnect
+        ];
+        
+        for (const hook of hooks) {
+            if (!hook) continue;
+            const result = hook(sourceNode, targetNode, context);
+            if (result === false) return 'Connection not allowed';
+            if (typeof result === 'string') return result;
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Check whether a node can reach another by following edges
+     * @param {string} fromId - Start node ID
+     * @param {string} toId - Node ID to reach
+     * @returns {boolean}
+     */
+    canReach(fromId, toId) {
+        const stack = [fromId];
+        const visited = new Set();
+        while (stack.length > 0) {
+            const id = stack.pop();
+            if (id === toId) return true;
+            if (visited.has(id)) continue;
+            visited.add(id);
+            this.edges.forEach(edge => {
+                if (edge.source === id) stack.push(edge.target);
+            });
+        }
+        return false;
+    }
+    
+    /**
+     * Register a validation rule
+     * @param {string} id - Rule ID (registering an existing ID replaces the rule)
+     * @param {Function} check - (graph, context) => Array of {severity: 'error'|'warning', message, nodeId?, edgeId?}
+     */
+    registerValidationRule(id, check) {
+        this.validationRules.set(id, check);
+    }
+    
+    /**
+     * Remove a validation rule
+     */
+    removeValidationRule(id) {
+        this.validationRules.delete(id);
+    }
+    
+    /**
+     * Run the validation rules
+     * @param {Object} options - {rules: IDs of the rules to run (default all)}
+     * @returns {Array} Diagnostics {rule, severity, message, nodeId, edgeId}
+     */
+    validate(options = {}) {
+        const ids = options.rules || Array.from(this.validationRules.keys());
+        const diagnostics = [];
+        
+        ids.forEach(id => {
+            const check = this.validationRules.get(id);
+            if (!check) {
+                console.warn(`SwanGraph: Unknown validation rule "${id}"`);
+                return;
+            }
+            
+            (check(this, this.options.context) || []).forEach(diagnostic => {
+                diagnostics.push({
+                    rule: id,
+                    severity: diagnostic.severity === 'error' ? 'error' : 'warning',
+                    message: diagnostic.message,
+                    nodeId: diagnostic.nodeId || null,
+                    edgeId: diagnostic.edgeId || null
+                });
+            });
+        });
+        
+        return diagnostics;
+    }
+    
+    /**
+     * Rule: edges that close a cycle (only when cycles are not allowed)
+     */
+    checkCycles() {
+        if (this.options.allowCycles) return [];
+        
+        return Array.from(this.edges.values())
+            .filter(edge => this.canReach(edge.target, edge.source))
+            .map(edge => ({
+                severity: 'error',
+                message: 'Connection is part of a cycle',
+                edgeId: edge.id
+            }));
+    }
+    
+    /**
+     * Rule: nodes no start node leads to
+     * Start nodes are nodes without incoming edges, so only nodes fed solely by
+     * a cycle are reported.
+     */
+    checkUnreachable() {
+        const ids = Array.from(this.nodes.keys()).filter(id => !this.isGroup(id));
+        const reached = new Set();
+        const targets = new Set(Array.from(this.edges.values()).map(edge => edge.target));
+        const stack = ids.filter(id => !targets.has(id));
+        
+        while (stack.length > 0) {
+            const id = stack.pop();
+            if (reached.has(id)) continue;
+            reached.add(id);
+            this.edges.forEach(edge => {
+                if (edge.source === id) stack.push(edge.target);
+            });
+        }
+        
+        return ids
+            .filter(id => !reached.has(id))
+            .map(id => ({
+                severity: 'warning',
+                message: 'Node is not reachable from any start node',
+                nodeId: id
+            }));
+    }
+    
+    /**
+     * Rule: required input ports without a connection
+     */
+    checkRequiredInputs() {
+        const diagnostics = [];
+        this.nodes.forEach(node => {
+            this.getNodePorts(node.id)
+                .filter(port => port.direction === 'input' && port.required)
+                .forEach(port => {
+                    const connected = Array.from(this.edges.values()).some(
+                        edge => edge.target === node.id && edge.targetPort === port.id
+                    );
+                    if (!connected) {
+                        diagnostics.push({
+                            severity: 'error',
+                            message: `Required input "${port.label || port.id}" is not connected`,
+                            nodeId: node.id
+                        });
+                    }
+                });
+        });
+        return diagnostics;
+    }
+    
+    /**
+     * Rule: empty data fields listed in the node type's requiredData
+     */
+    checkRequiredData() {
+        const diagnostics = [];
+        this.nodes.forEach(node => {
+            this.getNodeType(node.type).requiredData.forEach(field => {
+                const value = node.data[field];
+                if (value === undefined || value === null || value === '') {
+                    diagnostics.push({
+                        severity: 'error',
+                        message: `Missing required field "${field}"`,
+                        nodeId: node.id
+                    });
+                }
+            });
+        });
+        return diagnostics;
+    }
+    
+    /**
+     * Initialize connection cache for a node
+     */
+    initNodeCache(nodeId) {
+        if (!this.connectionCache.has(nodeId)) {
+            this.connectionCache.set(nodeId, {
+                inputs: new Set(),   // Set of edge IDs
+                outputs: new Set()   // Set of edge IDs
+            });
+        }
+    }
+    
+    /**
+     * Update connection cache when edge is created
+     */
+    updateCacheOnEdgeCreate(edge) {
+        this.initNodeCache(edge.source);
+        this.initNodeCache(edge.target);
+        
+        this.connectionCache.get(edge.source).outputs.add(edge.id);
+        this.connectionCache.get(edge.target).inputs.add(edge.id);
+    }
+    
+    /**
+     * Update connection cache when edge is deleted
+     */
+    updateCacheOnEdgeDelete(edge) {
+        const sourceCache = this.connectionCache.get(edge.source);
+        const targetCache = this.connectionCache.get(edge.target);
+        
+        if (sourceCache) sourceCache.outputs.delete(edge.id);
+        if (targetCache) targetCache.inputs.delete(edge.id);
+    }
+    
+    /**
+     * Validate and repair cache (call periodically or on load)
+     * @returns {number} Number of nodes whose cache was wrong
+     */
+    validateCache() {
+        let issues = 0;
+        
+        // Rebuild cache from edges
+        const newCache = new Map();
+        
+        this.nodes.forEach((node, nodeId) => {
+            newCache.set(nodeId, {
+                inputs: new Set(),
+                outputs: new Set()
+            });
+        });
+        
+        this.edges.forEach(edge => {
+            if (newCache.has(edge.source) && newCache.has(edge.target)) {
+                newCache.get(edge.source).outputs.add(edge.id);
+                newCache.get(edge.target).inputs.add(edge.id);
+            }
+        });
+        
+        // Compare with current cache
+        newCache.forEach((data, nodeId) => {
+            const current = this.connectionCache.get(nodeId);
+            if (!current ||
+                data.inputs.size !== current.inputs.size ||
+                data.outputs.size !== current.outputs.size) {
+                issues++;
+            }
+        });
+        
+        if (issues > 0) {
+            console.warn(`SwanGraph: Cache validation found ${issues} issues, rebuilding...`);
+            this.connectionCache = newCache;
+        }
+        
+        return issues;
+    }
+    
+    /**
+     * Get connection data using cache (O(1) lookup)
+     */
+    getConnectionDataCached(nodeId) {
+        const cache = this.connectionCache.get(nodeId);
+        if (!cache) {
+            return { inputs: [], outputs: [], inputCount: 0, outputCount: 0 };
+        }
+        
+        const inputs = [];
+        const outputs = [];
+        
+        // Convert edge IDs to node data
+        cache.inputs.forEach(edgeId => {
+            const edge = this.edges.get(edgeId);
+            const sourceNode = edge && this.nodes.get(edge.source);
+            if (sourceNode) {
+                inputs.push({
+                    id: sourceNode.id,
+                    type: sourceNode.type,
+                    data: sourceNode.data,
+                    edgeId: edge.id,
+                    sourcePort: edge.sourcePort,
+                    targetPort: edge.targetPort
+                });
+            }
+        });
+        
+        cache.outputs.forEach(edgeId => {
+            const edge = this.edges.get(edgeId);
+            const targetNode = edge && this.nodes.get(edge.target);
+            if (targetNode) {
+                outputs.push({
+                    id: targetNode.id,
+                    type: targetNode.type,
+                    data: targetNode.data,
+                    edgeId: edge.id,
+                    sourcePort: edge.sourcePort,
+                    targetPort: edge.targetPort
+                });
+            }
+        });
+        
+        return {
+            inputs,
+            outputs,
+            inputCount: inputs.length,
+            outputCount: outputs.length
+        };
+    }
+    
+    /**
+     * Get all the nodes connected to a specific node
+     * @param {string} nodeId - Node ID
+     * @param {string} direction - 'input', 'output' or '' for both
+     * @returns {Object} {inputs, outputs}
+     */
+    getConnectedNodes(nodeId, direction = '') {
+        const connectionData = this.getConnectionDataCached(nodeId);
+        
+        return {
+            inputs: direction === 'output' ? [] : connectionData.inputs,
+            outputs: direction === 'input' ? [] : connectionData.outputs
+        };
+    }
+    
+    /**
+     * Metadata for a new, empty workflow
+     * @returns {Object} {name, description, createdAt, updatedAt}
+     */
+    createMetadata() {
+        const now = new Date().toISOString();
+        return { name: '', description: '', createdAt: now, updatedAt: now };
+    }
+    
+    /**
+     * Record a change in metadata.updatedAt
+     */
+    touch() {
+        this.metadata.updatedAt = new Date().toISOString();
+    }
+    
+    /**
+     * Merge fields into the workflow metadata
+     * @param {Object} metadata - {name, description, ...custom fields}
+     */
+    setMetadata(metadata) {
+        Object.assign(this.metadata, metadata);
+        this.touch();
+    }
+    
+    /**
+     * Upgrade a workflow document to the current schema and node type versions
+     * Node data older than its type's version goes through the type's migrate().
+     * @param {Object} data - Workflow data
+     * @param {Object} options - {allowNewer: load documents of a newer schema as they are}
+     * @returns {Object} Upgraded copy
+     * @throws {Error} If schemaVersion is invalid, or newer than supported without allowNewer
+     */
+    migrateWorkflow(data, options = {}) {
+        const migrated = this.migrateSchema(data, options);
+        migrated.nodes = (migrated.nodes || []).map(nodeData => this.migrateNode(nodeData));
+        
+        return migrated;
+    }
+    
+    /**
+     * Upgrade a workflow document to the current schema, leaving node data as it is
+     * Same arguments as migrateWorkflow().
+     * @returns {Object} Upgraded copy
+     */
+    migrateSchema(data, options = {}) {
+        const reason = this.getSchemaError(data);
+        if (reason) throw new Error(`SwanGraph: ${reason}`);
+        
+        let version = data.schemaVersion === undefined ? 0 : data.schemaVersion;
+        if (version > SCHEMA_VERSION && !options.allowNewer) {
+            throw new Error(`SwanGraph: Workflow schema ${version} is newer than supported (${SCHEMA_VERSION})`);
+        }
+        
+        let migrated = { ...data };
+        while (version < SCHEMA_VERSION) {
+            migrated = SCHEMA_MIGRATIONS[version](migrated);
+            version++;
+        }
+        migrated.schemaVersion = version;
+        
+        return migrated;
+    }
+    
+    /**
+     * Explain why the schemaVersion of a document can't be read
+     * Documents without one predate it (version 0).
+     * @param {Object} data - Workflow data
+     * @returns {string|null} Reason, or null if it is a non-negative integer or missing
+     */
+    getSchemaError(data) {
+        const version = data.schemaVersion;
+        if (version === undefined || (Number.isInteger(version) && version >= 0)) return null;
+        return `Invalid schemaVersion ${JSON.stringify(version)}; expected a non-negative integer`;
+    }
+    
+    /**
+     * Upgrade the data of a stored node to its type's current version
+     * @param {Object} nodeData - Serialised node ({type, version, data, ...})
+     * @returns {Object} Upgraded copy
+     */
+    migrateNode(nodeData) {
+        if (!nodeData || typeof nodeData !== 'object') return nodeData;
+        const nodeType = this.nodeTypes.get(nodeData.type);
+        const fromVersion = nodeData.version || 1;
+        if (!nodeType || fromVersion === nodeType.version) return nodeData;
+        
+        if (fromVersion > nodeType.version) {
+            console.warn(`SwanGraph: Node "${nodeData.id}" has ${nodeData.type} version ${fromVersion}, newer than ${nodeType.version}`);
+            return nodeData;
+        }
+        if (!nodeType.migrate) {
+            console.warn(`SwanGraph: Node type "${nodeData.type}" has no migrate() from version ${fromVersion}`);
+            return { ...nodeData, version: nodeType.version };
+        }
+        
+        return {
+            ...nodeData,
+            version: nodeType.version,
+            data: nodeType.migrate({ ...(nodeData.data || {}) }, fromVersion)
+        };
+    }
+    
+    /**
+     * Serialise the graph
+     * @returns {Object} {schemaVersion, metadata, nodes, edges}
+     */
+    toJSON() {
+        return {
+            schemaVersion: SCHEMA_VERSION,
+            metadata: { ...this.metadata },
+            nodes: Array.from(this.nodes.values()).map(node => ({
+                id: node.id,
+                type: node.type,
+                version: this.getNodeType(node.type).version,
+                parentId: node.parentId,
+                position: { ...node.position },
+                data: { ...node.data }
+            })),
+            edges: Array.from(this.edges.values()).map(edge => ({
+                id: edge.id,
+                source: edge.source,
+                target: edge.target,
+                sourcePort: edge.sourcePort,
+                targetPort: edge.targetPort,
+                style: { ...edge.style },
+                data: { ...edge.data }
+            }))
+        };
+    }
+    
+    /**
+     * Check a workflow document before loading it
+     * Problems carry JSON paths (e.g. $.edges[2].target). In strict mode (default)
+     * unknown node types are errors; in lenient mode they load as 'default' with a
+     * warning. Invalid nodes and edges are listed in dropped and left out of workflow.
+     * @param {Object} data - Workflow data
+     * @param {Object} options - {mode: 'strict' | 'lenient', allowNewer: accept a newer schemaVersion with a warning}
+     * @returns {Object} {valid, errors: [{path, message}], warnings, dropped: [{path, id, message}],
+     *   workflow: the migrated document without the dropped items (null if unusable)}
+     */
+    checkWorkflow(data, options = {}) {
+        const lenient = options.mode === 'lenient';
+        const report = { valid: false, errors: [], warnings: [], dropped: [], workflow: null };
+        const error = (path, message) => report.errors.push({ path, message });
+        const warning = (path, message) => report.warnings.push({ path, message });
+        const drop = (path, id, message) => {
+            error(path, message);
+            report.dropped.push({ path, id, message });
+        };
+        
+        // Problems with the document itself leave nothing to import
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            error('$', 'Workflow must be an object');
+            return report;
+        }
+        ['nodes', 'edges'].forEach(key => {
+            if (data[key] !== undefined && !Array.isArray(data[key])) error(`$.${key}`, `"${key}" must be an array`);
+        });
+        const metadata = data.metadata;
+        if (metadata !== undefined && (!metadata || typeof metadata !== 'object' || Array.isArray(metadata))) {
+            error('$.metadata', 'Metadata must be an object');
+        }
+        const schemaError = this.getSchemaError(data);
+        if (schemaError) error('$.schemaVersion', schemaError);
+        if (report.errors.length > 0) return report;
+        
+        // Newer documents may hold fields this version doesn't know; only allowNewer loads them
+        if (data.schemaVersion > SCHEMA_VERSION) {
+            const message = `Workflow schema ${data.schemaVersion} is newer than supported (${SCHEMA_VERSION})`;
+            if (!options.allowNewer) {
+                error('$.schemaVersion', message);
+                return report;
+            }
+            warning('$.schemaVersion', `${message}; loaded as is`);
+        }
+        
+        // Replay the document on a scratch graph with the same types and rules
+        const workflow = this.migrateSchema(data, { allowNewer: true });
+        const scratch = new SwanGraph(this.options);
+        scratch.nodeTypes = this.nodeTypes;
+        scratch.typeConverters = this.typeConverters;
+        
+        const nodes = [];
+        (workflow.nodes || []).forEach((nodeData, index) => {
+            const path = `$.nodes[${index}]`;
+            if (!nodeData || typeof nodeData !== 'object') return drop(path, null, 'Node must be an object');
+            if (typeof nodeData.id !== 'string' || !nodeData.id) return drop(`${path}.id`, null, 'Node ID must be a non-empty string');
+            if (scratch.nodes.has(nodeData.id)) return drop(`${path}.id`, nodeData.id, `Duplicate node ID "${nodeData.id}"`);
+            
+            // A failing migrate() only costs its own node
+            try {
+                nodeData = this.migrateNode(nodeData);
+            } catch (e) {
+                return drop(path, nodeData.id, `Could not migrate ${nodeData.type} data from version ${nodeData.version || 1}: ${e.message}`);
+            }
+            
+            if (!this.nodeTypes.has(nodeData.type)) {
+                const message = nodeData.type ? `Unknown node type "${nodeData.type}"` : 'Node type is missing';
+                if (lenient) {
+                    warning(`${path}.type`, `${message}, shown as "default"`);
+                } else {
+                    error(`${path}.type`, message);
+                }
+            }
+            
+            let data = nodeData.data;
+            if (data !== undefined && (!data || typeof data !== 'object' || Array.isArray(data))) {
+                warning(`${path}.data`, 'Node data must be an object; replaced with {}');
+                data = {};
+            }
+            
+            scratch.addNode(nodeData.type || 'default', nodeData.position || {}, data, nodeData.id);
+            nodes.push({ ...nodeData, type: nodeData.type || 'default', data, path });
+        });
+        
+        // Parents may be listed after their children
+        nodes.forEach(nodeData => {
+            if (!nodeData.parentId) return;
+            if (scratch.canSetNodeParent(nodeData.id, nodeData.parentId)) {
+                scratch.setNodeParent(nodeData.id, nodeData.parentId);
+            } else {
+                warning(`${nodeData.path}.parentId`, `"${nodeData.parentId}" is not a group this node can be placed in; moved to the top level`);
+                nodeData.parentId = null;
+            }
+        });
+        
+        const edges = [];
+        (workflow.edges || []).forEach((edgeData, index) => {
+            const path = `$.edges[${index}]`;
+            if (!edgeData || typeof edgeData !== 'object') return drop(path, null, 'Edge must be an object');
+            
+            const id = edgeData.id;
+            if (id !== undefined && (typeof id !== 'string' || !id)) return drop(`${path}.id`, null, 'Edge ID must be a non-empty string');
+            if (id && scratch.edges.has(id)) return drop(`${path}.id`, id, `Duplicate edge ID "${id}"`);
+            if (!scratch.nodes.has(edgeData.source)) return drop(`${path}.source`, id || null, `Unknown source node "${edgeData.source}"`);
+            if (!scratch.nodes.has(edgeData.target)) return drop(`${path}.target`, id || null, `Unknown target node "${edgeData.target}"`);
+            
+            // Style and data are spread into the edge, so only objects will do
+            const fields = {};
+            ['style', 'data'].forEach(key => {
+                const value = edgeData[key];
+                if (value === undefined || (value && typeof value === 'object' && !Array.isArray(value))) return;
+                if (lenient) {
+                    warning(`${path}.${key}`, `Edge ${key} must be an object; dropped`);
+                    fields[key] = undefined;
+                } else {
+                    error(`${path}.${key}`, `Edge ${key} must be an object`);
+                }
+            });
+            
+            const options = { id, sourcePort: edgeData.sourcePort, targetPort: edgeData.targetPort };
+            const sourcePort = edgeData.sourcePort || scratch.getDefaultPort(edgeData.source, 'output');
+            const targetPort = edgeData.targetPort || scratch.getDefaultPort(edgeData.target, 'input');
+            if (scratch.findEdge(edgeData.source, sourcePort, edgeData.target, targetPort)) {
+                warning(path, 'Duplicate connection skipped');
+                report.dropped.push({ path, id: id || null, message: 'Duplicate connection' });
+                return;
+            }
+            
+            const reason = scratch.getEdgeError(edgeData.source, edgeData.target, options);
+            if (reason) return drop(path, id || null, reason);
+            
+            scratch.addEdge(edgeData.source, edgeData.target, options);
+            edges.push({ ...edgeData, ...fields });
+        });
+        
+        report.valid = report.errors.length === 0;
+        report.workflow = {
+            ...workflow,
+            nodes: nodes.map(({ path, ...nodeData }) => nodeData),
+            edges
+        };
+        return report;
+    }
+    
+    /**
+     * Replace the graph with workflow data
+     * Older documents and node data are migrated first. Edges that break the
+     * connection rules are skipped (with a warning), as in the editor.
+     * @param {Object} data - Workflow data ({schemaVersion, metadata, nodes, edges})
+     * @returns {SwanGraph} this
+     */
+    load(data) {
+        data = this.migrateWorkflow(data);
+        this.clear();
+        
+        (data.nodes || []).forEach(nodeData => {
+            this.addNode(nodeData.type, nodeData.position, nodeData.data, nodeData.id);
+        });
+        
+        // Parents may be listed after their children
+        (data.nodes || []).forEach(nodeData => {
+            if (nodeData.parentId) this.setNodeParent(nodeData.id, nodeData.parentId);
+        });
+        
+        (data.edges || []).forEach(edgeData => {
+            this.addEdge(edgeData.source, edgeData.target, {
+                id: edgeData.id,
+                sourcePort: edgeData.sourcePort,
+                targetPort: edgeData.targetPort,
+                style: edgeData.style,
+                data: edgeData.data
+            });
+        });
+        
+        // Loading is not an edit: keep the stored timestamps
+        this.metadata = { ...this.metadata, ...data.metadata };
+        
+        return this;
+    }
+    
+    /**
+     * Remove all nodes and edges and reset ID counters and metadata
+     */
+    clear() {
+        this.nodes.clear();
+        this.edges.clear();
+        this.connectionCache.clear();
+        this.nodeIdCounter = 1;
+        this.edgeIdCounter = 1;
+        this.metadata = this.createMetadata();
+    }
+}
+    
\ No newline at end of file
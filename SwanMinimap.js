@@ -0,0 +1,439 @@
+/**
+ * SwanMinimap.js
+ * Overview panel for SwanEditor: a scaled-down view of every node and edge with the
+ * visible area outlined. Click or drag inside it to move the view. Install it as a
+ * plugin (editor.use(new SwanMinimap())) or with the editor's minimap option.
+ *
+ * @author Divyajeet Pala
+ * @version 1.0.0
+ * @license MIT
+*/
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+export default class SwanMinimap {
+    /**
+     * @param {Object} options - Minimap options
+     * @param {number} options.width - Panel width in px (default 200)
+     * @param {number} options.height - Panel height in px (default 150)
+     * @param {string} options.position - 'bottom-right' (default), 'bottom-left', 'top-right' or 'top-left'
+     * @param {number} options.padding - Margin around the content in world units (default 50)
+     */
+    constructor(options = {}) {
+        this.name = 'minimap';
+        this.options = {
+            width: 200,
+            height: 150,
+            position: 'bottom-right',
+            padding: 50,
+            ...options
+        };
+        
+        this.editor = null;
+        this.element = null;
+        this.svg = null;
+        
+        // Shapes and world boxes drawn so far, updated only where something changed
+        this.nodeShapes = new Map();    // nodeId -> <rect>
+        this.nodeBoxes = new Map();     // nodeId -> {minX, minY, maxX, maxY}
+        this.edgeShapes = new Map();    // edgeId -> <path>
+        this.viewBox = null;            // [x, y, width, height] in world units
+        
+        // Work left for the next frame
+        this.dirtyAll = true;
+        this.dirtyNodes = new Set();
+        
+        this.dragState = null;          // {offsetX, offsetY} while navigating
+    }
+    
+    /**
+     * Plugin entry point (see SwanEditor.use)
+     */
+    install(context, options = {}) {
+        this.editor = context.editor;
+        Object.assign(this.options, options);
+        SwanMinimap.injectStyles();
+        
+        this.element = document.createElement('div');
+        this.element.className = `workflow-minimap ${this.options.position}`;
+        this.element.style.width = `${this.options.width}px`;
+        this.element.style.height = `${this.options.height}px`;
+        
+        this.svg = document.createElementNS(SVG_NS, 'svg');
+        this.svg.setAttribute('preserveAspectRatio', 'xMidYMid meet');
+        this.edgeLayer = document.createElementNS(SVG_NS, 'g');
+        this.nodeLayer = document.createElementNS(SVG_NS, 'g');
+        this.viewportRect = document.createElementNS(SVG_NS, 'rect');
+        this.viewportRect.setAttribute('class', 'workflow-minimap-viewport');
+        this.svg.append(this.edgeLayer, this.nodeLayer, this.viewportRect);
+        this.element.appendChild(this.svg);
+        context.layers.overlay.appendChild(this.element);
+        
+        // Redraws happen in the editor's edge update frame, so drags cost one pass per frame
+        context.on('renderFrame', nodeIds => this.render(nodeIds));
+        ['nodeCreate', 'nodeDelete', 'edgeCreate', 'edgeDelete', 'edgeReconnect', 'groupCollapse', 'groupExpand',
+            'nodeParentChange', 'selectionChange', 'themeChange'].forEach(event => {
+            context.on(event, () => this.invalidate());
+        });
+        context.on('nodeUpdate', node => this.invalidate([node.id]));
+        context.on('viewportChange', () => this.invalidate([]));
+        
+        this.handleMouseDown = this.handleMouseDown.bind(this);
+        this.handleMouseMove = this.handleMouseMove.bind(this);
+        this.handleMouseUp = this.handleMouseUp.bind(this);
+        this.handleResize = () => this.invalidate([]);
+        this.element.addEventListener('mousedown', this.handleMouseDown);
+        document.addEventListener('mousemove', this.handleMouseMove);
+        document.addEventListener('mouseup', this.handleMouseUp);
+        window.addEventListener('resize', this.handleResize);
+        
+        this.invalidate();
+    }
+    
+    /**
+     * Plugin teardown; the overlay layer itself is removed by the editor
+     */
+    uninstall() {
+        document.removeEventListener('mousemove', this.handleMouseMove);
+        document.removeEventListener('mouseup', this.handleMouseUp);
+        window.removeEventListener('resize', this.handleResize);
+        
+        this.nodeShapes.clear();
+        this.nodeBoxes.clear();
+        this.edgeShapes.clear();
+        this.editor = null;
+    }
+    
+    /**
+     * Queue a redraw for the next frame
+     * @param {Array} nodeIds - Nodes to redraw (with their edges); omit to redraw everything,
+     *   pass [] when only the view moved
+     */
+    invalidate(nodeIds = null) {
+        if (!this.editor) return;
+        
+        if (nodeIds) {
+            nodeIds.forEach(id => this.dirtyNodes.add(id));
+        } else {
+            this.dirtyAll = true;
+        }
+        this.editor.scheduleEdgeUpdate();
+    }
+    
+    /**
+     * Redraw what changed since the last frame
+     * @param {Array} movedIds - Nodes whose edges the editor just redrew
+     */
+    render(movedIds = []) {
+        if (this.dirtyAll) {
+            this.renderAll();
+        } else {
+            const nodeIds = new Set([...movedIds, ...this.dirtyNodes]);
+            nodeIds.forEach(id => this.renderNode(id));
+            
+            if (nodeIds.size > 0) {
+                this.editor.edges.forEach(edge => {
+                    if (nodeIds.has(edge.source) || nodeIds.has(edge.target)) this.renderEdge(edge);
+                });
+            }
+        }
+        
+        this.dirtyAll = false;
+        this.dirtyNodes.clear();
+        this.renderViewport();
+    }
+    
+    /**
+     * Redraw every node and edge, dropping shapes of deleted ones
+     */
+    renderAll() {
+        const { nodes, edges } = this.editor;
+        
+        this.nodeShapes.forEach((shape, id) => {
+            if (!nodes.has(id)) this.removeNode(id);
+        });
+        this.edgeShapes.forEach((shape, id) => {
+            if (!edges.has(id)) {
+                shape.remove();
+                this.edgeShapes.delete(id);
+            }
+        });
+        
+        // Groups first so their members are drawn on top
+        const ids = Array.from(nodes.keys());
+        ids.sort((a, b) => this.editor.getNodeDepth(a) - this.editor.getNodeDepth(b));
+        ids.forEach(id => {
+            this.renderNode(id);
+            const shape = this.nodeShapes.get(id);
+            if (shape) this.nodeLayer.appendChild(shape);
+        });
+        edges.forEach(edge => this.renderEdge(edge));
+    }
+    
+    /**
+     * Draw a node at its current position and size
+     */
+    renderNode(nodeId) {
+        const node = this.editor.nodes.get(nodeId);
+        if (!node || this.editor.isNodeHidden(nodeId)) {
+            this.removeNode(nodeId);
+            return;
+        }
+        
+        let shape = this.nodeShapes.get(nodeId);
+        if (!shape) {
+            shape = document.createElementNS(SVG_NS, 'rect');
+            this.nodeShapes.set(nodeId, shape);
+            this.nodeLayer.appendChild(shape);
+        }
+        
+        const box = this.editor.getNodesBounds([nodeId]);
+        this.nodeBoxes.set(nodeId, box);
+        shape.setAttribute('x', box.minX);
+        shape.setAttribute('y', box.minY);
+        shape.setAttribute('width', box.width);
+        shape.setAttribute('height', box.height);
+        
+        let className = 'workflow-minimap-node';
+        if (this.editor.isGroup(nodeId)) className += ' group';
+        if (this.editor.selectedNodes.has(nodeId)) className += ' selected';
+        shape.setAttribute('class', className);
+    }
+    
+    /**
+     * Remove a node's shape
+     */
+    removeNode(nodeId) {
+        const shape = this.nodeShapes.get(nodeId);
+        if (shape) shape.remove();
+        this.nodeShapes.delete(nodeId);
+        this.nodeBoxes.delete(nodeId);
+    }
+    
+    /**
+     * Draw an edge by copying the path the editor computed
+     */
+    renderEdge(edge) {
+        let shape = this.edgeShapes.get(edge.id);
+        const d = edge.element && edge.element.getAttribute('d');
+        
+        if (!d || this.editor.isNodeHidden(edge.source) || this.editor.isNodeHidden(edge.target)) {
+            if (shape) shape.remove();
+            this.edgeShapes.delete(edge.id);
+            return;
+        }
+        
+        if (!shape) {
+            shape = document.createElementNS(SVG_NS, 'path');
+            shape.setAttribute('class', 'workflow-minimap-edge');
+            this.edgeShapes.set(edge.id, shape);
+            this.edgeLayer.appendChild(shape);
+        }
+        shape.setAttribute('d', d);
+    }
+    
+    /**
+     * Outline the visible area and fit the view box around it and the content
+     */
+    renderViewport() {
+        const visible = this.getVisibleRect();
+        this.viewportRect.setAttribute('x', visible.x);
+        this.viewportRect.setAttribute('y', visible.y);
+        this.viewportRect.setAttribute('width', visible.width);
+        this.viewportRect.setAttribute('height', visible.height);
+        
+        let minX = visible.x, minY = visible.y;
+        let maxX = visible.x + visible.width, maxY = visible.y + visible.height;
+        this.nodeBoxes.forEach(box => {
+            minX = Math.min(minX, box.minX);
+            minY = Math.min(minY, box.minY);
+            maxX = Math.max(maxX, box.maxX);
+            maxY = Math.max(maxY, box.maxY);
+        });
+        
+        const { padding } = this.options;
+        this.viewBox = [minX - padding, minY - padding, maxX - minX + padding * 2, maxY - minY + padding * 2];
+        this.svg.setAttribute('viewBox', this.viewBox.join(' '));
+    }
+    
+    /**
+     * Get the part of the world visible in the canvas
+     * @returns {Object} {x, y, width, height} in world units
+     */
+    getVisibleRect() {
+        const { x, y, zoom } = this.editor.getViewport();
+        return {
+            x: -x / zoom,
+            y: -y / zoom,
+            width: this.editor.canvas.clientWidth / zoom,
+            height: this.editor.canvas.clientHeight / zoom
+        };
+    }
+    
+    /**
+     * Convert a client point inside the minimap to world coordinates
+     * @returns {Object|null} {x, y}, or null before the first render
+     */
+    clientToWorld(clientX, clientY) {
+        if (!this.viewBox) return null;
+        
+        const rect = this.svg.getBoundingClientRect();
+        const [x, y, width, height] = this.viewBox;
+        const scale = Math.min(rect.width / width, rect.height / height);
+        if (!scale) return null;
+        
+        // xMidYMid meet centres the view box in the panel
+        return {
+            x: x + (clientX - rect.left - (rect.width - width * scale) / 2) / scale,
+            y: y + (clientY - rect.top - (rect.height - height * scale) / 2) / scale
+        };
+    }
+    
+    /**
+     * Centre the canvas on a world point
+     */
+    centerOn(point) {
+        const { zoom } = this.editor.getViewport();
+        this.editor.setViewport({
+            x: this.editor.canvas.clientWidth / 2 - point.x * zoom,
+            y: this.editor.canvas.clientHeight / 2 - point.y * zoom
+        });
+    }
+    
+    /**
+     * Start navigating: a click outside the view outline jumps there, a drag on it keeps the grab point
+     */
+    handleMouseDown(e) {
+        if (e.button !== 0) return;
+        e.preventDefault();
+        e.stopPropagation();
+        
+        const point = this.clientToWorld(e.clientX, e.clientY);
+        if (!point) return;
+        
+        const visible = this.getVisibleRect();
+        const inside = point.x >= visible.x && point.x <= visible.x + visible.width &&
+            point.y >= visible.y && point.y <= visible.y + visible.height;
+        this.dragState = inside
+            ? { offsetX: point.x - (visible.x + visible.width / 2), offsetY: point.y - (visible.y + visible.height / 2) }
+            : { offsetX: 0, offsetY: 0 };
+        
+        this.element.classList.add('dragging');
+        this.centerOn({ x: point.x - this.dragState.offsetX, y: point.y - this.dragState.offsetY });
+    }
+    
+    /**
+     * Follow the pointer while navigating
+     */
+    handleMouseMove(e) {
+        if (!this.dragState) return;
+        
+        const point = this.clientToWorld(e.clientX, e.clientY);
+        if (point) this.centerOn({ x: point.x - this.dragState.offsetX, y: point.y - this.dragState.offsetY });
+    }
+    
+    /**
+     * Stop navigating
+     */
+    handleMouseUp() {
+        if (!this.dragState) return;
+        this.dragState = null;
+        this.element.classList.remove('dragging');
+    }
+    
+    /**
+     * Inject the minimap styles once per document (themed by the editor's .dark class)
+     */
+    static injectStyles() {
+        if (document.getElementById('workflow-minimap-styles')) return;
+        
+        const style = document.createElement('style');
+        style.id = 'workflow-minimap-styles';
+        style.textContent = `
+            .workflow-minimap {
+                position: absolute;
+                overflow: hidden;
+                pointer-events: auto;
+                cursor: pointer;
+                background: rgba(255, 255, 255, 0.92);
+                border: 1px solid #e5e7eb;
+                border-radius: 6px;
+                box-shadow: 0 4px 12px rgba(0,0,0,0.1);
+            }
+            
+            .workflow-minimap.bottom-right { right: 16px; bottom: 16px; }
+            .workflow-minimap.bottom-left { left: 16px; bottom: 16px; }
+            .workflow-minimap.top-right { right: 16px; top: 16px; }
+            .workflow-minimap.top-left { left: 16px; top: 16px; }
+            
+            .workflow-minimap.dragging {
+                cursor: grabbing;
+            }
+            
+            .workflow-minimap svg {
+                display: block;
+                width: 100%;
+                height: 100%;
+            }
+            
+            .workflow-minimap-node {
+                fill: #d1d5db;
+            }
+            
+            .workflow-minimap-node.group {
+                fill: rgba(156, 163, 175, 0.15);
+                stroke: #9ca3af;
+                stroke-width: 1;
+                vector-effect: non-scaling-stroke;
+            }
+            
+            .workflow-minimap-node.selected {
+                fill: #3b82f6;
+            }
+            
+            .workflow-minimap-edge {
+                fill: none;
+                stroke: #9ca3af;
+                stroke-width: 1;
+                vector-effect: non-scaling-stroke;
+            }
+            
+            .workflow-minimap-viewport {
+                fill: rgba(59, 130, 246, 0.08);
+                stroke: #3b82f6;
+                stroke-width: 1.5;
+                vector-effect: non-scaling-stroke;
+            }
+            
+            .dark .workflow-minimap {
+                background: rgba(30, 41, 59, 0.92);
+                border-color: #334155;
+                box-shadow: 0 4px 12px rgba(0,0,0,0.4);
+            }
+            
+            .dark .workflow-minimap-node {
+                fill: #475569;
+            }
+            
+            .dark .workflow-minimap-node.group {
+                fill: rgba(100, 116, 139, 0.15);
+                stroke: #64748b;
+            }
+            
+            .dark .workflow-minimap-node.selected {
+                fill: #60a5fa;
+            }
+            
+            .dark .workflow-minimap-edge {
+                stroke: #64748b;
+            }
+            
+            .dark .workflow-minimap-viewport {
+                fill: rgba(96, 165, 250, 0.1);
+                stroke: #60a5fa;
+            }
+        `;
+        
+        document.head.appendChild(style);
+    }
+}
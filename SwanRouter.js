@@ -0,0 +1,362 @@
+/**
+ * SwanRouter.js
+ * Edge path geometry for SwanEditor: bezier (default), straight, step (orthogonal with
+ * rounded corners) and smart (orthogonal, steering around node boxes). Back-edges and
+ * self-loops swing around the nodes instead of cutting through them.
+ *
+ * @author Divyajeet Pala
+ * @version 1.0.0
+ * @license MIT
+*/
+
+// Outward direction of each port side
+const DIRECTIONS = {
+    left: { x: -1, y: 0 },
+    right: { x: 1, y: 0 },
+    top: { x: 0, y: -1 },
+    bottom: { x: 0, y: 1 }
+};
+
+// How far beyond its endpoints a smart route looks for obstacles
+const SMART_REACH = 200;
+
+export default class SwanRouter {
+    /**
+     * Compute an edge path
+     * @param {string} type - 'bezier' | 'straight' | 'step' | 'smart' (unknown types use bezier)
+     * @param {Object} geometry - Endpoints and surroundings, all in world coordinates
+     * @param {Object} geometry.source - {x, y, side, box} port center, port side and node box
+     * @param {Object} geometry.target - {x, y, side, box}
+     * @param {boolean} geometry.loop - Source and target are the same node
+     * @param {Array} geometry.obstacles - Node boxes to avoid (smart only)
+     * @param {number} geometry.radius - Corner radius of orthogonal paths (default 8)
+     * @param {number} geometry.offset - Distance edges run straight out of a port (default 20)
+     * @returns {Object} {d: SVG path data, label: {x, y} where the label sits}
+     */
+    static route(type, geometry) {
+        const options = {
+            ...geometry,
+            radius: typeof geometry.radius === 'number' ? geometry.radius : 8,
+            offset: typeof geometry.offset === 'number' ? geometry.offset : 20,
+            obstacles: geometry.obstacles || []
+        };
+        options.source = { ...geometry.source, side: DIRECTIONS[geometry.source.side] ? geometry.source.side : 'right' };
+        options.target = { ...geometry.target, side: DIRECTIONS[geometry.target.side] ? geometry.target.side : 'left' };
+        
+        switch (type) {
+            case 'straight':
+                return options.loop
+                    ? SwanRouter.polyline(SwanRouter.stepPoints(options), options.radius)
+                    : SwanRouter.straight(options);
+            case 'step':
+                return SwanRouter.polyline(SwanRouter.stepPoints(options), options.radius);
+            case 'smart':
+                return SwanRouter.polyline(SwanRouter.smartPoints(options) || SwanRouter.stepPoints(options), options.radius);
+            default:
+                return SwanRouter.bezier(options);
+        }
+    }
+    
+    /**
+     * Straight line between the ports
+     */
+    static straight({ source, target }) {
+        return {
+            d: `M ${source.x} ${source.y} L ${target.x} ${target.y}`,
+            label: { x: (source.x + target.x) / 2, y: (source.y + target.y) / 2 }
+        };
+    }
+    
+    /**
+     * Cubic bezier leaving and entering along the port sides
+     */
+    static bezier(options) {
+        const { source, target } = options;
+        const out = DIRECTIONS[source.side];
+        const into = DIRECTIONS[target.side];
+        
+        if (SwanRouter.needsDetour(options, 0)) return SwanRouter.bezierDetour(options);
+        
+        const dx = target.x - source.x;
+        const dy = target.y - source.y;
+        const curvature = Math.min(Math.sqrt(dx * dx + dy * dy) * 0.5, 100);
+        const c1 = { x: source.x + out.x * curvature, y: source.y + out.y * curvature };
+        const c2 = { x: target.x + into.x * curvature, y: target.y + into.y * curvature };
+        
+        // Bezier at t = 0.5
+        return {
+            d: `M ${source.x} ${source.y} C ${c1.x} ${c1.y}, ${c2.x} ${c2.y}, ${target.x} ${target.y}`,
+            label: {
+                x: 0.125 * source.x + 0.375 * c1.x + 0.375 * c2.x + 0.125 * target.x,
+                y: 0.125 * source.y + 0.375 * c1.y + 0.375 * c2.y + 0.125 * target.y
+            }
+        };
+    }
+    
+    /**
+     * Two curves through a lane beside the nodes, for back-edges and self-loops
+     */
+    static bezierDetour(options) {
+        const { source, target, offset } = options;
+        const out = DIRECTIONS[source.side];
+        const into = DIRECTIONS[target.side];
+        const main = out.x !== 0 ? 'x' : 'y';
+        const cross = main === 'x' ? 'y' : 'x';
+        const point = (mainValue, crossValue) => ({ [main]: mainValue, [cross]: crossValue });
+        
+        const lane = SwanRouter.getLane(options, cross);
+        const exit = source[main] + out[main] * offset * 2;
+        const entry = target[main] + into[main] * offset * 2;
+        const middle = point((exit + entry) / 2, lane);
+        const c1 = point(exit, source[cross]);
+        const c2 = point(exit, lane);
+        const c3 = point(entry, lane);
+        const c4 = point(entry, target[cross]);
+        
+        return {
+            d: `M ${source.x} ${source.y} C ${c1.x} ${c1.y}, ${c2.x} ${c2.y}, ${middle.x} ${middle.y} ` +
+                `C ${c3.x} ${c3.y}, ${c4.x} ${c4.y}, ${target.x} ${target.y}`,
+            label: middle
+        };
+    }
+    
+    /**
+     * Orthogonal route: out of the source port, across, into the target port
+     * @returns {Array} Corner points
+     */
+    static stepPoints(options) {
+        const { source, target, offset } = options;
+        const out = DIRECTIONS[source.side];
+        const into = DIRECTIONS[target.side];
+        const main = out.x !== 0 ? 'x' : 'y';
+        const cross = main === 'x' ? 'y' : 'x';
+        const point = (mainValue, crossValue) => ({ [main]: mainValue, [cross]: crossValue });
+        
+        const start = { x: source.x + out.x * offset, y: source.y + out.y * offset };
+        const end = { x: target.x + into.x * offset, y: target.y + into.y * offset };
+        
+        // Target port faces across the main axis: one corner where the two legs meet
+        if (into[main] === 0) {
+            const ahead = (end[main] - start[main]) * out[main] >= 0;
+            const corner = ahead ? point(end[main], start[cross]) : point(start[main], end[cross]);
+            return [source, start, corner, end, target];
+        }
+        
+        // The straight stubs out of both ports need room between them
+        if (SwanRouter.needsDetour(options, offset * 2)) {
+            const lane = SwanRouter.getLane(options, cross);
+            return [source, start, point(start[main], lane), point(end[main], lane), end, target];
+        }
+        
+        // Facing ports meet halfway; ports facing the same way meet beyond the further one
+        const turn = into[main] === -out[main]
+            ? (start[main] + end[main]) / 2
+            : (out[main] > 0 ? Math.max : Math.min)(start[main], end[main]);
+        return [source, point(turn, source[cross]), point(turn, target[cross]), target];
+    }
+    
+    /**
+     * Area in which a node box can change the smart route between two ports
+     * @param {Object} source - {x, y}
+     * @param {Object} target - {x, y}
+     * @param {number} offset - Same as for route()
+     * @returns {Object} {minX, minY, maxX, maxY}
+     */
+    static getSearchRegion(source, target, offset = 20) {
+        // Endpoints step out by offset and boxes are padded by it
+        const pad = SMART_REACH + offset * 2;
+        return {
+            minX: Math.min(source.x, target.x) - pad,
+            minY: Math.min(source.y, target.y) - pad,
+            maxX: Math.max(source.x, target.x) + pad,
+            maxY: Math.max(source.y, target.y) + pad
+        };
+    }
+    
+    /**
+     * Orthogonal route around obstacles: A* over the lines along the (padded) node boxes
+     * @returns {Array|null} Corner points, or null if no route was found
+     */
+    static smartPoints(options) {
+        const { source, target, offset, loop } = options;
+        if (loop) return null;
+        
+        const out = DIRECTIONS[source.side];
+        const into = DIRECTIONS[target.side];
+        const start = { x: source.x + out.x * offset, y: source.y + out.y * offset };
+        const end = { x: target.x + into.x * offset, y: target.y + into.y * offset };
+        
+        // Only boxes near the endpoints matter; the search may roam a little beyond them
+        const region = {
+            minX: Math.min(start.x, end.x) - SMART_REACH,
+            minY: Math.min(start.y, end.y) - SMART_REACH,
+            maxX: Math.max(start.x, end.x) + SMART_REACH,
+            maxY: Math.max(start.y, end.y) + SMART_REACH
+        };
+        // The edge's own nodes are always in the way, whether or not the caller listed them
+        const blocks = [...options.obstacles, source.box, target.box]
+            .filter(Boolean)
+            .map(box => ({ minX: box.minX - offset, minY: box.minY - offset, maxX: box.maxX + offset, maxY: box.maxY + offset }))
+            .filter(box => box.maxX > region.minX && box.minX < region.maxX && box.maxY > region.minY && box.minY < region.maxY);
+        const blocked = (x, y) => blocks.some(box => x > box.minX && x < box.maxX && y > box.minY && y < box.maxY);
+        
+        const unique = values => Array.from(new Set(values)).sort((a, b) => a - b);
+        const xs = unique([start.x, end.x, region.minX, region.maxX, ...blocks.flatMap(box => [box.minX, box.maxX])]);
+        const ys = unique([start.y, end.y, region.minY, region.maxY, ...blocks.flatMap(box => [box.minY, box.maxY])]);
+        const goal = { i: xs.indexOf(end.x), j: ys.indexOf(end.y) };
+        const bend = offset * 2;
+        
+        // States are grid points plus the heading they were reached with (bends cost extra)
+        const key = (i, j, heading) => (j * xs.length + i) * 4 + heading;
+        const steps = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+        const initial = steps.findIndex(([di, dj]) => di === Math.sign(out.x) && dj === Math.sign(out.y));
+        const costs = new Map();
+        const previous = new Map();
+        const open = [];
+        const push = (state, priority) => {
+            open.push({ state, priority });
+            for (let n = open.length - 1; n > 0;) {
+                const parent = (n - 1) >> 1;
+                if (open[parent].priority <= open[n].priority) break;
+                [open[parent], open[n]] = [open[n], open[parent]];
+                n = parent;
+            }
+        };
+        const pop = () => {
+            const top = open[0];
+            const last = open.pop();
+            if (open.length > 0) {
+                open[0] = last;
+                for (let n = 0; ;) {
+                    const left = n * 2 + 1;
+                    const right = left + 1;
+                    let smallest = n;
+                    if (left < open.length && open[left].priority < open[smallest].priority) smallest = left;
+                    if (right < open.length && open[right].priority < open[smallest].priority) smallest = right;
+                    if (smallest === n) break;
+                    [open[smallest], open[n]] = [open[n], open[smallest]];
+                    n = smallest;
+                }
+            }
+            return top;
+        };
+        const estimate = (i, j) => Math.abs(xs[i] - end.x) + Math.abs(ys[j] - end.y);
+        
+        const first = { i: xs.indexOf(start.x), j: ys.indexOf(start.y), heading: initial };
+        costs.set(key(first.i, first.j, first.heading), 0);
+        push(first, estimate(first.i, first.j));
+        
+        let found = null;
+        while (open.length > 0) {
+            const { state } = pop();
+            const { i, j, heading } = state;
+            const cost = costs.get(key(i, j, heading));
+            if (i === goal.i && j === goal.j) {
+                found = state;
+                break;
+            }
+            
+            steps.forEach(([di, dj], nextHeading) => {
+                const ni = i + di;
+                const nj = j + dj;
+                if (ni < 0 || nj < 0 || ni >= xs.length || nj >= ys.length) return;
+                
+                // Grid lines include every box edge, so a segment is clear if its midpoint is
+                if (blocked((xs[i] + xs[ni]) / 2, (ys[j] + ys[nj]) / 2)) return;
+                
+                const nextCost = cost + Math.abs(xs[ni] - xs[i]) + Math.abs(ys[nj] - ys[j]) + (nextHeading === heading ? 0 : bend);
+                const nextKey = key(ni, nj, nextHeading);
+                if (costs.has(nextKey) && costs.get(nextKey) <= nextCost) return;
+                
+                costs.set(nextKey, nextCost);
+                previous.set(nextKey, state);
+                push({ i: ni, j: nj, heading: nextHeading }, nextCost + estimate(ni, nj));
+            });
+        }
+        if (!found) return null;
+        
+        const points = [];
+        for (let state = found; state; state = previous.get(key(state.i, state.j, state.heading))) {
+            points.unshift({ x: xs[state.i], y: ys[state.j] });
+        }
+        return [source, ...points, target];
+    }
+    
+    /**
+     * Whether an edge must go around its nodes: self-loops, and ports facing each other
+     * along one axis with the target less than `room` ahead of the source
+     */
+    static needsDetour({ source, target, loop }, room) {
+        const out = DIRECTIONS[source.side];
+        const into = DIRECTIONS[target.side];
+        if (!out || !into || into.x !== -out.x || into.y !== -out.y) return false;
+        if (loop) return true;
+        
+        const main = out.x !== 0 ? 'x' : 'y';
+        return (target[main] - source[main]) * out[main] < room;
+    }
+    
+    /**
+     * Cross-axis coordinate of the lane a detour runs along: the gap between the two
+     * nodes when there is one, otherwise just past both
+     */
+    static getLane({ source, target, loop, offset }, cross) {
+        const min = cross === 'x' ? 'minX' : 'minY';
+        const max = cross === 'x' ? 'maxX' : 'maxY';
+        const a = source.box || { [min]: source[cross], [max]: source[cross] };
+        const b = target.box || { [min]: target[cross], [max]: target[cross] };
+        
+        if (!loop && a[max] < b[min]) return (a[max] + b[min]) / 2;
+        if (!loop && b[max] < a[min]) return (b[max] + a[min]) / 2;
+        return Math.max(a[max], b[max]) + offset * 2;
+    }
+    
+    /**
+     * Path through corner points with rounded corners
+     * @returns {Object} {d, label: midpoint along the path}
+     */
+    static polyline(points, radius) {
+        // Drop repeated and collinear points
+        const corners = [];
+        points.forEach(point => {
+            const last = corners[corners.length - 1];
+            if (last && last.x === point.x && last.y === point.y) return;
+            const before = corners[corners.length - 2];
+            if (before && (before.x === last.x && last.x === point.x || before.y === last.y && last.y === point.y)) {
+                corners.pop();
+            }
+            corners.push({ x: point.x, y: point.y });
+        });
+        
+        const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+        const toward = (from, to, length) => {
+            const total = Math.hypot(to.x - from.x, to.y - from.y) || 1;
+            return { x: from.x + (to.x - from.x) * length / total, y: from.y + (to.y - from.y) * length / total };
+        };
+        
+        let d = `M ${corners[0].x} ${corners[0].y}`;
+        for (let n = 1; n < corners.length - 1; n++) {
+            const corner = corners[n];
+            const r = Math.min(radius, distance(corners[n - 1], corner) / 2, distance(corner, corners[n + 1]) / 2);
+            const a = toward(corner, corners[n - 1], r);
+            const b = toward(corner, corners[n + 1], r);
+            d += ` L ${a.x} ${a.y} Q ${corner.x} ${corner.y}, ${b.x} ${b.y}`;
+        }
+        const last = corners[corners.length - 1];
+        d += ` L ${last.x} ${last.y}`;
+        
+        // Label halfway along the path
+        const lengths = corners.slice(1).map((point, n) => distance(corners[n], point));
+        let remaining = lengths.reduce((sum, length) => sum + length, 0) / 2;
+        let label = corners[0];
+        for (let n = 0; n < lengths.length; n++) {
+            if (remaining <= lengths[n]) {
+                label = toward(corners[n], corners[n + 1], remaining);
+                break;
+            }
+            remaining -= lengths[n];
+        }
+        
+        return { d, label };
+    }
+}
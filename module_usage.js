@@ -7,7 +7,9 @@
 // 1. BASIC INITIALIZATION
 // ============================================
 
-import SwanEditor from './SwanEditor.js';
+import SwanEditor, { EVENTS } from './SwanEditor.js';
+import SwanGraph from './SwanGraph.js';
+import SwanMinimap from './SwanMinimap.js';
 
 // Simple initialization
 const editor = new SwanEditor('#workflow-container');
@@ -20,7 +22,8 @@ const advancedEditor = new SwanEditor('#advanced-container', {
         color: '#6b7280',
         width: 2,
         dashed: false,
-        animated: false
+        animated: false,
+        path: 'step'                       // 'bezier' (default), 'straight', 'step' or 'smart'
     },
     nodeDefaults: {                        // Default node properties
         width: 200,
@@ -31,17 +34,29 @@ const advancedEditor = new SwanEditor('#advanced-container', {
         width: '100%',
         height: '600px',
         background: 'linear-gradient(to bottom, #f3f4f6, #e5e7eb)',
-        zoomable: false,
-        pannable: true
+        zoomable: true,                    // Ctrl/Cmd + wheel and pinch zoom
+        pannable: true,
+        minZoom: 0.2,
+        maxZoom: 3
     },
+    marqueeSelectEdges: true,              // Drag on empty canvas also selects edges
+    typeCompatibility: {                   // Output data type -> input types it may feed
+        integer: ['number']
+    },
+    allowCycles: false,                    // Reject connections that would close a loop
+    minimap: { position: 'top-right' },    // Overview panel (true for the defaults)
     callbacks: {                           // Event callbacks
         onNodeCreate: (node) => console.log('Node created:', node),
         onNodeDelete: (node) => console.log('Node deleted:', node),
         onNodeUpdate: (node, data) => console.log('Node updated:', node, data),
         onNodeMove: (node) => console.log('Node moved:', node),
         onNodeSelect: (node) => console.log('Node selected:', node),
+        onEdgeSelect: (edge) => console.log('Edge selected:', edge),
+        onSelectionChange: (selection) => console.log('Selection:', selection.nodes, selection.edges),
         onEdgeCreate: (edge) => console.log('Edge created:', edge),
-        onEdgeDelete: (edge) => console.log('Edge deleted:', edge)
+        onEdgeDelete: (edge) => console.log('Edge deleted:', edge),
+        onConnectionRejected: (reason) => console.log('Connection rejected:', reason),
+        canConnect: (source, target, context) => true   // Return false or a reason to veto
     }
 });
 
@@ -125,6 +140,15 @@ editor.registerNodeType('ai-processor', {
     },
     onConnect: (source, target, edge) => {
         console.log(`AI Processor connected: ${source.id} -> ${target.id}`);
+    },
+    // Run by editor.execute(); inputs are keyed by input port ID
+    execute: async (inputs, node, { signal }) => {
+        const response = await fetch('/api/inference', {
+            method: 'POST',
+            body: JSON.stringify({ model: node.data.model, prompt: node.data.prompt, input: inputs.input }),
+            signal
+        });
+        return response.json();
     }
 });
 
@@ -178,6 +202,10 @@ editor.registerNodeType('data-source', {
     style: {
         minWidth: '220px',
         borderColor: '#00a8cc'
+    },
+    execute: async (inputs, node, { signal }) => {
+        const response = await fetch(node.data.connection, { signal });
+        return response.json();
     }
 });
 
@@ -245,8 +273,58 @@ editor.registerNodeType('visualizer', {
     style: {
         minWidth: '240px',
         borderColor: '#f97316'
-    }
+    },
+    execute: async (inputs) => ({ chart: 'created', points: inputs.input })
+});
+
+// Register a condition node with named output ports
+editor.registerNodeType('condition', {
+    template: (node) => `
+        <div class="node-handle"></div>
+        <div class="node-content" style="padding: 16px 48px 16px 16px;">
+            <h3 style="margin: 0; font-size: 14px; font-weight: 600; color: #1f2937;">
+                ${node.data.title || 'Condition'}
+            </h3>
+        </div>
+    `,
+    ports: [
+        'input',
+        { id: 'true', direction: 'output', label: 'True', dataType: 'boolean' },
+        { id: 'false', direction: 'output', label: 'False', dataType: 'boolean', maxEdges: 1 }
+    ],
+    // The port the edge leaves from is passed as 4th argument
+    getEdgeStyle: (node, edgeIndex, targetId, sourcePort) => (
+        sourcePort === 'true'
+            ? { color: '#22c55e', markerColor: 'green' }
+            : { color: '#ef4444', markerColor: 'red', path: 'smart' }   // Steer around nodes in the way
+    ),
+    // With several output ports, return values keyed by port ID; nodes behind
+    // the port that gets nothing are skipped
+    execute: async (inputs, node) => (
+        inputs.input ? { true: inputs.input } : { false: inputs.input }
+    )
+});
+
+// Rich edge labels (next to getEdgeStyle); return null to fall back to edge.data.label
+editor.registerNodeType('batch-source', {
+    ports: ['output'],
+    getEdgeLabel: (edge, sourceNode, targetNode) => `
+        <span style="font-weight: 600;">${edge.data.label || 'Batch'}</span>
+        <span style="margin-left: 4px; padding: 0 6px; border-radius: 8px; background: #dbeafe; color: #1d4ed8;">
+            ${sourceNode.data.batchSize || 100}
+        </span>
+    `
+});
+
+// Typed ports: a 'string' output may only feed a 'number' input through a converter
+editor.registerNodeType('number-input', {
+    ports: [{ id: 'value', direction: 'input', dataType: 'number', label: 'Value' }],
+    // Veto connections with a reason shown to the user
+    canConnect: (source, target, context) => (
+        source.type === 'visualizer' ? 'Charts cannot feed numeric inputs' : true
+    )
 });
+editor.registerTypeConverter('string', 'number', (value) => parseFloat(value));
 
 // ============================================
 // 3. CREATING NODES PROGRAMMATICALLY
@@ -308,6 +386,20 @@ editor.createEdge(aiNode, vizNode, {
     }
 });
 
+// Edge labels are shown at the curve midpoint; double-click a label to edit it inline
+const labelledEdge = editor.createEdge(inputNode, vizNode, { data: { label: 'Raw rows' } });
+editor.updateEdgeData(labelledEdge, { label: 'Raw rows (preview)' });
+
+// Connect specific ports of multi-port nodes
+const conditionNode = editor.createNode('condition', { x: 400, y: 400 }, { title: 'Positive?' });
+editor.createEdge(aiNode, conditionNode);
+editor.createEdge(conditionNode, vizNode, { sourcePort: 'true', targetPort: 'input' });
+
+// Select an edge and drag either end handle to another port to reconnect it (same ID, style
+// and data), or onto empty canvas to disconnect it. The same move from code:
+editor.reconnectEdge(labelledEdge, { target: conditionNode, targetPort: 'input' });
+editor.on(EVENTS.EDGE_RECONNECT, (edge, previous) => console.log(`${edge.id} moved from ${previous.target} to ${edge.target}`));
+
 // ========================================
 // 5. Nodes with re-active connections data
 // ========================================
@@ -391,6 +483,23 @@ export const inputNodeConfig = {
 // 6. WORKFLOW MANAGEMENT
 // ============================================
 
+// Documents carry schemaVersion, metadata and each node's type version:
+// { schemaVersion: 1, metadata: {name, description, createdAt, updatedAt}, nodes, edges, viewport }
+editor.setMetadata({ name: 'Customer insights', description: 'Daily sentiment report' });
+
+// Evolving a node's data shape: bump version and migrate older stored data
+editor.registerNodeType('webhook', {
+    version: 2,
+    migrate: (oldData, fromVersion) => {
+        // v1 stored a single "endpoint" string
+        if (fromVersion < 2) {
+            return { ...oldData, url: oldData.endpoint, method: 'POST' };
+        }
+        return oldData;
+    },
+    ports: ['input', 'output']
+});
+
 // Save workflow to JSON
 function saveWorkflow() {
     const workflowData = editor.getWorkflowData();
@@ -417,14 +526,94 @@ function loadWorkflow() {
         editor.importJSON(savedWorkflow);
     }
     
-    // Or from server
+    // Or from server, rejecting the document if anything is wrong with it
     fetch('/api/workflows/latest')
-        .then(res => res.json())
-        .then(data => {
-            editor.loadWorkflowData(data);
+        .then(res => res.text())
+        .then(json => {
+            const report = editor.importWorkflow(json);  // {mode: 'lenient'} loads what it can
+            if (!report.imported) {
+                // e.g. [{path: '$.edges[3].target', message: 'Unknown target node "node-9"'}]
+                console.error('Workflow rejected:', report.errors);
+            }
+            report.warnings.forEach(({ path, message }) => console.warn(path, message));
         });
 }
 
+// Diagrams as text: Mermaid for docs, Graphviz DOT for tooling
+const mermaid = editor.exportMermaid({ direction: 'TB', shapes: { condition: 'diamond' } });
+const dot = editor.exportDOT();
+
+// Imports replace the workflow and lay it out (neither format has coordinates);
+// typeMap picks node types from Mermaid classes / DOT type attributes, then shapes
+function importArchitectureDoc(text) {
+    const report = editor.importMermaid(text, {
+        typeMap: { diamond: 'condition', cylinder: 'data-source' },
+        defaultType: 'default'
+    });
+    if (!report.imported) console.error('Diagram rejected:', report.errors);
+}
+
+function importFromBackend(dotSource) {
+    return editor.importDOT(dotSource, { typeMap: { box3d: 'ai-processor' } }).imported;
+}
+
+// Export the diagram as an image for docs and tickets (no network assets needed)
+function downloadImage(format = 'svg') {
+    const save = (blob, name) => {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = name;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    };
+    
+    if (format === 'png') {
+        editor.exportPNG({ scale: 2, theme: 'light' }).then(blob => save(blob, 'workflow.png'));
+    } else {
+        const svg = editor.exportSVG({ selectionOnly: editor.getSelection().nodes.length > 0, padding: 32 });
+        save(new Blob([svg], { type: 'image/svg+xml' }), 'workflow.svg');
+    }
+}
+
+// The same graph model runs without a DOM (Node.js backends, tests).
+// editor.graph is the live model the editor renders from.
+function validateOnServer(json) {
+    const graph = SwanGraph.fromJSON(json, {}, (g) => {
+        // Register the same types (ports, limits, canConnect) the browser uses
+        g.registerNodeType('condition', {
+            ports: [
+                { id: 'input', direction: 'input' },
+                { id: 'true', direction: 'output' },
+                { id: 'false', direction: 'output' }
+            ]
+        });
+    });
+    
+    console.log(graph.getConnectionError('node-1', 'output', 'node-2', 'input'));
+    graph.addEdge('node-1', 'node-2');      // Same rules as dragging a connection
+    return graph.toJSON();
+}
+
+// Graph-level validation. Built-in rules: cycles (with allowCycles: false),
+// unreachable, required-inputs (ports with required: true) and required-data
+// (node type requiredData: ['field', ...]). Rules return structured diagnostics.
+editor.registerValidationRule('single-visualizer', (graph) => {
+    const visualizers = Array.from(graph.nodes.values()).filter(node => node.type === 'visualizer');
+    return visualizers.slice(1).map(node => ({
+        severity: 'warning',
+        message: 'Only the first visualizer is shown in reports',
+        nodeId: node.id
+    }));
+});
+
+// Markers appear on the offending nodes and edges; list them in a sidebar
+editor.on(EVENTS.VALIDATE, (diagnostics) => {
+    diagnostics.forEach(({ severity, message, nodeId, edgeId }) => {
+        console.log(`[${severity}] ${nodeId || edgeId}: ${message}`);
+    });
+});
+editor.on(EVENTS.HISTORY_CHANGE, () => editor.validate());
+
 // Clear workflow
 function clearWorkflow() {
     if (confirm('Clear all nodes and connections?')) {
@@ -442,7 +631,26 @@ editor.selectNode(aiNode);
 // Multi-select nodes
 editor.selectNode(inputNode, true);  // true = add to selection
 
-// Select all nodes
+// Select edges (Ctrl/Cmd/Shift-click adds to the selection)
+editor.selectEdge(labelledEdge);
+console.log('Current selection:', editor.getSelection());
+
+// Copy / paste: Ctrl/Cmd + C, X, V use the system clipboard as JSON, so fragments
+// (nodes plus the edges between them) can move between editor tabs and instances.
+// Paste lands at the mouse cursor.
+editor.setSelection({ nodes: [inputNode, aiNode] });
+editor.copySelected();
+editor.paste();                                  // Internal clipboard
+editor.paste(editor.clipboard, { x: 600, y: 400 });
+
+// Toolbar buttons can use the async Clipboard API variants
+editor.copyToClipboard().then(() => editor.pasteFromClipboard());
+
+// Drag on empty canvas for rubber-band selection (Shift adds, Alt subtracts),
+// or set the selection programmatically
+editor.setSelection({ nodes: [inputNode, aiNode], edges: [] });
+
+// Select all nodes and edges
 editor.selectAll();
 
 // Clear selection
@@ -451,94 +659,108 @@ editor.clearSelection();
 // Delete specific node
 editor.deleteNode(vizNode);
 
-// Delete selected nodes
+// Delete selected nodes and edges
 editor.deleteSelected();
 
 // Center view on all nodes
 editor.centerView();
 
+// Groups: drag nodes into / out of a group; moving a group moves its contents.
+// A collapsed group shows one proxy port per edge crossing its border.
+const preprocessing = editor.createGroup([inputNode, aiNode], { title: 'Preprocessing' });
+editor.collapseGroup(preprocessing);
+editor.expandGroup(preprocessing);
+editor.setNodeParent(vizNode, preprocessing);   // null moves it back to the top level
+editor.ungroup(preprocessing);                  // Keeps the children
+
+// Automatic layered layout (animated, one undo step); cycles and disconnected
+// parts are handled. Workflows loaded without node positions are laid out too.
+editor.autoLayout({ direction: 'LR', spacing: { node: 40, rank: 100 } })
+    .then(() => editor.zoomToFit());
+
+// Zoom (wheel/pinch zoom requires canvas.zoomable: true; limits come from canvas.minZoom/maxZoom)
+editor.zoomIn();
+editor.zoomOut();
+editor.setZoom(1.5);
+editor.zoomToFit();
+
+// Pan with middle mouse, Space + drag or the wheel; the viewport is saved with getWorkflowData()
+const viewport = editor.getViewport();   // { x, y, zoom }
+editor.setViewport({ x: viewport.x - 100, y: viewport.y, zoom: 1 });
+
 // Get all the connected nodes to a specific node
 const connectedToAI = editor.getConnectedNodes(aiNode);
 console.log('Nodes connected to AI Processor:', connectedToAI);
 
+// Undo / redo (also bound to Ctrl+Z and Ctrl+Shift+Z / Ctrl+Y)
+if (editor.canUndo()) editor.undo();
+if (editor.canRedo()) editor.redo();
+
+// Group several programmatic changes into a single undo step
+editor.transaction('reposition', () => {
+    editor.moveNode(inputNode, { x: 80, y: 180 });
+    editor.updateNodeData(inputNode, { title: 'Customers' });
+});
+
 // ============================================
 // 8. CUSTOM EVENT HANDLING
 // ============================================
 
-// Create a workflow executor
-class WorkflowExecutor {
-    constructor(editor) {
-        this.editor = editor;
-        this.results = new Map();
-    }
-    
-    async execute() {
-        const workflow = this.editor.getWorkflowData();
-        const executionOrder = this.topologicalSort(workflow);
-        
-        for (const nodeId of executionOrder) {
-            const node = workflow.nodes.find(n => n.id === nodeId);
-            await this.executeNode(node);
-        }
-        
-        return this.results;
-    }
-    
-    async executeNode(node) {
-        console.log(`Executing ${node.type}: ${node.id}`);
-        
-        switch(node.type) {
-            case 'data-source':
-                // Fetch data from source
-                this.results.set(node.id, await this.fetchData(node.data));
-                break;
-                
-            case 'ai-processor':
-                // Process with AI
-                const inputData = this.getInputData(node.id);
-                this.results.set(node.id, await this.processWithAI(node.data, inputData));
-                break;
-                
-            case 'visualizer':
-                // Generate visualization
-                const vizData = this.getInputData(node.id);
-                this.results.set(node.id, this.createVisualization(node.data, vizData));
-                break;
-        }
-    }
-    
-    topologicalSort(workflow) {
-        // Implementation of topological sort for execution order
-        // ... (simplified for example)
-        return workflow.nodes.map(n => n.id);
-    }
-    
-    async fetchData(config) {
-        // Simulate data fetching
-        return { data: 'sample data' };
-    }
-    
-    async processWithAI(config, input) {
-        // Simulate AI processing
-        return { processed: true, result: 'analyzed' };
-    }
-    
-    createVisualization(config, data) {
-        // Simulate visualization creation
-        return { chart: 'created' };
-    }
-    
-    getInputData(nodeId) {
-        // Get input data from connected nodes
-        return this.results.get('previous-node-id');
+// Subscribe to any event from EVENTS; on() returns an unsubscribe function
+const stopLogging = editor.on(EVENTS.NODE_CREATE, (node) => console.log('Created', node.id));
+editor.once(EVENTS.EDGE_CREATE, (edge) => console.log('First connection:', edge.id));
+editor.on('*', (event, ...args) => console.debug('[swan]', event, ...args));
+stopLogging();
+
+// before* events are cancelable: return false to veto
+editor.on(EVENTS.BEFORE_NODE_DELETE, (node) => !node.data.locked);
+editor.on(EVENTS.BEFORE_EDGE_CREATE, ({ source, target }) => source !== target);
+editor.on(EVENTS.BEFORE_IMPORT, (data) => Array.isArray(data.nodes));
+
+// Run the workflow: each node type's execute() receives the outputs of its
+// upstream nodes keyed by input port; independent branches run in parallel
+editor.on(EVENTS.NODE_EXECUTE_START, (node) => console.log(`Executing ${node.type}: ${node.id}`));
+editor.on(EVENTS.NODE_EXECUTE_ERROR, (node, error) => console.error(`${node.id} failed:`, error));
+
+let runController = null;
+
+function runWorkflow() {
+    runController = new AbortController();
+    return editor.execute({ signal: runController.signal })
+        .then(results => console.log('Workflow execution complete:', results))
+        .catch(error => console.warn('Workflow stopped:', error.message));
+}
+
+// Cancel a run in progress
+function stopWorkflow() {
+    if (runController) runController.abort();
+}
+
+runWorkflow();
+
+// execute() shows progress on the canvas; runs driven elsewhere can set it directly.
+// Status is transient: it is not saved and survives node re-renders.
+function onRemoteProgress({ nodeId, state, error }) {
+    editor.setNodeStatus(nodeId, state, error);   // 'queued' | 'running' | 'success' | 'error' | 'idle'
+}
+
+// Debugging: breakpoints (F9 or the dot on a node) pause before the node runs;
+// the paused node shows its inputs for editing and Step / Continue / Abort
+const debug = editor.getDebugger();
+debug.toggleBreakpoint('node-2');
+
+async function debugWorkflow() {
+    const run = debug.start();
+    const state = await debug.waitForPause();       // null if the run ends first
+    if (state) {
+        console.log('Paused before', state.nodeId, state.inputs, state.outputs);
+        debug.setInput('input', { rows: [] });      // Override what flows in
+        debug.step();                               // or debug.continue() / debug.abort()
     }
+    return run;
 }
 
-// Execute the workflow
-const executor = new WorkflowExecutor(editor);
-executor.execute().then(results => {
-    console.log('Workflow execution complete:', results);
-});
+// Headless (e.g. in tests): new SwanDebugger(graph) from SwanDebugger.js has the same API
 
 // ============================================
 // 9. TOOLBAR AND UI INTEGRATION
@@ -566,8 +788,10 @@ function createToolbar() {
         { text: 'Add Visualizer', action: () => editor.createNode('visualizer') },
         { text: 'Save', action: saveWorkflow },
         { text: 'Load', action: loadWorkflow },
+        { text: 'Export PNG', action: () => downloadImage('png') },
         { text: 'Clear', action: clearWorkflow },
-        { text: 'Execute', action: () => executor.execute() }
+        { text: 'Execute', action: runWorkflow },
+        { text: 'Stop', action: stopWorkflow }
     ];
     
     buttons.forEach(btn => {
@@ -592,6 +816,26 @@ function createToolbar() {
 // Initialize toolbar
 createToolbar();
 
+// Or ship UI as a plugin: it draws into its own layer and is uninstalled on destroy()
+const nodeCounter = {
+    name: 'node-counter',
+    install(ctx, options) {
+        const badge = document.createElement('div');
+        badge.style.cssText = `position: absolute; ${options.corner || 'top'}: 12px; right: 12px;`;
+        ctx.layers.overlay.appendChild(badge);
+        
+        const update = () => { badge.textContent = `${ctx.graph.nodes.size} nodes`; };
+        ctx.on('nodeCreate', update);
+        ctx.on('nodeDelete', update);
+        update();
+    }
+};
+
+editor.use(nodeCounter, { corner: 'bottom' });
+
+// The minimap is a plugin too; click or drag in it to move the view
+editor.use(new SwanMinimap({ width: 240, height: 160, position: 'bottom-left' }));
+
 // ============================================
 // 10. CLEANUP
 // ============================================
@@ -602,4 +846,4 @@ window.addEventListener('beforeunload', () => {
 });
 
 // Export for use in other modules
-export { editor, WorkflowExecutor };
\ No newline at end of file
+export { editor, runWorkflow };
\ No newline at end of file